@@ -15,9 +15,13 @@ def create_app():
     app.config['SQLALCHEMY_TRACK_MODIFICATIONS'] = False
     app.config['SESSION_COOKIE_HTTPONLY'] = True
     app.config['SESSION_COOKIE_SAMESITE'] = 'Lax'
+    app.config['UPLOAD_FOLDER'] = os.environ.get(
+        'UPLOAD_FOLDER', os.path.join(app.instance_path, 'uploads'))
+    app.config['MAX_CONTENT_LENGTH'] = 16 * 1024 * 1024  # hard cap; media uploads are limited to 5 MB
+    app.config['LOW_STOCK_THRESHOLD'] = int(os.environ.get('LOW_STOCK_THRESHOLD', 5))
 
     # ── Database ───────────────────────────────────────────────────────────────
-    from models import db, User
+    from models import db, User, upgrade_schema
     db.init_app(app)
 
     # ── Flask-Login ────────────────────────────────────────────────────────────
@@ -26,7 +30,9 @@ def create_app():
 
     @login_manager.user_loader
     def load_user(user_id):
-        return User.query.get(int(user_id))
+        user = User.query.get(int(user_id))
+        # Disabling an account also ends its existing sessions
+        return user if user and user.is_active else None
 
     @login_manager.unauthorized_handler
     def unauthorized():
@@ -49,10 +55,11 @@ def create_app():
         response.headers['X-Content-Type-Options'] = 'nosniff'
         response.headers['X-XSS-Protection'] = '1; mode=block'
         response.headers['Referrer-Policy'] = 'strict-origin-when-cross-origin'
-        # Permissive CSP (allow Unsplash & Google Fonts for the frontend)
+        # No inline script: handlers are delegated (static/js/dom.js). Inline
+        # styles are still allowed; Unsplash & Google Fonts for the frontend.
         response.headers['Content-Security-Policy'] = (
             "default-src 'self'; "
-            "script-src 'self' 'unsafe-inline'; "
+            "script-src 'self'; "
             "style-src 'self' 'unsafe-inline' https://fonts.googleapis.com; "
             "font-src 'self' https://fonts.gstatic.com; "
             "img-src 'self' data: https://images.unsplash.com https://via.placeholder.com; "
@@ -63,6 +70,7 @@ def create_app():
     # ── DB Init & Seed ─────────────────────────────────────────────────────────
     with app.app_context():
         db.create_all()
+        upgrade_schema()
 
         # Auto-seed on first run if no admin user exists
         from models import User as _User
@@ -74,6 +82,9 @@ def create_app():
             except Exception as e:
                 print(f'[App] Seed error: {e}')
 
+        from seed import seed_theme_assets
+        seed_theme_assets()
+
     # ── CLI Commands ───────────────────────────────────────────────────────────
     @app.cli.command('seed')
     def seed_cmd():
@@ -1,8 +1,23 @@
-from flask import Blueprint, jsonify, request
+from flask import Blueprint, Response, current_app, jsonify, render_template, request
 from flask_login import login_required, current_user
-from models import db, Product, Category, BannerSlide, UIAsset, Order, User
+from models import (
+    db, Product, Category, BannerSlide, FlashSale, Coupon, UIAsset, UIAssetDraft, UIAssetVersion, Theme,
+    Order, OrderItem, OrderStatusEvent, User, LoginAttempt, CartItem, WishlistItem, MediaFile,
+    THEME_COLORS, THEME_DARK_MODE_KEY, THEME_KEYS,
+)
 from functools import wraps
+from apps.main import DELIVERY_METHODS, HEX_COLOR
+from datetime import datetime, timedelta, timezone
+import csv
 import html
+import io
+import json
+import math
+import os
+import re
+import uuid
+
+from PIL import Image, ImageOps, UnidentifiedImageError
 
 admin_bp = Blueprint('admin', __name__)
 
@@ -42,24 +57,171 @@ def stats():
     })
 
 
+@admin_bp.route('/stock/low', methods=['GET'])
+@login_required
+@admin_required
+def low_stock():
+    """Live products at or below the threshold (default LOW_STOCK_THRESHOLD), emptiest first."""
+    threshold = request.args.get('threshold', current_app.config['LOW_STOCK_THRESHOLD'], type=int)
+    threshold = max(threshold, 0)
+    limit = min(max(request.args.get('limit', 10, type=int), 1), 100)
+    query = (Product.query.filter_by(is_deleted=False)
+             .filter(Product.stock.isnot(None), Product.stock <= threshold))
+    products = query.order_by(Product.stock.asc(), Product.name.asc()).limit(limit).all()
+    return jsonify({
+        'success': True,
+        'threshold': threshold,
+        'total': query.count(),
+        'products': [{'id': p.id, 'name': p.name, 'sku': p.sku, 'stock': p.stock} for p in products],
+    })
+
+
 # ─── Products CRUD ────────────────────────────────────────────────────────────
+PRODUCT_SORT_FIELDS = {
+    'id': Product.id,
+    'name': Product.name,
+    'price': Product.price,
+    'stock': Product.stock,
+    'rating': Product.rating,
+    'tag': Product.tag,
+    'created_at': Product.created_at,
+    'deleted_at': Product.deleted_at,
+}
+PRODUCT_TAGS = ('new', 'sale', 'hot', 'stock')
+BULK_MAX_IDS = 500
+
+
+def _admin_product_dict(p):
+    return {
+        **p.to_dict(),
+        'category_name': p.category_obj.name if p.category_obj else None,
+        'deleted_at': p.deleted_at.isoformat(timespec='seconds') + 'Z' if p.deleted_at else None,
+    }
+
+
+def _sku_taken(sku, exclude_id=None):
+    query = Product.query.filter(db.func.lower(Product.sku) == sku.lower())
+    if exclude_id:
+        query = query.filter(Product.id != exclude_id)
+    return db.session.query(query.exists()).scalar()
+
+
+def _set_deleted(product, deleted):
+    """Move a product into or out of the trash."""
+    product.is_deleted = deleted
+    product.deleted_at = datetime.utcnow() if deleted else None
+
+
 @admin_bp.route('/products', methods=['GET'])
 @login_required
 @admin_required
 def list_products():
+    """Paginated product list. Supports q (name/brand search), category_id, sort and order.
+
+    trash=1 lists soft-deleted products instead.
+    """
     page = request.args.get('page', 1, type=int)
-    per_page = request.args.get('per_page', 20, type=int)
-    products = Product.query.filter_by(is_deleted=False).order_by(
-        Product.id.desc()).paginate(page=page, per_page=per_page, error_out=False)
+    per_page = min(max(request.args.get('per_page', 20, type=int), 1), 100)
+    q = request.args.get('q', '').strip()
+    category_id = request.args.get('category_id', type=int)
+    sort = request.args.get('sort', 'id')
+    order = request.args.get('order', 'desc')
+    trash = request.args.get('trash', type=int) == 1
+
+    query = Product.query.filter_by(is_deleted=trash)
+    if q:
+        # Names and brands are stored HTML-escaped
+        like = f'%{html.escape(q)}%'
+        query = query.filter(db.or_(Product.name.ilike(like), Product.brand.ilike(like)))
+    if category_id:
+        query = query.filter_by(category_id=category_id)
+
+    column = PRODUCT_SORT_FIELDS.get(sort, Product.id)
+    column = column.asc() if order == 'asc' else column.desc()
+    products = query.order_by(column, Product.id.desc()).paginate(
+        page=page, per_page=per_page, error_out=False)
     return jsonify({
         'success': True,
-        'products': [p.to_dict() for p in products.items],
+        'products': [_admin_product_dict(p) for p in products.items],
         'total': products.total,
         'pages': products.pages,
         'page': page,
+        'per_page': per_page,
     })
 
 
+@admin_bp.route('/products/bulk', methods=['POST'])
+@login_required
+@admin_required
+def bulk_update_products():
+    """Apply one action to many products in a single transaction.
+
+    actions: delete | restore (trashed products only) | set_tag (value: tag
+    or '') | toggle_featured (value: bool, omitted flips each product) |
+    adjust_price (value: percent) | set_category (value: category id or null)
+    """
+    data = request.get_json() or {}
+    ids = data.get('ids')
+    action = data.get('action')
+    value = data.get('value')
+
+    if not isinstance(ids, list) or not ids or not all(isinstance(i, int) for i in ids):
+        return jsonify({'success': False, 'message': 'ids must be a non-empty list of product ids'}), 400
+    if len(ids) > BULK_MAX_IDS:
+        return jsonify({'success': False, 'message': f'At most {BULK_MAX_IDS} products per request'}), 400
+
+    in_trash = action == 'restore'
+    products = Product.query.filter(Product.id.in_(ids), Product.is_deleted == in_trash).all()
+    if not products:
+        return jsonify({'success': False, 'message': 'No matching products'}), 404
+
+    if action == 'delete':
+        for p in products:
+            _set_deleted(p, True)
+        message = f'{len(products)} product(s) moved to trash'
+
+    elif action == 'restore':
+        for p in products:
+            _set_deleted(p, False)
+        message = f'{len(products)} product(s) restored'
+
+    elif action == 'set_tag':
+        if value not in PRODUCT_TAGS and value not in ('', None):
+            return jsonify({'success': False, 'message': f'Invalid tag. Use: {", ".join(PRODUCT_TAGS)}'}), 400
+        for p in products:
+            p.tag = value or None
+        message = f'Tag updated on {len(products)} product(s)'
+
+    elif action == 'toggle_featured':
+        for p in products:
+            p.is_featured = bool(value) if isinstance(value, bool) else not p.is_featured
+        message = f'Featured flag updated on {len(products)} product(s)'
+
+    elif action == 'adjust_price':
+        try:
+            percent = float(value)
+        except (TypeError, ValueError):
+            return jsonify({'success': False, 'message': 'Percentage must be a number'}), 400
+        if not -99 <= percent <= 1000:
+            return jsonify({'success': False, 'message': 'Percentage must be between -99 and 1000'}), 400
+        for p in products:
+            p.price = round(p.price * (1 + percent / 100), 2)
+        message = f'Prices adjusted by {percent:+g}% on {len(products)} product(s)'
+
+    elif action == 'set_category':
+        if value is not None and (not isinstance(value, int) or not Category.query.get(value)):
+            return jsonify({'success': False, 'message': 'Category not found'}), 404
+        for p in products:
+            p.category_id = value
+        message = f'Category updated on {len(products)} product(s)'
+
+    else:
+        return jsonify({'success': False, 'message': 'Unknown bulk action'}), 400
+
+    db.session.commit()
+    return jsonify({'success': True, 'message': message, 'updated': len(products)})
+
+
 @admin_bp.route('/products', methods=['POST'])
 @login_required
 @admin_required
@@ -72,9 +234,13 @@ def create_product():
     price = data.get('price')
     if not name or price is None:
         return jsonify({'success': False, 'message': 'Name and price required'}), 400
+    sku = _s(data.get('sku')) or None
+    if sku and _sku_taken(sku):
+        return jsonify({'success': False, 'message': 'SKU already in use'}), 409
 
     product = Product(
         name=name,
+        sku=sku,
         description=_s(data.get('description')),
         price=float(price),
         old_price=float(data['old_price']) if data.get('old_price') else None,
@@ -102,6 +268,11 @@ def update_product(pid):
 
     if 'name' in data:
         product.name = _s(data['name'])
+    if 'sku' in data:
+        sku = _s(data['sku']) or None
+        if sku and _sku_taken(sku, exclude_id=product.id):
+            return jsonify({'success': False, 'message': 'SKU already in use'}), 409
+        product.sku = sku
     if 'description' in data:
         product.description = _s(data['description'])
     if 'price' in data:
@@ -136,12 +307,290 @@ def update_product(pid):
 @admin_required
 def delete_product(pid):
     product = Product.query.get_or_404(pid)
-    product.is_deleted = True
+    _set_deleted(product, True)
+    db.session.commit()
+    return jsonify({'success': True, 'message': 'Product moved to trash'})
+
+
+@admin_bp.route('/products/<int:pid>/restore', methods=['POST'])
+@login_required
+@admin_required
+def restore_product(pid):
+    product = Product.query.get_or_404(pid)
+    if not product.is_deleted:
+        return jsonify({'success': False, 'message': 'Product is not in the trash'}), 400
+    _set_deleted(product, False)
     db.session.commit()
-    return jsonify({'success': True, 'message': 'Product deleted'})
+    return jsonify({'success': True, 'message': 'Product restored', 'product': _admin_product_dict(product)})
+
+
+@admin_bp.route('/products/<int:pid>/permanent', methods=['DELETE'])
+@login_required
+@admin_required
+def purge_product(pid):
+    """Remove a trashed product for good. Products that appear on orders are kept."""
+    product = Product.query.get_or_404(pid)
+    if not product.is_deleted:
+        return jsonify({'success': False, 'message': 'Move the product to the trash first'}), 400
+
+    order_lines = OrderItem.query.filter_by(product_id=pid).count()
+    if order_lines:
+        return jsonify({
+            'success': False,
+            'message': f'Product appears on {order_lines} order line(s) and cannot be permanently deleted',
+        }), 409
+
+    CartItem.query.filter_by(product_id=pid).delete()
+    WishlistItem.query.filter_by(product_id=pid).delete()
+    FlashSale.query.filter_by(product_id=pid).update({'product_id': None})
+    db.session.delete(product)
+    db.session.commit()
+    return jsonify({'success': True, 'message': 'Product permanently deleted'})
+
+
+# ─── Product Import / Export ─────────────────────────────────────────────────
+IMPORT_FIELDS = (
+    'sku', 'name', 'brand', 'description', 'price', 'old_price', 'discount', 'stock',
+    'rating', 'rating_count', 'tag', 'is_featured', 'category', 'image',
+)
+EXPORT_FIELDS = ('id',) + IMPORT_FIELDS
+IMPORT_MAX_ROWS = 2000
+TRUE_WORDS = ('1', 'true', 'yes', 'y')
+FALSE_WORDS = ('0', 'false', 'no', 'n')
+# Cells starting with these run as formulas in spreadsheet apps
+FORMULA_PREFIXES = ('=', '+', '-', '@')
+
+
+def _export_row(p):
+    row = {field: getattr(p, field, None) for field in EXPORT_FIELDS}
+    row['category'] = p.category_obj.slug if p.category_obj else None
+    # Stored text is HTML-escaped by _s(); spreadsheets should see the plain text
+    for field in ('sku', 'name', 'brand', 'description', 'image'):
+        if row[field]:
+            row[field] = html.unescape(row[field])
+    return row
+
+
+def _csv_safe(value):
+    """Quote a would-be formula cell with a leading ' ; _parse_import_row strips it again."""
+    if isinstance(value, str) and value.startswith(FORMULA_PREFIXES):
+        return "'" + value
+    return value
+
+
+@admin_bp.route('/products/export', methods=['GET'])
+@login_required
+@admin_required
+def export_products():
+    """Download every active product as CSV (default) or JSON (?format=json)."""
+    fmt = request.args.get('format', 'csv')
+    products = Product.query.filter_by(is_deleted=False).order_by(Product.id).all()
+    rows = [_export_row(p) for p in products]
+    stamp = datetime.utcnow().strftime('%Y%m%d')
+
+    if fmt == 'json':
+        body = json.dumps({'products': rows}, indent=2, ensure_ascii=False)
+        mimetype = 'application/json'
+    elif fmt == 'csv':
+        buf = io.StringIO()
+        writer = csv.DictWriter(buf, fieldnames=EXPORT_FIELDS)
+        writer.writeheader()
+        writer.writerows({field: _csv_safe(value) for field, value in row.items()} for row in rows)
+        body = buf.getvalue()
+        mimetype = 'text/csv'
+    else:
+        return jsonify({'success': False, 'message': 'Format must be csv or json'}), 400
+
+    return Response(body, mimetype=mimetype, headers={
+        'Content-Disposition': f'attachment; filename=products-{stamp}.{fmt}',
+    })
+
+
+def _match_key(name, brand):
+    return (html.unescape(name or '').strip().lower(), html.unescape(brand or '').strip().lower())
+
+
+def _parse_import_row(raw, categories):
+    """Validate one import row. Blank cells are skipped, so updates leave those fields alone.
+
+    Returns (values, errors); values use Product attribute names.
+    """
+    values, errors = {}, []
+    for field in IMPORT_FIELDS:
+        value = raw.get(field)
+        if value is None or str(value).strip() == '':
+            continue
+        text = str(value).strip()
+        try:
+            if field in ('price', 'old_price', 'discount', 'rating'):
+                number = float(text)
+                if number < 0 or not math.isfinite(number):
+                    raise ValueError
+                if field == 'rating' and number > 5:
+                    raise ValueError
+                values[field] = number
+            elif field in ('stock', 'rating_count'):
+                number = int(text)
+                if number < 0:
+                    raise ValueError
+                values[field] = number
+            elif field == 'is_featured':
+                if text.lower() not in TRUE_WORDS + FALSE_WORDS:
+                    raise ValueError
+                values[field] = text.lower() in TRUE_WORDS
+            elif field == 'tag':
+                if text.lower() not in PRODUCT_TAGS:
+                    raise ValueError
+                values[field] = text.lower()
+            elif field == 'category':
+                category = categories.get(text.lower())
+                if not category:
+                    errors.append(f'Unknown category "{text}"')
+                    continue
+                values['category_id'] = category.id
+            else:
+                if text.startswith("'") and text[1:].startswith(FORMULA_PREFIXES):
+                    text = text[1:]
+                values[field] = _s(text)
+        except ValueError:
+            errors.append(f'Invalid {field.replace("_", " ")} "{text}"')
+    return values, errors
+
+
+@admin_bp.route('/products/import', methods=['POST'])
+@login_required
+@admin_required
+def import_products():
+    """Create or update products from parsed spreadsheet rows.
+
+    Body: {rows: [{field: value}], dry_run: bool}. Rows match existing products
+    by SKU, falling back to name + brand. Valid rows are applied in a single
+    transaction; invalid ones are skipped and reported. dry_run previews the
+    same report without saving anything.
+    """
+    data = request.get_json() or {}
+    rows = data.get('rows')
+    dry_run = bool(data.get('dry_run'))
+    if not isinstance(rows, list) or not rows:
+        return jsonify({'success': False, 'message': 'No rows to import'}), 400
+    if len(rows) > IMPORT_MAX_ROWS:
+        return jsonify({'success': False, 'message': f'At most {IMPORT_MAX_ROWS} rows per import'}), 400
+
+    categories = {}
+    for c in Category.query.all():
+        categories[c.slug.lower()] = c
+        categories.setdefault(html.unescape(c.name).lower(), c)
+
+    by_sku, by_name = {}, {}
+    for p in Product.query.filter_by(is_deleted=False).all():
+        if p.sku:
+            by_sku[html.unescape(p.sku).lower()] = p
+        by_name[_match_key(p.name, p.brand)] = p
+
+    results, seen = [], {}
+    summary = {'create': 0, 'update': 0, 'unchanged': 0, 'invalid': 0}
+    for index, raw in enumerate(rows, start=1):
+        if not isinstance(raw, dict):
+            results.append({'row': index, 'status': 'invalid', 'errors': ['Row is not an object']})
+            summary['invalid'] += 1
+            continue
+
+        values, errors = _parse_import_row(raw, categories)
+        sku_key = html.unescape(values['sku']).lower() if values.get('sku') else None
+        product = by_sku.get(sku_key) if sku_key else None
+        if not product and 'name' in values:
+            product = by_name.get(_match_key(values['name'], values.get('brand')))
+            # A name match that already carries a different SKU is a different product
+            if product and sku_key and product.sku and html.unescape(product.sku).lower() != sku_key:
+                product = None
+        if not product:
+            if 'name' not in values:
+                errors.append('Name is required for new products')
+            if 'price' not in values:
+                errors.append('Price is required for new products')
+            if sku_key and _sku_taken(values['sku']):
+                errors.append('SKU belongs to a product in the trash')
+
+        # Two rows must not target the same product (or create the same one twice)
+        key = product.id if product else (sku_key or _match_key(values.get('name'), values.get('brand')))
+        if key in seen:
+            errors.append(f'Duplicate of row {seen[key]}')
+
+        label = html.unescape(values.get('name') or (product.name if product else '') or '')
+        if errors:
+            results.append({'row': index, 'status': 'invalid', 'name': label, 'errors': errors})
+            summary['invalid'] += 1
+            continue
+        seen[key] = index
+
+        if product:
+            changes = {
+                field: {'from': getattr(product, field), 'to': value}
+                for field, value in values.items() if getattr(product, field) != value
+            }
+            status = 'update' if changes else 'unchanged'
+            if changes and not dry_run:
+                for field, change in changes.items():
+                    setattr(product, field, change['to'])
+            results.append({'row': index, 'status': status, 'name': label,
+                            'product_id': product.id, 'changes': changes})
+        else:
+            status = 'create'
+            if not dry_run:
+                db.session.add(Product(**values))
+            results.append({'row': index, 'status': status, 'name': label})
+        summary[status] += 1
+
+    if not dry_run:
+        try:
+            db.session.commit()
+        except Exception:
+            db.session.rollback()
+            return jsonify({'success': False, 'message': 'Import failed; no products were changed'}), 500
+
+    return jsonify({'success': True, 'dry_run': dry_run, 'summary': summary, 'results': results})
 
 
 # ─── Categories CRUD ──────────────────────────────────────────────────────────
+SLUG_RE = re.compile(r'^[a-z0-9]+(?:-[a-z0-9]+)*$')
+
+
+def _int_field(data, key, default=0):
+    """Read an optional integer; raises ValueError with a user-facing message."""
+    value = data.get(key, default)
+    if value in (None, ''):
+        return default
+    try:
+        return int(value)
+    except (TypeError, ValueError):
+        raise ValueError(f'{key.replace("_", " ").capitalize()} must be a whole number')
+
+
+def _apply_category(cat, data):
+    """Validate and copy category fields onto cat. Raises ValueError on bad input."""
+    if 'name' in data or cat.id is None:
+        name = _s(data.get('name'))
+        if not name:
+            raise ValueError('Name is required')
+        cat.name = name
+    if 'slug' in data or cat.id is None:
+        slug = (data.get('slug') or '').strip().lower()
+        if not SLUG_RE.match(slug):
+            raise ValueError('Slug may only contain lowercase letters, numbers and single hyphens')
+        taken = Category.query.filter(Category.slug == slug, Category.id != cat.id).first()
+        if taken:
+            raise ValueError(f'Slug "{slug}" is already used by {taken.name}')
+        cat.slug = slug
+    if 'image_url' in data:
+        cat.image_url = _s(data['image_url']) or None
+    if 'sort_order' in data or cat.id is None:
+        cat.sort_order = _int_field(data, 'sort_order')
+    if 'is_active' in data:
+        cat.is_active = bool(data['is_active'])
+    elif cat.id is None:
+        cat.is_active = True
+
+
 @admin_bp.route('/categories', methods=['GET'])
 @login_required
 @admin_required
@@ -154,19 +603,11 @@ def list_categories():
 @login_required
 @admin_required
 def create_category():
-    data = request.get_json() or {}
-    name = _s(data.get('name'))
-    slug = _s(data.get('slug'))
-    if not name or not slug:
-        return jsonify({'success': False, 'message': 'Name and slug required'}), 400
-
-    cat = Category(
-        name=name,
-        slug=slug,
-        image_url=_s(data.get('image_url')),
-        sort_order=int(data.get('sort_order', 0)),
-        is_active=bool(data.get('is_active', True)),
-    )
+    cat = Category()
+    try:
+        _apply_category(cat, request.get_json() or {})
+    except ValueError as e:
+        return jsonify({'success': False, 'message': str(e)}), 400
     db.session.add(cat)
     db.session.commit()
     return jsonify({'success': True, 'category': cat.to_dict()}), 201
@@ -177,17 +618,12 @@ def create_category():
 @admin_required
 def update_category(cid):
     cat = Category.query.get_or_404(cid)
-    data = request.get_json() or {}
-    if 'name' in data:
-        cat.name = _s(data['name'])
-    if 'slug' in data:
-        cat.slug = _s(data['slug'])
-    if 'image_url' in data:
-        cat.image_url = _s(data['image_url'])
-    if 'sort_order' in data:
-        cat.sort_order = int(data['sort_order'])
-    if 'is_active' in data:
-        cat.is_active = bool(data['is_active'])
+    try:
+        with db.session.no_autoflush:
+            _apply_category(cat, request.get_json() or {})
+    except ValueError as e:
+        db.session.rollback()
+        return jsonify({'success': False, 'message': str(e)}), 400
     db.session.commit()
     return jsonify({'success': True, 'category': cat.to_dict()})
 
@@ -197,12 +633,44 @@ def update_category(cid):
 @admin_required
 def delete_category(cid):
     cat = Category.query.get_or_404(cid)
+    # A coupon limited to this category must not turn into one for everything
+    Coupon.query.filter_by(category_id=cid).update({'is_active': False, 'category_id': None})
     db.session.delete(cat)
     db.session.commit()
     return jsonify({'success': True, 'message': 'Category deleted'})
 
 
 # ─── Banner Slides CRUD ───────────────────────────────────────────────────────
+BANNER_TEXT_FIELDS = ('title', 'subtitle', 'badge_text', 'button_text', 'image_url')
+BANNER_CSS_FIELDS = {'badge_style': 'Badge style', 'bg_gradient': 'Background'}
+# Banner CSS ends up in style="" attributes on the storefront: colours and
+# gradients only, nothing that can load resources or break out of the rule
+UNSAFE_CSS_RE = re.compile(r'[<>{}\\]|url\s*\(|expression\s*\(|@import|javascript:', re.IGNORECASE)
+
+
+def _apply_banner(b, data):
+    """Validate and copy banner fields onto b. Raises ValueError on bad input."""
+    for f in BANNER_TEXT_FIELDS:
+        if f in data:
+            setattr(b, f, _s(data[f]) or None)
+    for f, label in BANNER_CSS_FIELDS.items():
+        if f in data:
+            value = (data[f] or '').strip()
+            if UNSAFE_CSS_RE.search(value):
+                raise ValueError(f'{label} contains unsupported CSS')
+            setattr(b, f, _s(value) or None)
+    if not b.title:
+        raise ValueError('Title is required')
+    if not b.button_text:
+        b.button_text = 'Shop Now'
+    if 'sort_order' in data or b.id is None:
+        b.sort_order = _int_field(data, 'sort_order')
+    if 'is_active' in data:
+        b.is_active = bool(data['is_active'])
+    elif b.id is None:
+        b.is_active = True
+
+
 @admin_bp.route('/banners', methods=['GET'])
 @login_required
 @admin_required
@@ -215,22 +683,11 @@ def list_banners():
 @login_required
 @admin_required
 def create_banner():
-    data = request.get_json() or {}
-    title = _s(data.get('title'))
-    if not title:
-        return jsonify({'success': False, 'message': 'Title required'}), 400
-
-    b = BannerSlide(
-        title=title,
-        subtitle=_s(data.get('subtitle')),
-        badge_text=_s(data.get('badge_text')),
-        badge_style=_s(data.get('badge_style')),
-        button_text=_s(data.get('button_text', 'Shop Now')),
-        image_url=_s(data.get('image_url')),
-        bg_gradient=_s(data.get('bg_gradient')),
-        sort_order=int(data.get('sort_order', 0)),
-        is_active=bool(data.get('is_active', True)),
-    )
+    b = BannerSlide()
+    try:
+        _apply_banner(b, request.get_json() or {})
+    except ValueError as e:
+        return jsonify({'success': False, 'message': str(e)}), 400
     db.session.add(b)
     db.session.commit()
     return jsonify({'success': True, 'banner': b.to_dict()}), 201
@@ -241,16 +698,11 @@ def create_banner():
 @admin_required
 def update_banner(bid):
     b = BannerSlide.query.get_or_404(bid)
-    data = request.get_json() or {}
-    fields = ['title', 'subtitle', 'badge_text', 'badge_style',
-              'button_text', 'image_url', 'bg_gradient']
-    for f in fields:
-        if f in data:
-            setattr(b, f, _s(data[f]))
-    if 'sort_order' in data:
-        b.sort_order = int(data['sort_order'])
-    if 'is_active' in data:
-        b.is_active = bool(data['is_active'])
+    try:
+        _apply_banner(b, request.get_json() or {})
+    except ValueError as e:
+        db.session.rollback()
+        return jsonify({'success': False, 'message': str(e)}), 400
     db.session.commit()
     return jsonify({'success': True, 'banner': b.to_dict()})
 
@@ -265,7 +717,317 @@ def delete_banner(bid):
     return jsonify({'success': True, 'message': 'Banner deleted'})
 
 
+# ─── Reordering ───────────────────────────────────────────────────────────────
+REORDERABLE = {'categories': Category, 'banners': BannerSlide}
+
+
+@admin_bp.route('/reorder', methods=['PUT'])
+@login_required
+@admin_required
+def reorder():
+    """Rewrite sort_order for every category or banner slide in one transaction.
+
+    Body: {type: 'categories' | 'banners', ids: [...]} listing every row in the
+    new order; positions start at 1.
+    """
+    data = request.get_json() or {}
+    model = REORDERABLE.get(data.get('type'))
+    ids = data.get('ids')
+    if not model:
+        return jsonify({'success': False, 'message': 'type must be categories or banners'}), 400
+    if (not isinstance(ids, list) or not all(isinstance(i, int) for i in ids)
+            or len(set(ids)) != len(ids)):
+        return jsonify({'success': False, 'message': 'ids must be a list of unique ids'}), 400
+
+    rows = {row.id: row for row in model.query.all()}
+    if set(ids) != set(rows):
+        return jsonify({'success': False, 'message': 'The list is out of date. Reload and try again.'}), 409
+
+    for position, row_id in enumerate(ids, start=1):
+        rows[row_id].sort_order = position
+    db.session.commit()
+    return jsonify({'success': True, 'message': 'Order saved'})
+
+
+# ─── Flash Sales ──────────────────────────────────────────────────────────────
+def _parse_utc(value):
+    """Parse an ISO-8601 timestamp into a naive UTC datetime, or None."""
+    try:
+        dt = datetime.fromisoformat(str(value).replace('Z', '+00:00'))
+    except (TypeError, ValueError):
+        return None
+    if dt.tzinfo:
+        dt = dt.astimezone(timezone.utc).replace(tzinfo=None)
+    return dt
+
+
+def _optional_price(value):
+    if value in (None, ''):
+        return None
+    price = float(value)
+    if price < 0:
+        raise ValueError
+    return price
+
+
+def _apply_flash_sale(sale, data):
+    """Validate and copy request fields onto sale. Returns an error message or None."""
+    if 'title' in data:
+        sale.title = _s(data['title'])
+    if not sale.title:
+        return 'Title required'
+    for f in ('subtitle', 'image_url'):
+        if f in data:
+            setattr(sale, f, _s(data[f]) or None)
+    try:
+        for f in ('sale_price', 'original_price'):
+            if f in data:
+                setattr(sale, f, _optional_price(data[f]))
+    except (TypeError, ValueError):
+        return 'Prices must be non-negative numbers'
+    if 'product_id' in data:
+        pid = data['product_id'] or None
+        if pid and not Product.query.filter_by(id=pid, is_deleted=False).first():
+            return 'Product not found'
+        sale.product_id = pid
+    for f in ('starts_at', 'ends_at'):
+        if f in data:
+            dt = _parse_utc(data[f])
+            if not dt:
+                return 'Start and end must be valid dates'
+            setattr(sale, f, dt)
+    if not sale.starts_at or not sale.ends_at:
+        return 'Start and end dates required'
+    if sale.ends_at <= sale.starts_at:
+        return 'End must be after start'
+    if 'is_active' in data:
+        sale.is_active = bool(data['is_active'])
+
+    # Only one campaign can drive the countdown at a time
+    if sale.is_active is not False:
+        overlap = FlashSale.query.filter(
+            FlashSale.is_active == True,
+            FlashSale.id != sale.id,
+            FlashSale.starts_at < sale.ends_at,
+            FlashSale.ends_at > sale.starts_at,
+        ).first()
+        if overlap:
+            return f'Overlaps with "{overlap.title}"'
+    return None
+
+
+@admin_bp.route('/flash-sales', methods=['GET'])
+@login_required
+@admin_required
+def list_flash_sales():
+    sales = FlashSale.query.order_by(FlashSale.starts_at.desc()).all()
+    return jsonify({'success': True, 'flash_sales': [f.to_dict() for f in sales]})
+
+
+@admin_bp.route('/flash-sales', methods=['POST'])
+@login_required
+@admin_required
+def create_flash_sale():
+    data = request.get_json() or {}
+    sale = FlashSale(is_active=True)
+    error = _apply_flash_sale(sale, data)
+    if error:
+        return jsonify({'success': False, 'message': error}), 400
+    db.session.add(sale)
+    db.session.commit()
+    return jsonify({'success': True, 'flash_sale': sale.to_dict()}), 201
+
+
+@admin_bp.route('/flash-sales/<int:fid>', methods=['PUT'])
+@login_required
+@admin_required
+def update_flash_sale(fid):
+    sale = FlashSale.query.get_or_404(fid)
+    data = request.get_json() or {}
+    with db.session.no_autoflush:
+        error = _apply_flash_sale(sale, data)
+    if error:
+        db.session.rollback()
+        return jsonify({'success': False, 'message': error}), 400
+    db.session.commit()
+    return jsonify({'success': True, 'flash_sale': sale.to_dict()})
+
+
+@admin_bp.route('/flash-sales/<int:fid>', methods=['DELETE'])
+@login_required
+@admin_required
+def delete_flash_sale(fid):
+    sale = FlashSale.query.get_or_404(fid)
+    db.session.delete(sale)
+    db.session.commit()
+    return jsonify({'success': True, 'message': 'Flash sale deleted'})
+
+
+# ─── Coupons ──────────────────────────────────────────────────────────────────
+COUPON_CODE = re.compile(r'^[A-Z0-9_-]{3,40}$')
+
+
+def _apply_coupon(coupon, data):
+    """Validate and copy request fields onto coupon. Returns an error message or None."""
+    if 'code' in data:
+        coupon.code = str(data['code'] or '').strip().upper()
+    if not COUPON_CODE.match(coupon.code or ''):
+        return 'Codes are 3-40 letters, digits, dashes or underscores'
+    taken = Coupon.query.filter(Coupon.code == coupon.code, Coupon.id != coupon.id).first()
+    if taken:
+        return f'Code {coupon.code} already exists'
+    if 'kind' in data:
+        coupon.kind = data['kind']
+    if coupon.kind not in Coupon.KINDS:
+        return f'Type must be one of: {", ".join(Coupon.KINDS)}'
+    try:
+        for f in ('value', 'min_subtotal'):
+            if f in data:
+                setattr(coupon, f, _optional_price(data[f]))
+    except (TypeError, ValueError):
+        return 'Amounts must be non-negative numbers'
+    if coupon.kind == 'free_shipping':
+        coupon.value = None
+    elif not coupon.value:
+        return 'Discount amount required'
+    elif coupon.kind == 'percent' and coupon.value > 100:
+        return 'A percentage discount can be at most 100'
+    if 'expires_at' in data:
+        coupon.expires_at = _parse_utc(data['expires_at']) if data['expires_at'] else None
+        if data['expires_at'] and not coupon.expires_at:
+            return 'Expiry must be a valid date'
+    if 'usage_limit' in data:
+        try:
+            limit = int(data['usage_limit']) if data['usage_limit'] not in (None, '') else None
+        except (TypeError, ValueError):
+            return 'Usage limit must be a whole number'
+        if limit is not None and limit < 1:
+            return 'Usage limit must be at least 1'
+        coupon.usage_limit = limit
+    if 'category_id' in data:
+        cid = data['category_id'] or None
+        if cid and not Category.query.get(cid):
+            return 'Category not found'
+        coupon.category_id = cid
+    if 'is_active' in data:
+        coupon.is_active = bool(data['is_active'])
+    return None
+
+
+@admin_bp.route('/coupons', methods=['GET'])
+@login_required
+@admin_required
+def list_coupons():
+    coupons = Coupon.query.order_by(Coupon.created_at.desc()).all()
+    return jsonify({'success': True, 'coupons': [c.to_dict() for c in coupons]})
+
+
+@admin_bp.route('/coupons', methods=['POST'])
+@login_required
+@admin_required
+def create_coupon():
+    data = request.get_json() or {}
+    coupon = Coupon(is_active=True, times_used=0)
+    with db.session.no_autoflush:
+        error = _apply_coupon(coupon, data)
+    if error:
+        return jsonify({'success': False, 'message': error}), 400
+    db.session.add(coupon)
+    db.session.commit()
+    return jsonify({'success': True, 'coupon': coupon.to_dict()}), 201
+
+
+@admin_bp.route('/coupons/<int:cid>', methods=['PUT'])
+@login_required
+@admin_required
+def update_coupon(cid):
+    coupon = Coupon.query.get_or_404(cid)
+    data = request.get_json() or {}
+    with db.session.no_autoflush:
+        error = _apply_coupon(coupon, data)
+    if error:
+        db.session.rollback()
+        return jsonify({'success': False, 'message': error}), 400
+    db.session.commit()
+    return jsonify({'success': True, 'coupon': coupon.to_dict()})
+
+
+@admin_bp.route('/coupons/<int:cid>', methods=['DELETE'])
+@login_required
+@admin_required
+def delete_coupon(cid):
+    coupon = Coupon.query.get_or_404(cid)
+    # Orders keep their coupon_code, so past discounts stay explained
+    db.session.delete(coupon)
+    db.session.commit()
+    return jsonify({'success': True, 'message': 'Coupon deleted'})
+
+
 # ─── UI Assets ────────────────────────────────────────────────────────────────
+# Edits land in UIAssetDraft; the storefront only sees them after a publish.
+def _ui_drafts():
+    return {d.key: d for d in UIAssetDraft.query.all()}
+
+
+def _save_ui_draft(asset, value, drafts):
+    """Stage value for asset. Returns True if the draft changed; a value equal to live drops the draft."""
+    draft = drafts.get(asset.key)
+    if value == asset.value:
+        if draft:
+            db.session.delete(draft)
+            del drafts[asset.key]
+            return True
+        return False
+    if draft:
+        if draft.value == value:
+            return False
+        draft.value = value  # intentionally not escaping image URLs
+        draft.updated_by_id = current_user.id
+    else:
+        drafts[asset.key] = UIAssetDraft(key=asset.key, value=value, updated_by_id=current_user.id)
+        db.session.add(drafts[asset.key])
+    return True
+
+
+def _ui_value_error(asset_type, label, value):
+    """Message for a value a color or toggle asset can't take, else None."""
+    if asset_type == 'color' and not HEX_COLOR.match(value or ''):
+        return f'{label}: use a #RRGGBB color'
+    if asset_type == 'toggle' and value not in ('on', 'off'):
+        return f'{label}: must be on or off'
+    return None
+
+
+def _publish_ui_values(values, note):
+    """Write {key: value} to the live assets in one commit and record a version. None if nothing changed."""
+    assets = {a.key: a for a in UIAsset.query.all()}
+    changes = []
+    for key, value in values.items():
+        asset = assets.get(key)
+        if asset and asset.value != value:
+            changes.append({'key': key, 'label': asset.label, 'before': asset.value, 'after': value})
+            asset.value = value
+    if not changes:
+        return None
+    version = UIAssetVersion(
+        note=note,
+        changes=json.dumps(changes),
+        snapshot=json.dumps({a.key: a.value for a in assets.values()}),
+        published_by_id=current_user.id,
+    )
+    db.session.add(version)
+    return version
+
+
+def _ui_asset_dict(asset, drafts):
+    draft = drafts.get(asset.key)
+    return {
+        **asset.to_dict(),
+        'has_draft': draft is not None,
+        'draft_value': draft.value if draft else None,
+    }
+
+
 @admin_bp.route('/ui-assets', methods=['GET'])
 @login_required
 @admin_required
@@ -275,30 +1037,35 @@ def list_ui_assets():
     if section:
         q = q.filter_by(section=section)
     assets = q.order_by(UIAsset.section, UIAsset.key).all()
-    return jsonify({'success': True, 'assets': [a.to_dict() for a in assets]})
+    drafts = _ui_drafts()
+    return jsonify({'success': True, 'assets': [_ui_asset_dict(a, drafts) for a in assets],
+                    'drafts': len(drafts)})
 
 
 @admin_bp.route('/ui-assets', methods=['PUT'])
 @login_required
 @admin_required
 def update_ui_assets():
-    """Bulk update: [{key, value}, ...]"""
+    """Bulk save to drafts: [{key, value}, ...]"""
     data = request.get_json() or {}
     updates = data.get('updates', [])
 
+    drafts = _ui_drafts()
+    assets = {a.key: a for a in UIAsset.query.filter(
+        UIAsset.key.in_([u.get('key') for u in updates if u.get('key')])).all()}
+    for item in updates:
+        asset = assets.get(item.get('key'))
+        error = asset and _ui_value_error(asset.asset_type, asset.label, item.get('value'))
+        if error:
+            return jsonify({'success': False, 'message': error}), 400
     updated = 0
     for item in updates:
-        key = item.get('key')
-        value = item.get('value')
-        if not key:
-            continue
-        asset = UIAsset.query.filter_by(key=key).first()
-        if asset:
-            asset.value = value  # intentionally not escaping image URLs
+        asset = assets.get(item.get('key'))
+        if asset and _save_ui_draft(asset, item.get('value'), drafts):
             updated += 1
 
     db.session.commit()
-    return jsonify({'success': True, 'updated': updated})
+    return jsonify({'success': True, 'updated': updated, 'drafts': len(drafts)})
 
 
 @admin_bp.route('/ui-assets/<string:key>', methods=['PUT'])
@@ -307,24 +1074,468 @@ def update_ui_assets():
 def update_ui_asset(key):
     asset = UIAsset.query.filter_by(key=key).first_or_404()
     data = request.get_json() or {}
-    asset.value = data.get('value', asset.value)
+    value = data.get('value', asset.value)
+    error = _ui_value_error(asset.asset_type, asset.label, value)
+    if error:
+        return jsonify({'success': False, 'message': error}), 400
+    drafts = _ui_drafts()
+    _save_ui_draft(asset, value, drafts)
+    db.session.commit()
+    return jsonify({'success': True, 'asset': _ui_asset_dict(asset, drafts), 'drafts': len(drafts)})
+
+
+@admin_bp.route('/ui-assets/drafts', methods=['DELETE'])
+@login_required
+@admin_required
+def discard_ui_drafts():
+    """Throw away every draft, or just ?key=…"""
+    query = UIAssetDraft.query
+    if request.args.get('key'):
+        query = query.filter_by(key=request.args['key'])
+    discarded = query.delete(synchronize_session=False)
+    db.session.commit()
+    return jsonify({'success': True, 'message': f'Discarded {discarded} draft change(s)'})
+
+
+@admin_bp.route('/ui-assets/publish', methods=['POST'])
+@login_required
+@admin_required
+def publish_ui_assets():
+    """Apply every draft to the live assets atomically and record a version."""
+    data = request.get_json() or {}
+    drafts = UIAssetDraft.query.all()
+    if not drafts:
+        return jsonify({'success': False, 'message': 'There are no draft changes to publish'}), 400
+    note = _s(data.get('note'))[:200] if data.get('note') else None
+    version = _publish_ui_values({d.key: d.value for d in drafts}, note)
+    for draft in drafts:
+        db.session.delete(draft)
+    db.session.commit()
+    if not version:
+        return jsonify({'success': True, 'message': 'Drafts matched the live values; nothing to publish'})
+    return jsonify({'success': True, 'message': f'Published {len(json.loads(version.changes))} change(s)',
+                    'version': version.to_dict()})
+
+
+@admin_bp.route('/ui-assets/versions', methods=['GET'])
+@login_required
+@admin_required
+def list_ui_asset_versions():
+    limit = min(max(request.args.get('limit', 20, type=int), 1), 100)
+    versions = UIAssetVersion.query.order_by(UIAssetVersion.id.desc()).limit(limit).all()
+    return jsonify({'success': True, 'versions': [v.to_dict() for v in versions]})
+
+
+@admin_bp.route('/ui-assets/versions/<int:vid>/rollback', methods=['POST'])
+@login_required
+@admin_required
+def rollback_ui_assets(vid):
+    """Make the live assets match how they were right after version vid (or right before it,
+    with {"to": "before"}). The rollback is itself recorded as a new version."""
+    target = UIAssetVersion.query.get_or_404(vid)
+    values = json.loads(target.snapshot)
+    before = (request.get_json(silent=True) or {}).get('to') == 'before'
+    if before:
+        values.update({c['key']: c['before'] for c in json.loads(target.changes)})
+    label = f'{"before " if before else ""}version {vid}'
+    version = _publish_ui_values(values, f'Rollback to {label}')
+    if not version:
+        return jsonify({'success': False, 'message': f'Live assets already match {label}'}), 400
+    db.session.commit()
+    return jsonify({'success': True, 'message': f'Rolled back to {label}', 'version': version.to_dict()})
+
+
+# ─── Themes ──────────────────────────────────────────────────────────────────
+# A theme is a saved set of THEME_KEYS values. Applying one publishes it like any
+# other UI asset change (so it shows up in version history and can be rolled back);
+# scheduling one lets it override the live values for a while without touching them.
+THEME_ASSET_TYPES = {**{c[0]: 'color' for c in THEME_COLORS}, THEME_DARK_MODE_KEY: 'toggle'}
+
+
+def _editor_theme_values():
+    """The theme values as the UI asset editor shows them: drafts over live."""
+    values = {a.key: a.value for a in UIAsset.query.filter(UIAsset.key.in_(THEME_KEYS))}
+    values.update({d.key: d.value for d in UIAssetDraft.query.filter(UIAssetDraft.key.in_(THEME_KEYS))})
+    return values
+
+
+def _apply_theme(theme, data):
+    """Validate and copy request fields onto theme. Returns an error message or None."""
+    if 'name' in data:
+        theme.name = _s(data['name'])[:100]
+    if not theme.name:
+        return 'Name required'
+    if 'values' in data:
+        values = data['values'] if isinstance(data['values'], dict) else {}
+        values = {k: v for k, v in values.items() if k in THEME_ASSET_TYPES}
+        for key, value in values.items():
+            error = _ui_value_error(THEME_ASSET_TYPES[key], key, value)
+            if error:
+                return error
+        if not values:
+            return 'A theme needs at least one color'
+        theme.values = json.dumps(values)
+    for f in ('starts_at', 'ends_at'):
+        if f in data:
+            dt = _parse_utc(data[f]) if data[f] else None
+            if data[f] and not dt:
+                return 'Start and end must be valid dates'
+            setattr(theme, f, dt)
+    if bool(theme.starts_at) != bool(theme.ends_at):
+        return 'Set both a start and an end to schedule a theme, or neither'
+    if theme.starts_at and theme.ends_at <= theme.starts_at:
+        return 'End must be after start'
+
+    # Only one theme can take over the storefront at a time
+    if theme.starts_at:
+        overlap = Theme.query.filter(
+            Theme.id != theme.id,
+            Theme.starts_at < theme.ends_at,
+            Theme.ends_at > theme.starts_at,
+        ).first()
+        if overlap:
+            return f'Schedule overlaps with "{overlap.name}"'
+    return None
+
+
+@admin_bp.route('/themes', methods=['GET'])
+@login_required
+@admin_required
+def list_themes():
+    themes = Theme.query.order_by(Theme.name).all()
+    scheduled = Theme.scheduled()
+    return jsonify({'success': True, 'themes': [t.to_dict() for t in themes],
+                    'scheduled_id': scheduled.id if scheduled else None})
+
+
+@admin_bp.route('/themes', methods=['POST'])
+@login_required
+@admin_required
+def create_theme():
+    """Save a named theme; without values it captures what the editor currently shows."""
+    data = request.get_json() or {}
+    theme = Theme(values=json.dumps(_editor_theme_values()))
+    error = _apply_theme(theme, data)
+    if error:
+        return jsonify({'success': False, 'message': error}), 400
+    db.session.add(theme)
+    db.session.commit()
+    return jsonify({'success': True, 'theme': theme.to_dict()}), 201
+
+
+@admin_bp.route('/themes/<int:tid>', methods=['PUT'])
+@login_required
+@admin_required
+def update_theme(tid):
+    theme = Theme.query.get_or_404(tid)
+    data = request.get_json() or {}
+    with db.session.no_autoflush:
+        error = _apply_theme(theme, data)
+    if error:
+        db.session.rollback()
+        return jsonify({'success': False, 'message': error}), 400
     db.session.commit()
-    return jsonify({'success': True, 'asset': asset.to_dict()})
+    return jsonify({'success': True, 'theme': theme.to_dict()})
+
+
+@admin_bp.route('/themes/<int:tid>', methods=['DELETE'])
+@login_required
+@admin_required
+def delete_theme(tid):
+    theme = Theme.query.get_or_404(tid)
+    db.session.delete(theme)
+    db.session.commit()
+    return jsonify({'success': True, 'message': 'Theme deleted'})
+
+
+@admin_bp.route('/themes/<int:tid>/apply', methods=['POST'])
+@login_required
+@admin_required
+def apply_theme(tid):
+    """Publish the theme's values to the live assets in one step."""
+    theme = Theme.query.get_or_404(tid)
+    version = _publish_ui_values(json.loads(theme.values), f'Applied theme "{theme.name}"')
+    if not version:
+        return jsonify({'success': False, 'message': f'"{theme.name}" is already live'}), 400
+    db.session.commit()
+    return jsonify({'success': True, 'message': f'Applied "{theme.name}"', 'version': version.to_dict()})
+
+
+# ─── Media Library ───────────────────────────────────────────────────────────
+MEDIA_FORMATS = {  # Pillow format → (content type, extension)
+    'JPEG': ('image/jpeg', '.jpg'),
+    'PNG': ('image/png', '.png'),
+    'WEBP': ('image/webp', '.webp'),
+    'GIF': ('image/gif', '.gif'),
+}
+MEDIA_MAX_BYTES = 5 * 1024 * 1024
+MEDIA_MAX_PIXELS = 40_000_000
+MEDIA_MAX_DIMENSION = 2400  # larger uploads are scaled down
+THUMB_SIZE = (320, 320)
+
+
+def _media_path(*parts):
+    return os.path.join(current_app.config['UPLOAD_FOLDER'], *parts)
+
+
+def _store_image(upload):
+    """Validate an uploaded image, save it plus a thumbnail, and return an unsaved MediaFile.
+
+    Images are re-encoded (dropping EXIF/GPS metadata) except GIFs, which are
+    kept byte-for-byte so animations survive. Raises ValueError on bad input.
+    """
+    data = upload.read(MEDIA_MAX_BYTES + 1)
+    if len(data) > MEDIA_MAX_BYTES:
+        raise ValueError('Images must be 5 MB or smaller')
+    try:
+        Image.open(io.BytesIO(data)).verify()
+        img = Image.open(io.BytesIO(data))
+    except (UnidentifiedImageError, OSError, SyntaxError, Image.DecompressionBombError):
+        raise ValueError('The file is not a readable image')
+    if img.format not in MEDIA_FORMATS:
+        raise ValueError('Use a JPEG, PNG, WebP or GIF image')
+    if img.width * img.height > MEDIA_MAX_PIXELS:
+        raise ValueError('Image dimensions are too large')
+
+    content_type, ext = MEDIA_FORMATS[img.format]
+    stem = uuid.uuid4().hex
+    os.makedirs(_media_path('thumbs'), exist_ok=True)
+
+    if img.format == 'GIF':
+        with open(_media_path(stem + ext), 'wb') as f:
+            f.write(data)
+    else:
+        fmt = img.format
+        img = ImageOps.exif_transpose(img)
+        img.thumbnail((MEDIA_MAX_DIMENSION, MEDIA_MAX_DIMENSION))
+        if fmt == 'JPEG' and img.mode not in ('RGB', 'L'):
+            img = img.convert('RGB')
+        options = {'JPEG': {'quality': 88, 'optimize': True}, 'PNG': {'optimize': True},
+                   'WEBP': {'quality': 85}}[fmt]
+        img.save(_media_path(stem + ext), fmt, **options)
+
+    thumb = img.copy()
+    thumb.thumbnail(THUMB_SIZE)
+    if thumb.mode in ('RGBA', 'LA', 'P'):
+        thumb_name = stem + '.png'
+        thumb.convert('RGBA').save(_media_path('thumbs', thumb_name), 'PNG', optimize=True)
+    else:
+        thumb_name = stem + '.jpg'
+        thumb.convert('RGB').save(_media_path('thumbs', thumb_name), 'JPEG', quality=82)
+
+    return MediaFile(
+        filename=stem + ext,
+        thumb_filename=thumb_name,
+        original_name=_s(os.path.basename(upload.filename or ''))[:255] or None,
+        content_type=content_type,
+        size=os.path.getsize(_media_path(stem + ext)),
+        width=img.width,
+        height=img.height,
+    )
+
+
+def _remove_media_files(media):
+    for path in (_media_path(media.filename), _media_path('thumbs', media.thumb_filename)):
+        try:
+            os.remove(path)
+        except FileNotFoundError:
+            pass
+
+
+def _media_references(urls):
+    """Describe every product, category, banner, flash sale or UI asset using one of urls."""
+    urls = list(urls)
+    refs = []
+    refs += [f'product "{html.unescape(p.name)}"'
+             for p in Product.query.filter(Product.image.in_(urls))]
+    refs += [f'category "{html.unescape(c.name)}"'
+             for c in Category.query.filter(Category.image_url.in_(urls))]
+    refs += [f'banner "{html.unescape(b.title)}"'
+             for b in BannerSlide.query.filter(BannerSlide.image_url.in_(urls))]
+    refs += [f'flash sale "{html.unescape(f.title)}"'
+             for f in FlashSale.query.filter(FlashSale.image_url.in_(urls))]
+    refs += [f'UI asset "{a.label}"'
+             for a in UIAsset.query.filter(UIAsset.value.in_(urls))]
+    refs += [f'draft of UI asset "{d.key}"'
+             for d in UIAssetDraft.query.filter(UIAssetDraft.value.in_(urls))]
+    return refs
+
+
+def _referenced_media_urls():
+    columns = (Product.image, Category.image_url, BannerSlide.image_url,
+               FlashSale.image_url, UIAsset.value, UIAssetDraft.value)
+    urls = set()
+    for column in columns:
+        urls.update(v for (v,) in db.session.query(column).filter(column.like('/media/%')))
+    return urls
+
+
+@admin_bp.route('/media', methods=['GET'])
+@login_required
+@admin_required
+def list_media():
+    page = request.args.get('page', 1, type=int)
+    per_page = min(max(request.args.get('per_page', 48, type=int), 1), 100)
+    media = MediaFile.query.order_by(MediaFile.id.desc()).paginate(
+        page=page, per_page=per_page, error_out=False)
+    in_use = _referenced_media_urls()
+    return jsonify({
+        'success': True,
+        'media': [{**m.to_dict(), 'in_use': m.url in in_use or m.thumb_url in in_use}
+                  for m in media.items],
+        'total': media.total,
+        'pages': media.pages,
+        'page': page,
+    })
+
+
+@admin_bp.route('/media', methods=['POST'])
+@login_required
+@admin_required
+def upload_media():
+    upload = request.files.get('file')
+    if not upload:
+        return jsonify({'success': False, 'message': 'No file uploaded'}), 400
+    try:
+        media = _store_image(upload)
+    except ValueError as e:
+        return jsonify({'success': False, 'message': str(e)}), 400
+
+    db.session.add(media)
+    try:
+        db.session.commit()
+    except Exception:
+        db.session.rollback()
+        _remove_media_files(media)
+        raise
+    return jsonify({'success': True, 'media': {**media.to_dict(), 'in_use': False}}), 201
+
+
+@admin_bp.route('/media/<int:mid>', methods=['DELETE'])
+@login_required
+@admin_required
+def delete_media(mid):
+    media = MediaFile.query.get_or_404(mid)
+    refs = _media_references([media.url, media.thumb_url])
+    if refs:
+        shown = ', '.join(refs[:3]) + (f' and {len(refs) - 3} more' if len(refs) > 3 else '')
+        return jsonify({'success': False, 'message': f'Still used by {shown}'}), 409
+
+    db.session.delete(media)
+    db.session.commit()
+    _remove_media_files(media)
+    return jsonify({'success': True, 'message': 'Image deleted'})
 
 
 # ─── Orders ───────────────────────────────────────────────────────────────────
+ORDER_SORT_FIELDS = {
+    'id': Order.id,
+    'created_at': Order.created_at,
+    'total_amount': Order.total_amount,
+    'status': Order.status,
+}
+
+
+def _parse_date(value):
+    try:
+        return datetime.strptime(value, '%Y-%m-%d') if value else None
+    except ValueError:
+        return None
+
+
+def _restock(order):
+    """Give a cancelled order's items back. Orders from before checkout reserved stock are left alone."""
+    if not order.stock_reserved:
+        return
+    for item in order.items:
+        db.session.execute(
+            db.update(Product)
+            .where(Product.id == item.product_id, Product.stock.isnot(None))
+            .values(stock=Product.stock + item.quantity)
+        )
+    order.stock_reserved = False
+
+
+def _release_coupon(order):
+    """A cancelled order's coupon use counts against the limit no more."""
+    if not order.coupon_code:
+        return
+    db.session.execute(
+        db.update(Coupon)
+        .where(Coupon.code == order.coupon_code, Coupon.times_used > 0)
+        .values(times_used=Coupon.times_used - 1)
+    )
+
+
+def _order_history(order):
+    """Status timeline, oldest first. Orders placed before history was recorded get a synthetic start."""
+    history = [e.to_dict() for e in order.history]
+    if not history:
+        history = [{'status': 'pending', 'changed_by': None,
+                    'at': order.created_at.isoformat(timespec='seconds') + 'Z'}]
+    return history
+
+
 @admin_bp.route('/orders', methods=['GET'])
 @login_required
 @admin_required
 def list_orders():
+    """Paginated orders. Filters: status, date_from/date_to (YYYY-MM-DD, inclusive), q (order id or username)."""
     page = request.args.get('page', 1, type=int)
-    orders = Order.query.order_by(Order.created_at.desc()).paginate(
-        page=page, per_page=20, error_out=False)
+    per_page = min(max(request.args.get('per_page', 20, type=int), 1), 100)
+    status = request.args.get('status')
+    date_from = _parse_date(request.args.get('date_from'))
+    date_to = _parse_date(request.args.get('date_to'))
+    q = request.args.get('q', '').strip().lstrip('#')
+    sort = request.args.get('sort', 'created_at')
+    order = request.args.get('order', 'desc')
+
+    query = Order.query.outerjoin(User, Order.user_id == User.id)
+    if status in Order.STATUSES:
+        query = query.filter(Order.status == status)
+    if date_from:
+        query = query.filter(Order.created_at >= date_from)
+    if date_to:
+        query = query.filter(Order.created_at < date_to + timedelta(days=1))
+    if q:
+        # Usernames and shipping names are stored HTML-escaped
+        like = f'%{html.escape(q)}%'
+        match = db.or_(User.username.ilike(like), Order.shipping_name.ilike(like))
+        if q.isdigit():
+            match = db.or_(Order.id == int(q), match)
+        query = query.filter(match)
+
+    column = ORDER_SORT_FIELDS.get(sort, Order.created_at)
+    column = column.asc() if order == 'asc' else column.desc()
+    orders = query.order_by(column, Order.id.desc()).paginate(
+        page=page, per_page=per_page, error_out=False)
     return jsonify({
         'success': True,
         'orders': [o.to_dict() for o in orders.items],
         'total': orders.total,
         'pages': orders.pages,
+        'page': page,
+    })
+
+
+@admin_bp.route('/orders/<int:oid>', methods=['GET'])
+@login_required
+@admin_required
+def get_order(oid):
+    order = Order.query.get_or_404(oid)
+    method = DELIVERY_METHODS.get(order.delivery_method)
+    return jsonify({
+        'success': True,
+        'order': {
+            **order.to_dict(),
+            'customer': {
+                'username': order.user.username if order.user else None,
+                'email': order.user.email if order.user else None,
+                'guest': order.user is None,
+            },
+            'delivery_label': method['label'] if method else order.delivery_method,
+            'history': _order_history(order),
+        },
     })
 
 
@@ -335,12 +1546,403 @@ def update_order_status(oid):
     order = Order.query.get_or_404(oid)
     data = request.get_json() or {}
     status = data.get('status')
-    valid = ['pending', 'processing', 'shipped', 'delivered', 'cancelled']
-    if status not in valid:
-        return jsonify({'success': False, 'message': f'Invalid status. Use: {valid}'}), 400
+    if status not in Order.STATUSES:
+        return jsonify({'success': False, 'message': f'Invalid status. Use: {", ".join(Order.STATUSES)}'}), 400
+    if status == order.status:
+        return jsonify({'success': False, 'message': f'Order is already {status}'}), 400
+    if status not in order.next_statuses():
+        allowed = ', '.join(order.next_statuses()) or 'none, this status is final'
+        return jsonify({
+            'success': False,
+            'message': f'Cannot change an order from {order.status} to {status} (allowed: {allowed})',
+        }), 409
+
+    if not order.history:
+        # Keep the timeline complete for orders placed before history was recorded
+        db.session.add(OrderStatusEvent(order_id=order.id, status=order.status,
+                                        created_at=order.created_at))
     order.status = status
+    if status == 'cancelled':
+        _restock(order)
+        _release_coupon(order)
+    db.session.add(OrderStatusEvent(order_id=order.id, status=status, changed_by_id=current_user.id))
     db.session.commit()
-    return jsonify({'success': True, 'order': order.to_dict()})
+    return jsonify({'success': True, 'order': {**order.to_dict(), 'history': _order_history(order)}})
+
+
+@admin_bp.route('/orders/<int:oid>/packing-slip', methods=['GET'])
+@login_required
+@admin_required
+def packing_slip(oid):
+    """Printable packing slip. Stored text is HTML-escaped, so unescape it and let Jinja escape once."""
+    order = Order.query.get_or_404(oid)
+    plain = lambda value: html.unescape(value) if value else ''
+    method = DELIVERY_METHODS.get(order.delivery_method)
+    return render_template(
+        'packing_slip.html',
+        order=order,
+        ship_to=[plain(order.shipping_name), plain(order.shipping_address),
+                 ' '.join(filter(None, [plain(order.shipping_postal_code), plain(order.shipping_city)])),
+                 plain(order.shipping_country), plain(order.shipping_phone)],
+        delivery=method['label'] if method else (order.delivery_method or '—'),
+        items=[{
+            'name': plain(i.product.name) if i.product else f'Product #{i.product_id}',
+            'sku': plain(i.product.sku) if i.product else '',
+            'quantity': i.quantity,
+        } for i in order.items],
+        customer=order.user.username if order.user else 'Guest',
+    )
+
+
+# ─── Users ────────────────────────────────────────────────────────────────────
+def _user_totals():
+    """Per-user order count and lifetime spend (cancelled orders don't count towards spend)."""
+    spend = db.func.sum(db.case((Order.status != 'cancelled', Order.total_amount), else_=0))
+    return (db.session.query(Order.user_id.label('user_id'),
+                             db.func.count(Order.id).label('orders'),
+                             spend.label('spend'))
+            .filter(Order.user_id.isnot(None))
+            .group_by(Order.user_id)
+            .subquery())
+
+
+def _active_lockouts():
+    return LoginAttempt.query.filter(LoginAttempt.blocked_until > datetime.utcnow())
+
+
+def _admin_user_dict(user, orders=0, spend=0.0, locked=False):
+    return {
+        'id': user.id,
+        'username': user.username,
+        'email': user.email,
+        'is_admin': bool(user.is_admin),
+        'disabled': not user.is_active,
+        'disabled_at': user.disabled_at.isoformat(timespec='seconds') + 'Z' if user.disabled_at else None,
+        'created_at': user.created_at.isoformat(timespec='seconds') + 'Z' if user.created_at else None,
+        'order_count': orders or 0,
+        'lifetime_spend': round(spend or 0, 2),
+        'locked': locked,
+    }
+
+
+def _lockout_dict(attempt):
+    return {
+        'id': attempt.id,
+        'ip_address': attempt.ip_address,
+        'username': attempt.username,
+        'attempts': attempt.attempts,
+        'blocked_until': attempt.blocked_until.isoformat(timespec='seconds') + 'Z' if attempt.blocked_until else None,
+        'last_attempt': attempt.last_attempt.isoformat(timespec='seconds') + 'Z' if attempt.last_attempt else None,
+    }
+
+
+def _enabled_admin_count():
+    return User.query.filter_by(is_admin=True, disabled_at=None).count()
+
+
+USER_SORT_FIELDS = ('username', 'created_at', 'orders', 'spend')
+
+
+@admin_bp.route('/users', methods=['GET'])
+@login_required
+@admin_required
+def list_users():
+    """Paginated accounts with order totals. Filters: q (username/email), role (admin, customer, disabled)."""
+    page = request.args.get('page', 1, type=int)
+    per_page = min(max(request.args.get('per_page', 20, type=int), 1), 100)
+    q = request.args.get('q', '').strip()
+    role = request.args.get('role')
+    sort = request.args.get('sort', 'created_at')
+    order = request.args.get('order', 'desc')
+
+    totals = _user_totals()
+    query = (db.session.query(User, totals.c.orders, totals.c.spend)
+             .outerjoin(totals, totals.c.user_id == User.id))
+    if q:
+        # Usernames and emails are stored HTML-escaped
+        like = f'%{html.escape(q)}%'
+        query = query.filter(db.or_(User.username.ilike(like), User.email.ilike(like)))
+    if role == 'admin':
+        query = query.filter(User.is_admin == True)
+    elif role == 'customer':
+        query = query.filter(db.or_(User.is_admin == False, User.is_admin.is_(None)))
+    elif role == 'disabled':
+        query = query.filter(User.disabled_at.isnot(None))
+
+    column = {
+        'username': User.username,
+        'orders': db.func.coalesce(totals.c.orders, 0),
+        'spend': db.func.coalesce(totals.c.spend, 0),
+    }.get(sort if sort in USER_SORT_FIELDS else 'created_at', User.created_at)
+    column = column.asc() if order == 'asc' else column.desc()
+    result = query.order_by(column, User.id.desc()).paginate(page=page, per_page=per_page, error_out=False)
+
+    locked = {a.username for a in _active_lockouts().all()}
+    return jsonify({
+        'success': True,
+        'users': [_admin_user_dict(u, orders, spend, u.username in locked) for u, orders, spend in result.items],
+        'total': result.total,
+        'pages': result.pages,
+        'page': page,
+    })
+
+
+@admin_bp.route('/users/<int:uid>', methods=['GET'])
+@login_required
+@admin_required
+def get_user(uid):
+    user = User.query.get_or_404(uid)
+    orders = Order.query.filter_by(user_id=uid).order_by(Order.created_at.desc()).all()
+    lockouts = LoginAttempt.query.filter(LoginAttempt.username == user.username,
+                                         LoginAttempt.attempts > 0).all()
+    spend = sum(o.total_amount or 0 for o in orders if o.status != 'cancelled')
+    now = datetime.utcnow()
+    return jsonify({
+        'success': True,
+        'user': {
+            **_admin_user_dict(user, len(orders), spend,
+                               any(a.blocked_until and a.blocked_until > now for a in lockouts)),
+            'orders': [{
+                'id': o.id,
+                'status': o.status,
+                'total_amount': o.total_amount,
+                'items': sum(i.quantity for i in o.items),
+                'created_at': o.created_at.isoformat(),
+            } for o in orders],
+            'lockouts': [_lockout_dict(a) for a in lockouts],
+        },
+    })
+
+
+@admin_bp.route('/users/<int:uid>', methods=['PUT'])
+@login_required
+@admin_required
+def update_user(uid):
+    """Change is_admin and/or disabled. The store must always keep one enabled admin."""
+    user = User.query.get_or_404(uid)
+    data = request.get_json() or {}
+
+    make_admin = bool(data['is_admin']) if 'is_admin' in data else bool(user.is_admin)
+    disable = bool(data['disabled']) if 'disabled' in data else not user.is_active
+
+    if user.id == current_user.id and disable:
+        return jsonify({'success': False, 'message': "You can't disable your own account"}), 400
+    losing_admin = user.is_admin and user.is_active and (disable or not make_admin)
+    if losing_admin and _enabled_admin_count() <= 1:
+        return jsonify({'success': False, 'message': 'At least one enabled admin account is required'}), 409
+
+    user.is_admin = make_admin
+    if disable and user.is_active:
+        user.disabled_at = datetime.utcnow()
+    elif not disable:
+        user.disabled_at = None
+    db.session.commit()
+    return jsonify({'success': True, 'user': _admin_user_dict(user)})
+
+
+@admin_bp.route('/lockouts', methods=['GET'])
+@login_required
+@admin_required
+def list_lockouts():
+    """Failed-login records: ?active=1 for current blocks only, q matches username or IP."""
+    q = request.args.get('q', '').strip()
+    query = (_active_lockouts() if request.args.get('active') == '1'
+             else LoginAttempt.query.filter(LoginAttempt.attempts > 0))
+    if q:
+        query = query.filter(db.or_(LoginAttempt.username.ilike(f'%{html.escape(q)}%'),
+                                    LoginAttempt.ip_address.ilike(f'%{q}%')))
+    attempts = query.order_by(LoginAttempt.last_attempt.desc()).limit(200).all()
+    return jsonify({'success': True, 'lockouts': [_lockout_dict(a) for a in attempts]})
+
+
+@admin_bp.route('/lockouts/clear', methods=['POST'])
+@login_required
+@admin_required
+def clear_lockouts():
+    """Clear failed-login records by id, for a username, or for an IP address."""
+    data = request.get_json() or {}
+    if data.get('id'):
+        query = LoginAttempt.query.filter_by(id=data['id'])
+    elif data.get('username'):
+        query = LoginAttempt.query.filter_by(username=data['username'])
+    elif data.get('ip_address'):
+        query = LoginAttempt.query.filter_by(ip_address=data['ip_address'])
+    else:
+        return jsonify({'success': False, 'message': 'Pass id, username or ip_address'}), 400
+    cleared = query.delete(synchronize_session=False)
+    db.session.commit()
+    return jsonify({'success': True, 'message': f'Cleared {cleared} lockout record(s)', 'cleared': cleared})
+
+
+# ─── Sales Analytics ──────────────────────────────────────────────────────────
+ANALYTICS_INTERVALS = ('day', 'week', 'month')
+ANALYTICS_MAX_BUCKETS = 400
+ANALYTICS_DEFAULT_DAYS = 30
+
+
+def _analytics_range():
+    """(start, end_exclusive, error) from date_from/date_to (inclusive); defaults to the last 30 days."""
+    today = datetime.utcnow().replace(hour=0, minute=0, second=0, microsecond=0)
+    date_to = _parse_date(request.args.get('date_to')) or today
+    date_from = _parse_date(request.args.get('date_from')) or date_to - timedelta(days=ANALYTICS_DEFAULT_DAYS - 1)
+    if date_from > date_to:
+        return None, None, 'date_from must be on or before date_to'
+    return date_from, date_to + timedelta(days=1), None
+
+
+def _sold_orders(query, start, end):
+    """Revenue and best-seller figures count every order in range except cancelled ones."""
+    return query.filter(Order.created_at >= start, Order.created_at < end, Order.status != 'cancelled')
+
+
+def _bucket_start(day, interval):
+    if interval == 'week':
+        return day - timedelta(days=day.weekday())  # ISO weeks start on Monday
+    if interval == 'month':
+        return day.replace(day=1)
+    return day
+
+
+def _next_bucket(day, interval):
+    if interval == 'week':
+        return day + timedelta(days=7)
+    if interval == 'month':
+        return (day.replace(day=28) + timedelta(days=4)).replace(day=1)
+    return day + timedelta(days=1)
+
+
+def _analytics_response(name, key, fields, rows, start, end, **extra):
+    """JSON by default; ?format=csv downloads the same rows."""
+    if request.args.get('format') == 'csv':
+        buf = io.StringIO()
+        writer = csv.DictWriter(buf, fieldnames=fields)
+        writer.writeheader()
+        writer.writerows({field: _csv_safe(value) for field, value in row.items()} for row in rows)
+        last = (end - timedelta(days=1)).strftime('%Y%m%d')
+        return Response(buf.getvalue(), mimetype='text/csv', headers={
+            'Content-Disposition': f'attachment; filename={name}-{start:%Y%m%d}-{last}.csv',
+        })
+    return jsonify({
+        'success': True,
+        'date_from': start.date().isoformat(),
+        'date_to': (end - timedelta(days=1)).date().isoformat(),
+        key: rows,
+        **extra,
+    })
+
+
+@admin_bp.route('/analytics/sales', methods=['GET'])
+@login_required
+@admin_required
+def analytics_sales():
+    """Revenue and order count per day, week or month (?interval=), gaps filled with zeros."""
+    start, end, error = _analytics_range()
+    if error:
+        return jsonify({'success': False, 'message': error}), 400
+    interval = request.args.get('interval', 'day')
+    if interval not in ANALYTICS_INTERVALS:
+        return jsonify({'success': False, 'message': f'interval must be one of: {", ".join(ANALYTICS_INTERVALS)}'}), 400
+
+    buckets = {}
+    day, last = _bucket_start(start.date(), interval), (end - timedelta(days=1)).date()
+    while day <= last:
+        if len(buckets) >= ANALYTICS_MAX_BUCKETS:
+            return jsonify({'success': False, 'message': 'Date range too long for this interval; '
+                                                         'pick a shorter range or a wider interval'}), 400
+        buckets[day] = {'orders': 0, 'revenue': 0.0}
+        day = _next_bucket(day, interval)
+
+    rows = _sold_orders(db.session.query(Order.created_at, Order.total_amount), start, end).all()
+    for created_at, total in rows:
+        bucket = buckets[_bucket_start(created_at.date(), interval)]
+        bucket['orders'] += 1
+        bucket['revenue'] += total or 0
+
+    series = [{
+        'period': day.strftime('%Y-%m') if interval == 'month' else day.isoformat(),
+        'orders': b['orders'],
+        'revenue': round(b['revenue'], 2),
+    } for day, b in buckets.items()]
+    orders = sum(b['orders'] for b in buckets.values())
+    revenue = round(sum(b['revenue'] for b in buckets.values()), 2)
+    return _analytics_response('sales', 'series', ('period', 'orders', 'revenue'), series, start, end, interval=interval, summary={
+        'orders': orders,
+        'revenue': revenue,
+        'average_order_value': round(revenue / orders, 2) if orders else 0,
+    })
+
+
+@admin_bp.route('/analytics/top-products', methods=['GET'])
+@login_required
+@admin_required
+def analytics_top_products():
+    """Best sellers by units sold, from OrderItem so prices are what customers actually paid."""
+    start, end, error = _analytics_range()
+    if error:
+        return jsonify({'success': False, 'message': error}), 400
+    limit = min(max(request.args.get('limit', 10, type=int), 1), 50)
+    units = db.func.sum(OrderItem.quantity)
+    revenue = db.func.sum(OrderItem.quantity * OrderItem.price_at_purchase)
+    query = (db.session.query(OrderItem.product_id, Product.name, Product.sku, units, revenue)
+             .join(Order, OrderItem.order_id == Order.id)
+             .outerjoin(Product, OrderItem.product_id == Product.id))
+    rows = (_sold_orders(query, start, end)
+            .group_by(OrderItem.product_id, Product.name, Product.sku)
+            .order_by(units.desc(), revenue.desc())
+            .limit(limit).all())
+    products = [{
+        'product_id': pid,
+        'name': html.unescape(name) if name else f'Product #{pid}',
+        'sku': html.unescape(sku) if sku else '',
+        'units': int(qty or 0),
+        'revenue': round(total or 0, 2),
+    } for pid, name, sku, qty, total in rows]
+    return _analytics_response('top-products', 'products', ('product_id', 'name', 'sku', 'units', 'revenue'),
+                               products, start, end)
+
+
+@admin_bp.route('/analytics/top-categories', methods=['GET'])
+@login_required
+@admin_required
+def analytics_top_categories():
+    start, end, error = _analytics_range()
+    if error:
+        return jsonify({'success': False, 'message': error}), 400
+    limit = min(max(request.args.get('limit', 10, type=int), 1), 50)
+    units = db.func.sum(OrderItem.quantity)
+    revenue = db.func.sum(OrderItem.quantity * OrderItem.price_at_purchase)
+    query = (db.session.query(Category.id, Category.name, units, revenue)
+             .select_from(OrderItem)
+             .join(Order, OrderItem.order_id == Order.id)
+             .outerjoin(Product, OrderItem.product_id == Product.id)
+             .outerjoin(Category, Product.category_id == Category.id))
+    rows = (_sold_orders(query, start, end)
+            .group_by(Category.id, Category.name)
+            .order_by(revenue.desc(), units.desc())
+            .limit(limit).all())
+    categories = [{
+        'category_id': cid,
+        'name': html.unescape(name) if name else 'Uncategorized',
+        'units': int(qty or 0),
+        'revenue': round(total or 0, 2),
+    } for cid, name, qty, total in rows]
+    return _analytics_response('top-categories', 'categories', ('category_id', 'name', 'units', 'revenue'),
+                               categories, start, end)
+
+
+@admin_bp.route('/analytics/status', methods=['GET'])
+@login_required
+@admin_required
+def analytics_status():
+    """Orders placed in the range by current status, cancelled included."""
+    start, end, error = _analytics_range()
+    if error:
+        return jsonify({'success': False, 'message': error}), 400
+    counts = dict(db.session.query(Order.status, db.func.count(Order.id))
+                  .filter(Order.created_at >= start, Order.created_at < end)
+                  .group_by(Order.status).all())
+    statuses = [{'status': s, 'orders': counts.get(s, 0)} for s in Order.STATUSES]
+    return _analytics_response('order-status', 'statuses', ('status', 'orders'), statuses, start, end)
 
 
 # ─── Seed Demo Data ───────────────────────────────────────────────────────────
@@ -1,6 +1,6 @@
 from flask import Blueprint, jsonify, request, session
 from flask_login import login_user, logout_user, login_required, current_user
-from models import db, User, LoginAttempt
+from models import db, User, LoginAttempt, CartItem
 from datetime import datetime, timedelta
 import secrets
 import html
@@ -85,11 +85,37 @@ def _validate_csrf(data):
     return token and token == session.get('csrf_token')
 
 
+def _csrf_error():
+    return jsonify({'success': False, 'message': 'Invalid CSRF token'}), 400
+
+
+def _disabled_error():
+    return jsonify({'success': False, 'message': 'This account has been disabled'}), 403
+
+
+def _merge_guest_cart(user):
+    """Move the visitor's session cart onto the user's cart, summing duplicate lines."""
+    sid = session.pop('cart_session_id', None)
+    if not sid:
+        return
+    for item in CartItem.query.filter_by(session_id=sid).all():
+        existing = CartItem.query.filter_by(user_id=user.id, product_id=item.product_id).first()
+        if existing:
+            existing.quantity += item.quantity
+            db.session.delete(item)
+        else:
+            item.user_id = user.id
+            item.session_id = None
+    db.session.commit()
+
+
 @auth_bp.route('/register', methods=['POST'])
 def register():
     data = request.get_json()
     if not data:
         return jsonify({'success': False, 'message': 'No data provided'}), 400
+    if not _validate_csrf(data):
+        return _csrf_error()
 
     username = _sanitize(data.get('username', '').strip())
     password = data.get('password', '')
@@ -104,6 +130,9 @@ def register():
     if User.query.filter_by(username=username).first():
         return jsonify({'success': False, 'message': 'Username already taken'}), 409
 
+    if email and User.query.filter_by(email=email).first():
+        return jsonify({'success': False, 'message': 'Email already registered'}), 409
+
     user = User(username=username, email=email or None)
     user.set_password(password)
     db.session.add(user)
@@ -117,6 +146,8 @@ def login():
     data = request.get_json()
     if not data:
         return jsonify({'success': False, 'message': 'No data provided'}), 400
+    if not _validate_csrf(data):
+        return _csrf_error()
 
     ip = _get_client_ip()
     username = _sanitize(data.get('username', '').strip())
@@ -133,8 +164,11 @@ def login():
     user = User.query.filter_by(username=username).first()
 
     if user and user.check_password(password):
+        if not user.is_active:
+            return _disabled_error()
         _clear_attempts(ip, username)
         login_user(user)
+        _merge_guest_cart(user)
         return jsonify({
             'success': True,
             'message': 'Logged in successfully',
@@ -159,6 +193,8 @@ def admin_login():
     data = request.get_json()
     if not data:
         return jsonify({'success': False, 'message': 'No data provided'}), 400
+    if not _validate_csrf(data):
+        return _csrf_error()
 
     ip = _get_client_ip()
     username = _sanitize(data.get('username', '').strip())
@@ -178,9 +214,12 @@ def admin_login():
         if not user.is_admin:
             _record_failed_attempt(ip, username)
             return jsonify({'success': False, 'message': 'Access denied: admin only'}), 403
+        if not user.is_active:
+            return _disabled_error()
 
         _clear_attempts(ip, username)
         login_user(user)
+        _merge_guest_cart(user)
         return jsonify({
             'success': True,
             'message': 'Admin login successful',
@@ -202,6 +241,8 @@ def admin_login():
 @auth_bp.route('/logout', methods=['POST'])
 @login_required
 def logout():
+    if not _validate_csrf(request.get_json(silent=True)):
+        return _csrf_error()
     logout_user()
     return jsonify({'success': True, 'message': 'Logged out successfully'})
 
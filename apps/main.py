@@ -1,8 +1,12 @@
-from flask import Blueprint, render_template, jsonify, request
+from flask import Blueprint, current_app, render_template, jsonify, request, send_from_directory
 from flask_login import login_required, current_user
-from models import db, Product, Category, BannerSlide, UIAsset, CartItem, Order, OrderItem
+from models import (db, Product, Category, BannerSlide, FlashSale, UIAsset, UIAssetDraft, Theme, CartItem,
+                    WishlistItem, Order, OrderItem, OrderStatusEvent, Coupon, THEME_COLORS, THEME_DARK_MODE_KEY)
+from datetime import datetime, timezone
 from functools import lru_cache
+import html
 import json
+import re
 
 main_bp = Blueprint('main', __name__)
 
@@ -13,13 +17,107 @@ def home():
     return render_template('index.html')
 
 
+# ─── Uploaded Media ───────────────────────────────────────────────────────────
+@main_bp.route('/media/<path:filename>')
+def media_file(filename):
+    """Serve admin-uploaded images. Names are random and never reused, so cache hard."""
+    return send_from_directory(current_app.config['UPLOAD_FOLDER'], filename,
+                               max_age=60 * 60 * 24 * 365)
+
+
 # ─── UI Config (Dynamic CMS) ──────────────────────────────────────────────────
+def _ui_config():
+    """Every UIAsset as {key: value}, plus drafts for an admin asking for ?preview=1.
+
+    A scheduled theme whose window is open overrides the theme values either way.
+    Returns (config, preview).
+    """
+    config = {a.key: a.value for a in UIAsset.query.all()}
+    preview = request.args.get('preview') == '1' and current_user.is_authenticated and current_user.is_admin
+    if preview:
+        config.update({d.key: d.value for d in UIAssetDraft.query.all()})
+    theme = Theme.scheduled()
+    if theme:
+        config.update(json.loads(theme.values))
+    return config, preview
+
+
+def _revalidated(response, preview):
+    """ETag the response so clients can revalidate cheaply instead of trusting a stale copy."""
+    response.add_etag()
+    response.headers['Cache-Control'] = 'no-store' if preview else 'no-cache'
+    return response.make_conditional(request)
+
+
 @main_bp.route('/api/ui-config', methods=['GET'])
 def get_ui_config():
-    """Return all UIAssets as {key: value} JSON. Cached per request cycle."""
-    assets = UIAsset.query.all()
-    config = {a.key: a.value for a in assets}
-    return jsonify(config)
+    """Return all UIAssets as {key: value} JSON. ?preview=1 overlays unpublished drafts, for admins only."""
+    config, preview = _ui_config()
+    return _revalidated(jsonify(config), preview)
+
+
+# ─── Theme Stylesheet ─────────────────────────────────────────────────────────
+# Linked from <head> so theme colors apply before first paint.
+HEX_COLOR = re.compile(r'^#[0-9a-fA-F]{6}$')
+
+# Dark-mode grays: the light scale reversed (--gray-800 comes from the body text color)
+DARK_GRAYS = {
+    '--gray-50': '#111827', '--gray-100': '#1F2937', '--gray-200': '#374151', '--gray-300': '#4B5563',
+    '--gray-400': '#6B7280', '--gray-500': '#9CA3AF', '--gray-600': '#D1D5DB', '--gray-700': '#E5E7EB',
+    '--gray-900': '#F9FAFB',
+}
+
+
+def _mix(color, other, amount):
+    """Blend two #rrggbb colors; amount 0 gives color, 1 gives other."""
+    a = [int(color[i:i + 2], 16) for i in (1, 3, 5)]
+    b = [int(other[i:i + 2], 16) for i in (1, 3, 5)]
+    return '#' + ''.join(f'{round(x + (y - x) * amount):02X}' for x, y in zip(a, b))
+
+
+def _dark_palette(c):
+    """Derive dark-mode values from the light theme c ({key: #rrggbb}).
+
+    Only colors that go through the custom properties follow; colors hard-coded
+    in the component styles stay as they are.
+    """
+    background = c['theme_dark']
+    return {
+        '--white': background,
+        '--gray-800': _mix(c['theme_background'], background, 0.1),
+        '--dark': _mix(background, '#000000', 0.35),
+        '--dark2': _mix(c['theme_dark2'], '#000000', 0.2),
+        '--blue': _mix(c['theme_blue'], '#FFFFFF', 0.2),
+        '--blue-dark': c['theme_blue'],
+        '--blue-light': _mix(c['theme_blue'], background, 0.8),
+        '--green': _mix(c['theme_green'], '#FFFFFF', 0.2),
+        '--orange': _mix(c['theme_orange'], '#FFFFFF', 0.2),
+        '--red': _mix(c['theme_red'], '#FFFFFF', 0.2),
+        **DARK_GRAYS,
+    }
+
+
+def _theme_css(config):
+    colors = {key: config[key] if HEX_COLOR.match(config.get(key) or '') else default
+              for key, _prop, _label, default, _desc in THEME_COLORS}
+    light = {prop: colors[key] for key, prop, *_ in THEME_COLORS}
+
+    def block(props, indent):
+        return ''.join(f'{indent}    {name}: {value};\n' for name, value in props.items())
+
+    css = f':root {{\n{block(light, "")}}}\n'
+    if config.get(THEME_DARK_MODE_KEY) == 'on':
+        css += ('@media (prefers-color-scheme: dark) {\n    :root {\n        color-scheme: dark;\n'
+                f'{block(_dark_palette(colors), "    ")}    }}\n}}\n')
+    return css
+
+
+@main_bp.route('/theme.css')
+def theme_css():
+    """Theme colors as CSS custom properties. ?preview=1 works as for /api/ui-config."""
+    config, preview = _ui_config()
+    response = current_app.response_class(_theme_css(config), mimetype='text/css')
+    return _revalidated(response, preview)
 
 
 # ─── Products API ─────────────────────────────────────────────────────────────
@@ -27,19 +125,25 @@ def get_ui_config():
 def get_products():
     page = request.args.get('page', 1, type=int)
     per_page = request.args.get('per_page', 12, type=int)
-    category_id = request.args.get('category_id', type=int)
+    category_ids = request.args.getlist('category_id', type=int)
     featured = request.args.get('featured', type=int)
     tag = request.args.get('tag')
+    min_price = request.args.get('min_price', type=float)
+    max_price = request.args.get('max_price', type=float)
     sort = request.args.get('sort', 'newest')  # newest, price_asc, price_desc, rating
 
     q = Product.query.filter_by(is_deleted=False)
 
-    if category_id:
-        q = q.filter_by(category_id=category_id)
+    if category_ids:
+        q = q.filter(Product.category_id.in_(category_ids))
     if featured:
         q = q.filter_by(is_featured=True)
     if tag:
         q = q.filter_by(tag=tag)
+    if min_price is not None:
+        q = q.filter(Product.price >= min_price)
+    if max_price is not None:
+        q = q.filter(Product.price <= max_price)
 
     if sort == 'price_asc':
         q = q.order_by(Product.price.asc())
@@ -88,7 +192,13 @@ def get_product(pid):
 @main_bp.route('/api/categories', methods=['GET'])
 def get_categories():
     cats = Category.query.filter_by(is_active=True).order_by(Category.sort_order).all()
-    return jsonify({'success': True, 'categories': [c.to_dict() for c in cats]})
+    counts = dict(db.session.query(Product.category_id, db.func.count(Product.id))
+                  .filter(Product.is_deleted == False)
+                  .group_by(Product.category_id).all())
+    return jsonify({
+        'success': True,
+        'categories': [{**c.to_dict(), 'product_count': counts.get(c.id, 0)} for c in cats],
+    })
 
 
 # ─── Banners API ──────────────────────────────────────────────────────────────
@@ -99,26 +209,85 @@ def get_banners():
     return jsonify({'success': True, 'banners': [b.to_dict() for b in banners]})
 
 
+# ─── Flash Sale API ───────────────────────────────────────────────────────────
+@main_bp.route('/api/flash-sale', methods=['GET'])
+def get_flash_sale():
+    """Return the running campaign, else the next scheduled one, else the last ended.
+
+    server_time (epoch ms) lets the client correct for a skewed local clock.
+    """
+    now = datetime.utcnow()
+    live = FlashSale.query.filter_by(is_active=True)
+    sale = (live.filter(FlashSale.starts_at <= now, FlashSale.ends_at > now)
+            .order_by(FlashSale.ends_at).first()
+            or live.filter(FlashSale.starts_at > now).order_by(FlashSale.starts_at).first()
+            or live.filter(FlashSale.ends_at <= now).order_by(FlashSale.ends_at.desc()).first())
+    return jsonify({
+        'success': True,
+        'server_time': int(now.replace(tzinfo=timezone.utc).timestamp() * 1000),
+        'sale': sale.to_dict() if sale else None,
+    })
+
+
 # ─── Cart API (server-side, session-based) ────────────────────────────────────
-@main_bp.route('/api/cart', methods=['GET'])
-def get_cart():
+def _cart_owner():
+    """Return (user_id, session_id) for the current visitor's cart."""
     from flask import session as flask_session
-    sid = flask_session.get('cart_session_id')
     uid = current_user.id if current_user.is_authenticated else None
+    sid = None if uid else flask_session.get('cart_session_id')
+    return uid, sid
+
 
-    items = []
+def _cart_items():
+    uid, sid = _cart_owner()
     if uid:
-        items = CartItem.query.filter_by(user_id=uid).all()
-    elif sid:
-        items = CartItem.query.filter_by(session_id=sid).all()
+        return CartItem.query.filter_by(user_id=uid).all()
+    if sid:
+        return CartItem.query.filter_by(session_id=sid).all()
+    return []
+
+
+def _find_cart_item(product_id):
+    uid, sid = _cart_owner()
+    if not uid and not sid:
+        return None
+    return CartItem.query.filter_by(
+        product_id=product_id, user_id=uid, session_id=sid).first()
+
 
+def _stock_message(available):
+    return f'Only {available} left' if available > 0 else 'Out of stock'
+
+
+def _parse_quantity(value):
+    """Return (quantity, error) for a posted cart quantity; it must be a whole number of at least 1."""
+    if isinstance(value, bool) or (isinstance(value, float) and not value.is_integer()):
+        return None, 'quantity must be a whole number'
+    try:
+        quantity = int(value)
+    except (TypeError, ValueError):
+        return None, 'quantity must be a whole number'
+    if quantity < 1:
+        return None, 'quantity must be at least 1'
+    return quantity, None
+
+
+def _exceeds_stock(product, quantity):
+    """Products with stock = None are not stock-tracked and never run out."""
+    return product.stock is not None and quantity > product.stock
+
+
+@main_bp.route('/api/cart', methods=['GET'])
+def get_cart():
+    items = _cart_items()
     return jsonify({
         'success': True,
         'items': [{
             'product_id': i.product_id,
             'quantity': i.quantity,
             'product': i.product.to_dict() if i.product else None,
-        } for i in items]
+        } for i in items],
+        'coupon': _coupon_payload(items),
     })
 
 
@@ -128,10 +297,12 @@ def add_to_cart():
     import uuid
     data = request.get_json() or {}
     product_id = data.get('product_id')
-    quantity = int(data.get('quantity', 1))
+    quantity, error = _parse_quantity(data.get('quantity', 1))
 
     if not product_id:
         return jsonify({'success': False, 'message': 'product_id required'}), 400
+    if error:
+        return jsonify({'success': False, 'message': error}), 400
 
     product = Product.query.filter_by(id=product_id, is_deleted=False).first()
     if not product:
@@ -150,6 +321,11 @@ def add_to_cart():
         session_id=sid
     ).first()
 
+    wanted = quantity + (existing.quantity if existing else 0)
+    if _exceeds_stock(product, wanted):
+        return jsonify({'success': False, 'message': f'{_stock_message(product.stock)} of {product.name}',
+                        'available': max(product.stock, 0)}), 409
+
     if existing:
         existing.quantity += quantity
     else:
@@ -161,27 +337,336 @@ def add_to_cart():
     return jsonify({'success': True, 'message': 'Added to cart'})
 
 
+@main_bp.route('/api/cart/<int:pid>', methods=['PUT'])
+def update_cart_item(pid):
+    data = request.get_json() or {}
+    quantity, error = _parse_quantity(data.get('quantity'))
+    if error:
+        return jsonify({'success': False, 'message': error}), 400
+
+    item = _find_cart_item(pid)
+    if not item:
+        return jsonify({'success': False, 'message': 'Item not in cart'}), 404
+    if item.product and _exceeds_stock(item.product, quantity):
+        return jsonify({'success': False, 'message': f'{_stock_message(item.product.stock)} of {item.product.name}',
+                        'available': max(item.product.stock, 0)}), 409
+
+    item.quantity = quantity
+    db.session.commit()
+    return jsonify({'success': True, 'message': 'Cart updated', 'quantity': item.quantity})
+
+
+@main_bp.route('/api/cart/<int:pid>', methods=['DELETE'])
+def remove_cart_item(pid):
+    item = _find_cart_item(pid)
+    if not item:
+        return jsonify({'success': False, 'message': 'Item not in cart'}), 404
+
+    db.session.delete(item)
+    db.session.commit()
+    return jsonify({'success': True, 'message': 'Removed from cart'})
+
+
+# ─── Coupons ──────────────────────────────────────────────────────────────────
+# The entered code lives in the session and is re-priced against the cart on
+# every read, so a code that stops applying (cart changed, expired, used up)
+# shows why instead of silently vanishing. Checkout prices it once more.
+COUPON_SESSION_KEY = 'coupon_code'
+
+
+def _price_coupon(code, items):
+    """Return (coupon, discount, error) for code against these cart lines."""
+    coupon = Coupon.query.filter_by(code=code.strip().upper()).first()
+    status = coupon.status() if coupon else 'inactive'
+    if status == 'inactive':
+        return None, 0.0, 'This code is not valid'
+    if status == 'expired':
+        return None, 0.0, 'This code has expired'
+    if status == 'used_up':
+        return None, 0.0, 'This code has been fully redeemed'
+
+    lines = [i for i in items if i.product]
+    subtotal = sum(i.product.price * i.quantity for i in lines)
+    if coupon.min_subtotal and subtotal < coupon.min_subtotal:
+        return None, 0.0, f'Spend at least ${coupon.min_subtotal:.2f} to use this code'
+    eligible = sum(i.product.price * i.quantity for i in lines
+                   if not coupon.category_id or i.product.category_id == coupon.category_id)
+    if not eligible:
+        return None, 0.0, (f'This code only applies to {coupon.category.name}' if coupon.category
+                           else 'Your cart is empty')
+
+    if coupon.kind == 'percent':
+        discount = eligible * coupon.value / 100
+    elif coupon.kind == 'fixed':
+        discount = min(coupon.value, eligible)
+    else:
+        discount = 0.0
+    return coupon, round(discount, 2), None
+
+
+def _coupon_payload(items):
+    from flask import session as flask_session
+    code = flask_session.get(COUPON_SESSION_KEY)
+    if not code:
+        return None
+    coupon, discount, error = _price_coupon(code, items)
+    return {
+        'code': code,
+        'summary': coupon.summary() if coupon else None,
+        'discount': discount,
+        'free_shipping': bool(coupon and coupon.kind == 'free_shipping'),
+        'error': error,
+    }
+
+
+def _redeem_coupon(coupon_id):
+    """Count a use in a single conditional UPDATE so the last redemption can't be taken twice."""
+    result = db.session.execute(
+        db.update(Coupon)
+        .where(Coupon.id == coupon_id,
+               db.or_(Coupon.usage_limit.is_(None), Coupon.times_used < Coupon.usage_limit))
+        .values(times_used=Coupon.times_used + 1)
+    )
+    return result.rowcount == 1
+
+
+@main_bp.route('/api/cart/coupon', methods=['POST'])
+def apply_coupon():
+    from flask import session as flask_session
+    data = request.get_json(silent=True) or {}
+    code = str(data.get('code') or '').strip().upper()
+    if not code:
+        return jsonify({'success': False, 'message': 'Enter a promo code'}), 400
+    items = _cart_items()
+    _, _, error = _price_coupon(code, items)
+    if error:
+        return jsonify({'success': False, 'message': error}), 400
+    flask_session[COUPON_SESSION_KEY] = code
+    return jsonify({'success': True, 'message': 'Promo code applied', 'coupon': _coupon_payload(items)})
+
+
+@main_bp.route('/api/cart/coupon', methods=['DELETE'])
+def remove_coupon():
+    from flask import session as flask_session
+    flask_session.pop(COUPON_SESSION_KEY, None)
+    return jsonify({'success': True, 'message': 'Promo code removed'})
+
+
+# ─── Wishlist API (signed-in users; guests keep theirs in localStorage) ───────
+def _wishlist_payload():
+    items = (WishlistItem.query.filter_by(user_id=current_user.id)
+             .order_by(WishlistItem.created_at.desc()).all())
+    return jsonify({
+        'success': True,
+        'items': [{
+            'product_id': i.product_id,
+            'product': i.product.to_dict(),
+        } for i in items if i.product and not i.product.is_deleted],
+    })
+
+
+def _add_to_wishlist(product_id):
+    """Add product_id for the current user; returns False if the product doesn't exist."""
+    product = Product.query.filter_by(id=product_id, is_deleted=False).first()
+    if not product:
+        return False
+    if not WishlistItem.query.filter_by(user_id=current_user.id, product_id=product.id).first():
+        db.session.add(WishlistItem(user_id=current_user.id, product_id=product.id))
+    return True
+
+
+@main_bp.route('/api/wishlist', methods=['GET'])
+@login_required
+def get_wishlist():
+    return _wishlist_payload()
+
+
+@main_bp.route('/api/wishlist', methods=['POST'])
+@login_required
+def add_wishlist_item():
+    data = request.get_json(silent=True) or {}
+    product_id = data.get('product_id')
+    if not isinstance(product_id, int):
+        return jsonify({'success': False, 'message': 'product_id required'}), 400
+    if not _add_to_wishlist(product_id):
+        return jsonify({'success': False, 'message': 'Product not found'}), 404
+    db.session.commit()
+    return jsonify({'success': True, 'message': 'Saved to wishlist'})
+
+
+@main_bp.route('/api/wishlist/<int:pid>', methods=['DELETE'])
+@login_required
+def remove_wishlist_item(pid):
+    item = WishlistItem.query.filter_by(user_id=current_user.id, product_id=pid).first()
+    if not item:
+        return jsonify({'success': False, 'message': 'Item not in wishlist'}), 404
+    db.session.delete(item)
+    db.session.commit()
+    return jsonify({'success': True, 'message': 'Removed from wishlist'})
+
+
+@main_bp.route('/api/wishlist/merge', methods=['POST'])
+@login_required
+def merge_wishlist():
+    """Fold a guest's localStorage wishlist into the account; unknown ids are skipped."""
+    data = request.get_json(silent=True) or {}
+    product_ids = data.get('product_ids')
+    if not isinstance(product_ids, list):
+        return jsonify({'success': False, 'message': 'product_ids must be a list'}), 400
+    for pid in product_ids[:200]:
+        if isinstance(pid, int):
+            _add_to_wishlist(pid)
+    db.session.commit()
+    return _wishlist_payload()
+
+
 # ─── Checkout API ─────────────────────────────────────────────────────────────
+FREE_SHIPPING_THRESHOLD = 150.0
+
+DELIVERY_METHODS = {
+    'standard': {'label': 'Standard Delivery', 'eta': '3-5 business days', 'price': 9.99},
+    'express': {'label': 'Express Delivery', 'eta': 'Within 24 hours', 'price': 19.99},
+    'pickup': {'label': 'Store Pickup', 'eta': 'Ready in 2 hours', 'price': 0.0},
+}
+
+SHIPPING_FIELDS = {
+    'name': 150,
+    'address': 300,
+    'city': 100,
+    'postal_code': 20,
+    'country': 100,
+    'phone': 30,
+}
+
+
+def _shipping_cost(method, subtotal):
+    if method == 'standard' and subtotal >= FREE_SHIPPING_THRESHOLD:
+        return 0.0
+    return DELIVERY_METHODS[method]['price']
+
+
+def _validate_shipping(shipping):
+    """Return (cleaned, errors) for the posted shipping address."""
+    cleaned, errors = {}, {}
+    for field, max_len in SHIPPING_FIELDS.items():
+        value = str(shipping.get(field) or '').strip()
+        if not value and field != 'phone':
+            errors[field] = 'Required'
+        elif len(value) > max_len:
+            errors[field] = f'Must be at most {max_len} characters'
+        cleaned[field] = html.escape(value) or None
+    return cleaned, errors
+
+
+def _stock_problems(items):
+    """Cart lines that can't be fulfilled right now, keyed for the cart drawer."""
+    problems = []
+    for i in items:
+        p = i.product
+        if not p or p.is_deleted:
+            problems.append({'product_id': i.product_id, 'available': 0, 'message': 'No longer available'})
+        elif not i.quantity or i.quantity < 1:
+            # Never price or reserve a line that would credit money or stock back
+            problems.append({'product_id': i.product_id, 'available': max(p.stock or 0, 0),
+                             'message': 'Invalid quantity'})
+        elif _exceeds_stock(p, i.quantity):
+            problems.append({'product_id': i.product_id, 'available': max(p.stock, 0),
+                             'message': _stock_message(p.stock)})
+    return problems
+
+
+def _take_stock(product_id, quantity):
+    """Decrement stock in a single conditional UPDATE so two checkouts can't both take the last unit."""
+    if quantity < 1:
+        return False
+    result = db.session.execute(
+        db.update(Product)
+        .where(Product.id == product_id, Product.stock >= quantity)
+        .values(stock=Product.stock - quantity)
+    )
+    return result.rowcount == 1
+
+
+@main_bp.route('/api/checkout/delivery-methods', methods=['GET'])
+def get_delivery_methods():
+    return jsonify({
+        'success': True,
+        'free_shipping_threshold': FREE_SHIPPING_THRESHOLD,
+        'methods': [{'id': k, **v} for k, v in DELIVERY_METHODS.items()],
+    })
+
+
+def _stock_conflict(problems):
+    return jsonify({
+        'success': False,
+        'message': 'Some items in your cart are no longer available in that quantity',
+        'stock_errors': problems,
+    }), 409
+
+
 @main_bp.route('/api/checkout', methods=['POST'])
 def checkout():
     from flask import session as flask_session
-    uid = current_user.id if current_user.is_authenticated else None
-    sid = flask_session.get('cart_session_id')
-
-    items = []
-    if uid:
-        items = CartItem.query.filter_by(user_id=uid).all()
-    elif sid:
-        items = CartItem.query.filter_by(session_id=sid).all()
+    uid, sid = _cart_owner()
+    data = request.get_json(silent=True) or {}
+    items = _cart_items()
 
     if not items:
         return jsonify({'success': False, 'message': 'Cart is empty'}), 400
 
-    total = sum(i.product.price * i.quantity for i in items if i.product)
-
-    order = Order(user_id=uid, session_id=sid, total_amount=total, status='pending')
+    shipping, errors = _validate_shipping(data.get('shipping') or {})
+    if errors:
+        return jsonify({'success': False, 'message': 'Please check your shipping details',
+                        'errors': errors}), 400
+
+    method = data.get('delivery_method')
+    if method not in DELIVERY_METHODS:
+        return jsonify({'success': False, 'message': 'Please choose a delivery method'}), 400
+
+    problems = _stock_problems(items)
+    if problems:
+        return _stock_conflict(problems)
+
+    # Priced here from the stored code; the client's idea of the discount is never used
+    coupon, discount = None, 0.0
+    code = flask_session.get(COUPON_SESSION_KEY)
+    if code:
+        coupon, discount, error = _price_coupon(code, items)
+        if error:
+            return jsonify({'success': False, 'message': error, 'coupon_error': True}), 409
+
+    subtotal = sum(i.product.price * i.quantity for i in items if i.product)
+    shipping_cost = 0.0 if coupon and coupon.kind == 'free_shipping' else _shipping_cost(method, subtotal)
+    total = round(subtotal - discount + shipping_cost, 2)
+
+    order = Order(
+        user_id=uid, session_id=sid, total_amount=total, status='pending',
+        shipping_name=shipping['name'],
+        shipping_address=shipping['address'],
+        shipping_city=shipping['city'],
+        shipping_postal_code=shipping['postal_code'],
+        shipping_country=shipping['country'],
+        shipping_phone=shipping['phone'],
+        delivery_method=method,
+        shipping_cost=shipping_cost,
+        stock_reserved=True,
+        coupon_code=coupon.code if coupon else None,
+        discount_amount=discount if coupon else None,
+    )
     db.session.add(order)
     db.session.flush()
+    db.session.add(OrderStatusEvent(order_id=order.id, status='pending'))
+
+    for i in items:
+        if i.product.stock is not None and not _take_stock(i.product_id, i.quantity):
+            # Someone else bought it between the check above and now
+            db.session.rollback()
+            return _stock_conflict(_stock_problems(items) or [{
+                'product_id': i.product_id, 'available': 0, 'message': 'No longer available'}])
+    if coupon and not _redeem_coupon(coupon.id):
+        db.session.rollback()
+        return jsonify({'success': False, 'message': 'This code has been fully redeemed',
+                        'coupon_error': True}), 409
 
     for i in items:
         oi = OrderItem(
@@ -194,4 +679,12 @@ def checkout():
         db.session.delete(i)
 
     db.session.commit()
-    return jsonify({'success': True, 'order_id': order.id, 'total': total})
+    flask_session.pop(COUPON_SESSION_KEY, None)
+    return jsonify({
+        'success': True,
+        'order_id': order.id,
+        'subtotal': round(subtotal, 2),
+        'discount': discount,
+        'shipping_cost': shipping_cost,
+        'total': total,
+    })
@@ -2,10 +2,31 @@ from flask_sqlalchemy import SQLAlchemy
 from flask_login import UserMixin
 from werkzeug.security import generate_password_hash, check_password_hash
 from datetime import datetime
+import json
 
 db = SQLAlchemy()
 
 
+def upgrade_schema():
+    """Add columns introduced after a table was first created.
+
+    db.create_all() only creates missing tables, so existing SQLite files
+    would otherwise lack newer columns. New columns must be nullable.
+    """
+    inspector = db.inspect(db.engine)
+    for table in db.metadata.sorted_tables:
+        if not inspector.has_table(table.name):
+            continue
+        existing = {c['name'] for c in inspector.get_columns(table.name)}
+        for column in table.columns:
+            if column.name in existing:
+                continue
+            col_type = column.type.compile(dialect=db.engine.dialect)
+            db.session.execute(db.text(
+                f'ALTER TABLE "{table.name}" ADD COLUMN "{column.name}" {col_type}'))
+    db.session.commit()
+
+
 # ─── Users ───────────────────────────────────────────────────────────────────
 class User(db.Model, UserMixin):
     id = db.Column(db.Integer, primary_key=True)
@@ -13,8 +34,14 @@ class User(db.Model, UserMixin):
     email = db.Column(db.String(150), unique=True, nullable=True)
     password_hash = db.Column(db.String(255), nullable=False)
     is_admin = db.Column(db.Boolean, default=False)
+    disabled_at = db.Column(db.DateTime, nullable=True)  # set by an admin; disabled accounts can't sign in
     created_at = db.Column(db.DateTime, default=datetime.utcnow)
 
+    @property
+    def is_active(self):
+        # Flask-Login refuses to log in inactive users
+        return self.disabled_at is None
+
     def set_password(self, password):
         self.password_hash = generate_password_hash(password)
 
@@ -57,6 +84,7 @@ class Category(db.Model):
 class Product(db.Model):
     id = db.Column(db.Integer, primary_key=True)
     name = db.Column(db.String(200), nullable=False)
+    sku = db.Column(db.String(64), nullable=True)  # unique among products; enforced in the admin API
     description = db.Column(db.Text, nullable=True)
     price = db.Column(db.Float, nullable=False)
     old_price = db.Column(db.Float, nullable=True)
@@ -69,6 +97,7 @@ class Product(db.Model):
     tag = db.Column(db.String(50), nullable=True)  # 'new', 'sale', 'hot', 'stock'
     is_featured = db.Column(db.Boolean, default=False)
     is_deleted = db.Column(db.Boolean, default=False)
+    deleted_at = db.Column(db.DateTime, nullable=True)
     category_id = db.Column(db.Integer, db.ForeignKey('category.id'), nullable=True)
     created_at = db.Column(db.DateTime, default=datetime.utcnow)
 
@@ -76,6 +105,7 @@ class Product(db.Model):
         return {
             'id': self.id,
             'name': self.name,
+            'sku': self.sku,
             'description': self.description,
             'price': self.price,
             'old_price': self.old_price,
@@ -101,23 +131,73 @@ class CartItem(db.Model):
     product = db.relationship('Product', backref='cart_items')
 
 
+# ─── Wishlist ─────────────────────────────────────────────────────────────────
+class WishlistItem(db.Model):
+    __table_args__ = (db.UniqueConstraint('user_id', 'product_id'),)
+    id = db.Column(db.Integer, primary_key=True)
+    user_id = db.Column(db.Integer, db.ForeignKey('user.id'), nullable=False)
+    product_id = db.Column(db.Integer, db.ForeignKey('product.id'), nullable=False)
+    created_at = db.Column(db.DateTime, default=datetime.utcnow)
+    product = db.relationship('Product')
+
+
 # ─── Orders ───────────────────────────────────────────────────────────────────
 class Order(db.Model):
+    STATUSES = ('pending', 'processing', 'shipped', 'delivered', 'cancelled')
+    # Allowed next statuses; delivered and cancelled are final
+    TRANSITIONS = {
+        'pending': ('processing', 'cancelled'),
+        'processing': ('shipped', 'cancelled'),
+        'shipped': ('delivered',),
+        'delivered': (),
+        'cancelled': (),
+    }
+
     id = db.Column(db.Integer, primary_key=True)
     user_id = db.Column(db.Integer, db.ForeignKey('user.id'), nullable=True)
     session_id = db.Column(db.String(150), nullable=True)
     total_amount = db.Column(db.Float, default=0.0)
     status = db.Column(db.String(50), default='pending')  # pending, processing, shipped, delivered
+    shipping_name = db.Column(db.String(150), nullable=True)
+    shipping_address = db.Column(db.String(300), nullable=True)
+    shipping_city = db.Column(db.String(100), nullable=True)
+    shipping_postal_code = db.Column(db.String(20), nullable=True)
+    shipping_country = db.Column(db.String(100), nullable=True)
+    shipping_phone = db.Column(db.String(30), nullable=True)
+    delivery_method = db.Column(db.String(30), nullable=True)  # standard, express, pickup
+    shipping_cost = db.Column(db.Float, default=0.0)
+    stock_reserved = db.Column(db.Boolean, nullable=True)  # stock was taken at checkout; give it back on cancel
+    coupon_code = db.Column(db.String(40), nullable=True)
+    discount_amount = db.Column(db.Float, nullable=True)  # taken off the items by coupon_code
     created_at = db.Column(db.DateTime, default=datetime.utcnow)
     items = db.relationship('OrderItem', backref='order', lazy=True)
     user = db.relationship('User', backref='orders')
+    history = db.relationship('OrderStatusEvent', backref='order', lazy=True,
+                              order_by='OrderStatusEvent.created_at')
+
+    def next_statuses(self):
+        return self.TRANSITIONS.get(self.status, ())
 
     def to_dict(self):
         return {
             'id': self.id,
             'user_id': self.user_id,
+            'username': self.user.username if self.user else None,
             'total_amount': self.total_amount,
             'status': self.status,
+            'next_statuses': list(self.next_statuses()),
+            'shipping': {
+                'name': self.shipping_name,
+                'address': self.shipping_address,
+                'city': self.shipping_city,
+                'postal_code': self.shipping_postal_code,
+                'country': self.shipping_country,
+                'phone': self.shipping_phone,
+            },
+            'delivery_method': self.delivery_method,
+            'shipping_cost': self.shipping_cost,
+            'coupon_code': self.coupon_code,
+            'discount_amount': self.discount_amount or 0.0,
             'created_at': self.created_at.isoformat(),
             'items': [i.to_dict() for i in self.items],
         }
@@ -135,11 +215,31 @@ class OrderItem(db.Model):
         return {
             'product_id': self.product_id,
             'product_name': self.product.name if self.product else '',
+            'sku': self.product.sku if self.product else None,
+            'image': self.product.image if self.product else None,
             'quantity': self.quantity,
             'price': self.price_at_purchase,
         }
 
 
+class OrderStatusEvent(db.Model):
+    """One entry in an order's status timeline."""
+    __tablename__ = 'order_status_event'
+    id = db.Column(db.Integer, primary_key=True)
+    order_id = db.Column(db.Integer, db.ForeignKey('order.id'), nullable=False)
+    status = db.Column(db.String(50), nullable=False)
+    changed_by_id = db.Column(db.Integer, db.ForeignKey('user.id'), nullable=True)  # null = customer/system
+    created_at = db.Column(db.DateTime, default=datetime.utcnow)
+    changed_by = db.relationship('User')
+
+    def to_dict(self):
+        return {
+            'status': self.status,
+            'changed_by': self.changed_by.username if self.changed_by else None,
+            'at': self.created_at.isoformat(timespec='seconds') + 'Z',
+        }
+
+
 # ─── Banner Slides ────────────────────────────────────────────────────────────
 class BannerSlide(db.Model):
     id = db.Column(db.Integer, primary_key=True)
@@ -164,6 +264,145 @@ class BannerSlide(db.Model):
             'image_url': self.image_url,
             'bg_gradient': self.bg_gradient,
             'sort_order': self.sort_order,
+            'is_active': self.is_active,
+        }
+
+
+# ─── Flash Sales ─────────────────────────────────────────────────────────────
+class FlashSale(db.Model):
+    """A scheduled flash-sale campaign shown in the homepage deal section.
+
+    Timestamps are naive UTC, like every other DateTime column here.
+    """
+    __tablename__ = 'flash_sale'
+    id = db.Column(db.Integer, primary_key=True)
+    title = db.Column(db.String(200), nullable=False)
+    subtitle = db.Column(db.String(300), nullable=True)
+    product_id = db.Column(db.Integer, db.ForeignKey('product.id'), nullable=True)
+    sale_price = db.Column(db.Float, nullable=True)
+    original_price = db.Column(db.Float, nullable=True)
+    image_url = db.Column(db.String(500), nullable=True)
+    starts_at = db.Column(db.DateTime, nullable=False)
+    ends_at = db.Column(db.DateTime, nullable=False)
+    is_active = db.Column(db.Boolean, default=True)
+    created_at = db.Column(db.DateTime, default=datetime.utcnow)
+
+    def status(self, now=None):
+        now = now or datetime.utcnow()
+        if now < self.starts_at:
+            return 'upcoming'
+        if now >= self.ends_at:
+            return 'ended'
+        return 'active'
+
+    def to_dict(self):
+        return {
+            'id': self.id,
+            'title': self.title,
+            'subtitle': self.subtitle,
+            'product_id': self.product_id,
+            'sale_price': self.sale_price,
+            'original_price': self.original_price,
+            'image_url': self.image_url,
+            # Explicit UTC marker so browsers don't parse these as local time
+            'starts_at': self.starts_at.isoformat(timespec='seconds') + 'Z',
+            'ends_at': self.ends_at.isoformat(timespec='seconds') + 'Z',
+            'is_active': self.is_active,
+            'status': self.status(),
+        }
+
+
+# ─── Coupons ─────────────────────────────────────────────────────────────────
+class Coupon(db.Model):
+    """A promo code customers enter in the cart drawer.
+
+    kind is 'percent' (value = % off), 'fixed' (value = amount off) or
+    'free_shipping' (value unused). With category_id set, only items in that
+    category count towards the discount. expires_at is naive UTC.
+    """
+    __tablename__ = 'coupon'
+    KINDS = ('percent', 'fixed', 'free_shipping')
+
+    id = db.Column(db.Integer, primary_key=True)
+    code = db.Column(db.String(40), unique=True, nullable=False)  # stored upper-case
+    kind = db.Column(db.String(20), nullable=False)
+    value = db.Column(db.Float, nullable=True)
+    min_subtotal = db.Column(db.Float, nullable=True)
+    expires_at = db.Column(db.DateTime, nullable=True)
+    usage_limit = db.Column(db.Integer, nullable=True)  # None = unlimited
+    times_used = db.Column(db.Integer, default=0)
+    category_id = db.Column(db.Integer, db.ForeignKey('category.id'), nullable=True)
+    is_active = db.Column(db.Boolean, default=True)
+    created_at = db.Column(db.DateTime, default=datetime.utcnow)
+    category = db.relationship('Category')
+
+    def status(self, now=None):
+        if not self.is_active:
+            return 'inactive'
+        if self.expires_at and (now or datetime.utcnow()) >= self.expires_at:
+            return 'expired'
+        if self.usage_limit is not None and (self.times_used or 0) >= self.usage_limit:
+            return 'used_up'
+        return 'active'
+
+    def summary(self):
+        """What the code gives, e.g. "10% off Phones"."""
+        if self.kind == 'free_shipping':
+            return f'Free shipping on orders with {self.category.name}' if self.category else 'Free shipping'
+        text = f'{self.value:g}% off' if self.kind == 'percent' else f'${self.value:.2f} off'
+        return f'{text} {self.category.name}' if self.category else text
+
+    def to_dict(self):
+        return {
+            'id': self.id,
+            'code': self.code,
+            'kind': self.kind,
+            'value': self.value,
+            'min_subtotal': self.min_subtotal,
+            'expires_at': self.expires_at.isoformat(timespec='seconds') + 'Z' if self.expires_at else None,
+            'usage_limit': self.usage_limit,
+            'times_used': self.times_used or 0,
+            'category_id': self.category_id,
+            'category_name': self.category.name if self.category else None,
+            'is_active': self.is_active,
+            'status': self.status(),
+            'summary': self.summary(),
+        }
+
+
+# ─── Media Library ───────────────────────────────────────────────────────────
+class MediaFile(db.Model):
+    """An uploaded image stored under UPLOAD_FOLDER and served from /media/."""
+    __tablename__ = 'media_file'
+    id = db.Column(db.Integer, primary_key=True)
+    filename = db.Column(db.String(100), unique=True, nullable=False)
+    thumb_filename = db.Column(db.String(100), nullable=False)
+    original_name = db.Column(db.String(255), nullable=True)
+    content_type = db.Column(db.String(50), nullable=False)
+    size = db.Column(db.Integer, default=0)  # bytes, after re-encoding
+    width = db.Column(db.Integer, nullable=True)
+    height = db.Column(db.Integer, nullable=True)
+    created_at = db.Column(db.DateTime, default=datetime.utcnow)
+
+    @property
+    def url(self):
+        return f'/media/{self.filename}'
+
+    @property
+    def thumb_url(self):
+        return f'/media/thumbs/{self.thumb_filename}'
+
+    def to_dict(self):
+        return {
+            'id': self.id,
+            'url': self.url,
+            'thumb_url': self.thumb_url,
+            'original_name': self.original_name,
+            'content_type': self.content_type,
+            'size': self.size,
+            'width': self.width,
+            'height': self.height,
+            'created_at': self.created_at.isoformat(timespec='seconds') + 'Z',
         }
 
 
@@ -189,3 +428,95 @@ class UIAsset(db.Model):
             'section': self.section,
             'description': self.description,
         }
+
+
+# Color assets and the main.css custom property each one drives. ui-config.js
+# mirrors the key → property mapping for live previews.
+THEME_COLORS = [
+    # (key, css property, label, default, description)
+    ('theme_blue', '--blue', 'Theme → Primary', '#2563EB', 'Buttons, links, prices and highlights'),
+    ('theme_blue_dark', '--blue-dark', 'Theme → Primary Hover', '#1D4ED8', 'Hover and pressed state of primary buttons'),
+    ('theme_blue_light', '--blue-light', 'Theme → Primary Tint', '#EFF6FF', 'Pale background behind primary-colored text'),
+    ('theme_green', '--green', 'Theme → Success', '#16A34A', 'In-stock labels and confirmations'),
+    ('theme_orange', '--orange', 'Theme → Warning', '#EA580C', 'Low-stock and warning labels'),
+    ('theme_red', '--red', 'Theme → Sale / Danger', '#DC2626', 'Sale badges, discounts and errors'),
+    ('theme_dark', '--dark', 'Theme → Dark Surface', '#0F172A', 'Footer and dark promo sections'),
+    ('theme_dark2', '--dark2', 'Theme → Dark Surface (raised)', '#1E293B', 'Cards and borders on dark sections'),
+    ('theme_text', '--gray-800', 'Theme → Body Text', '#1F2937', 'Default text color'),
+    ('theme_background', '--white', 'Theme → Page Background', '#FFFFFF', 'Page background color'),
+]
+THEME_DARK_MODE_KEY = 'theme_dark_mode'  # 'on' adds a generated palette for visitors who prefer dark mode
+THEME_KEYS = [c[0] for c in THEME_COLORS] + [THEME_DARK_MODE_KEY]
+
+
+class UIAssetDraft(db.Model):
+    """Unpublished value for a UI asset; one row per edited key until the next publish."""
+    __tablename__ = 'ui_asset_draft'
+    id = db.Column(db.Integer, primary_key=True)
+    key = db.Column(db.String(100), unique=True, nullable=False)
+    value = db.Column(db.Text, nullable=True)
+    updated_by_id = db.Column(db.Integer, db.ForeignKey('user.id'), nullable=True)
+    updated_at = db.Column(db.DateTime, default=datetime.utcnow, onupdate=datetime.utcnow)
+
+
+class UIAssetVersion(db.Model):
+    """One publish (or rollback) of UI assets: what changed, and every live value afterwards."""
+    __tablename__ = 'ui_asset_version'
+    id = db.Column(db.Integer, primary_key=True)
+    note = db.Column(db.String(200), nullable=True)
+    changes = db.Column(db.Text, nullable=False)   # JSON [{key, before, after}]
+    snapshot = db.Column(db.Text, nullable=False)  # JSON {key: value}
+    published_by_id = db.Column(db.Integer, db.ForeignKey('user.id'), nullable=True)
+    created_at = db.Column(db.DateTime, default=datetime.utcnow)
+    published_by = db.relationship('User')
+
+    def to_dict(self):
+        return {
+            'id': self.id,
+            'note': self.note,
+            'changes': json.loads(self.changes),
+            'published_by': self.published_by.username if self.published_by else None,
+            'created_at': self.created_at.isoformat(timespec='seconds') + 'Z',
+        }
+
+
+class Theme(db.Model):
+    """A named set of theme values ({UI asset key: value}, see THEME_KEYS).
+
+    Applying a theme publishes its values to the live assets. A theme with
+    starts_at/ends_at instead overrides the live values on its own while the
+    window is open (naive UTC, like FlashSale), e.g. for a seasonal look.
+    """
+    __tablename__ = 'theme'
+    id = db.Column(db.Integer, primary_key=True)
+    name = db.Column(db.String(100), nullable=False)
+    values = db.Column(db.Text, nullable=False)  # JSON {key: value}
+    starts_at = db.Column(db.DateTime, nullable=True)
+    ends_at = db.Column(db.DateTime, nullable=True)
+    created_at = db.Column(db.DateTime, default=datetime.utcnow)
+
+    def status(self, now=None):
+        if not self.starts_at or not self.ends_at:
+            return 'saved'
+        now = now or datetime.utcnow()
+        if now < self.starts_at:
+            return 'upcoming'
+        if now >= self.ends_at:
+            return 'ended'
+        return 'active'
+
+    @classmethod
+    def scheduled(cls, now=None):
+        """The theme whose schedule window is open right now, if any."""
+        now = now or datetime.utcnow()
+        return cls.query.filter(cls.starts_at <= now, cls.ends_at > now).order_by(cls.starts_at.desc()).first()
+
+    def to_dict(self):
+        return {
+            'id': self.id,
+            'name': self.name,
+            'values': json.loads(self.values),
+            'starts_at': self.starts_at.isoformat(timespec='seconds') + 'Z' if self.starts_at else None,
+            'ends_at': self.ends_at.isoformat(timespec='seconds') + 'Z' if self.ends_at else None,
+            'status': self.status(),
+        }
@@ -2,11 +2,11 @@
 Seed script — populates the DB with realistic demo data.
 Run via: python seed.py  OR  call run_seed() from admin API.
 """
-from datetime import datetime
+from datetime import datetime, timedelta
 
 
 def run_seed():
-    from models import db, User, Category, Product, BannerSlide, UIAsset
+    from models import db, User, Category, Product, BannerSlide, FlashSale, UIAsset
 
     # ── Admin User ────────────────────────────────────────────────────────────
     if not User.query.filter_by(username='admin').first():
@@ -195,6 +195,22 @@ def run_seed():
             b = BannerSlide(**bd)
             db.session.add(b)
 
+    # ── Flash Sale Campaign ───────────────────────────────────────────────────
+    if not FlashSale.query.first():
+        ps5 = Product.query.filter_by(name='PlayStation 5 Digital Edition').first()
+        now = datetime.utcnow()
+        db.session.add(FlashSale(
+            title='PlayStation 5\nDigital Edition',
+            subtitle='Experience lightning-fast loading with an ultra-high speed SSD, deeper '
+                     'immersion with support for haptic feedback.',
+            product_id=ps5.id if ps5 else None,
+            sale_price=399.0,
+            original_price=499.0,
+            image_url='https://images.unsplash.com/photo-1606813907291-d86efa9b94db?auto=format&fit=crop&q=80&w=600&h=400',
+            starts_at=now,
+            ends_at=now + timedelta(days=3),
+        ))
+
     # ── UI Assets (Dynamic CMS Content) ──────────────────────────────────────
     ui_assets_data = [
         # Topbar
@@ -268,10 +284,28 @@ def run_seed():
                             asset_type=atype, section=section, description=desc)
             db.session.add(asset)
 
+    seed_theme_assets()
     db.session.commit()
     print('[Seed] OK - Database seeded with demo data.')
 
 
+def seed_theme_assets():
+    """Add any missing theme color assets. Safe to run on every start-up, so
+    databases seeded before the theme engine get them too."""
+    from models import db, UIAsset, THEME_COLORS, THEME_DARK_MODE_KEY
+
+    existing = {a.key for a in UIAsset.query.filter_by(section='theme')}
+    for key, _prop, label, value, desc in THEME_COLORS:
+        if key not in existing:
+            db.session.add(UIAsset(key=key, label=label, value=value,
+                                   asset_type='color', section='theme', description=desc))
+    if THEME_DARK_MODE_KEY not in existing:
+        db.session.add(UIAsset(key=THEME_DARK_MODE_KEY, label='Theme → Automatic Dark Mode', value='off',
+                               asset_type='toggle', section='theme',
+                               description="Follow the visitor's dark-mode setting with a generated dark palette"))
+    db.session.commit()
+
+
 if __name__ == '__main__':
     from app import create_app
     app = create_app()
@@ -5,18 +5,27 @@
 (function () {
     'use strict';
 
+    const { html, raw, decode } = window.dom;
+    const PLACEHOLDER_IMG = 'https://via.placeholder.com/80';
+
     // ─── State ─────────────────────────────────────────────────────────────
     let currentAdminSection = 'dashboard';
     let csrfToken = null;
+    let adminSessionOk = false;
 
     // ─── Init ───────────────────────────────────────────────────────────────
     document.addEventListener('DOMContentLoaded', () => {
         fetchCsrfToken();
     });
 
+    // Storefront sign-in/out changes who the session belongs to
+    document.addEventListener('authChanged', (e) => {
+        adminSessionOk = Boolean(e.detail.user && e.detail.user.is_admin);
+    });
+
     async function fetchCsrfToken() {
         try {
-            const res = await fetch('/auth/csrf-token');
+            const res = await fetch('/auth/csrf-token', { credentials: 'same-origin' });
             const data = await res.json();
             csrfToken = data.csrf_token;
         } catch (e) {
@@ -25,26 +34,149 @@
     }
 
     // ─── API Helper ─────────────────────────────────────────────────────────
-    window.adminApi = {
-        async request(method, url, body = null) {
-            const opts = {
-                method,
-                headers: { 'Content-Type': 'application/json' },
-                credentials: 'same-origin',
-            };
-            if (body) {
-                if (csrfToken) body.csrf_token = csrfToken;
-                opts.body = JSON.stringify(body);
+    // Every admin call goes through adminApi.request:
+    //  - a rejected CSRF token is refreshed and the request sent once more
+    //  - 401/403 sends the admin to the login page; the request is replayed,
+    //    and its caller resumed, once they have signed in again
+    //  - GETs are retried with backoff on network errors and 5xx answers
+    //  - error pages that aren't JSON (proxy 502s, HTML 404s) become a message
+    //  - GETs belong to the open section and are aborted when it changes
+    const GET_RETRIES = 2;
+    const RETRY_DELAY_MS = 500;
+    const LOADING_DELAY_MS = 150;
+    const CANCELLED = 'Request cancelled';
+
+    let sectionRequests = new AbortController();
+    let pendingRequests = 0;
+    let loadingTimer = null;
+    // Requests stopped by an expired session: { run, resolve, reject }
+    let awaitingLogin = [];
+    let resumeRoute = null;
+
+    class ApiError extends Error {
+        constructor(message, status = 0) {
+            super(message);
+            this.name = 'ApiError';
+            this.status = status;
+        }
+    }
+
+    const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+    function setLoading(delta) {
+        pendingRequests += delta;
+        const bar = document.getElementById('admin-loading');
+        if (!bar) return;
+        clearTimeout(loadingTimer);
+        // Quick requests finish before the bar shows, so it doesn't flicker
+        if (pendingRequests > 0) loadingTimer = setTimeout(() => { bar.hidden = false; }, LOADING_DELAY_MS);
+        else bar.hidden = true;
+    }
+
+    async function readBody(res) {
+        const text = await res.text();
+        try {
+            return JSON.parse(text);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    async function send(method, url, body, signal) {
+        const opts = {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'same-origin',
+            signal,
+        };
+        if (body) {
+            if (!csrfToken) await fetchCsrfToken();
+            opts.body = JSON.stringify({ ...body, csrf_token: csrfToken });
+        }
+        let res;
+        try {
+            res = await fetch(url, opts);
+        } catch (e) {
+            if (e.name === 'AbortError') throw new ApiError(CANCELLED);
+            throw new ApiError('Network error: check your connection and try again');
+        }
+        const data = await readBody(res);
+        if (res.ok && data) return data;
+        if (res.ok) throw new ApiError('Unexpected response from the server', res.status);
+        throw new ApiError(data?.message || `Request failed (HTTP ${res.status})`, res.status);
+    }
+
+    async function request(method, url, body = null) {
+        const isGet = method === 'GET';
+        const signal = isGet ? sectionRequests.signal : undefined;
+        setLoading(1);
+        try {
+            for (let attempt = 0; ; attempt++) {
+                try {
+                    return await send(method, url, body, signal);
+                } catch (e) {
+                    if (e.status === 400 && e.message === 'Invalid CSRF token' && attempt === 0) {
+                        await fetchCsrfToken();
+                        continue;
+                    }
+                    const transient = e.message !== CANCELLED && (e.status === 0 || e.status >= 500);
+                    if (isGet && transient && attempt < GET_RETRIES) {
+                        await sleep(RETRY_DELAY_MS * 2 ** attempt);
+                        continue;
+                    }
+                    throw e;
+                }
             }
-            const res = await fetch(url, opts);
-            const data = await res.json();
-            if (!res.ok) throw new Error(data.message || 'Request failed');
-            return data;
-        },
-        get: (url) => window.adminApi.request('GET', url),
-        post: (url, body) => window.adminApi.request('POST', url, body),
-        put: (url, body) => window.adminApi.request('PUT', url, body),
-        delete: (url) => window.adminApi.request('DELETE', url, {}),
+        } catch (e) {
+            // Sign-in failures under /auth/ are for the login form to show
+            if ((e.status === 401 || e.status === 403) && !url.startsWith('/auth/')) {
+                return waitForLogin(() => request(method, url, body));
+            }
+            throw e;
+        } finally {
+            setLoading(-1);
+        }
+    }
+
+    function waitForLogin(run) {
+        adminSessionOk = false;
+        if (!resumeRoute) {
+            const route = location.hash.slice(1);
+            resumeRoute = route.startsWith('/admin/') && route !== '/admin/login' ? route : '/admin/dashboard';
+            showAdminToast('Your session has expired. Sign in again to continue.', true);
+            window.switchPage('admin-login');
+        }
+        return new Promise((resolve, reject) => awaitingLogin.push({ run, resolve, reject }));
+    }
+
+    function resumeAfterLogin() {
+        const route = resumeRoute;
+        const queued = awaitingLogin;
+        resumeRoute = null;
+        awaitingLogin = [];
+        if (route) window.router.navigate(route);
+        else window.switchPage('admin');
+        queued.forEach(({ run, resolve, reject }) => run().then(resolve, reject));
+    }
+
+    function cancelAwaitingLogin() {
+        awaitingLogin.forEach(({ reject }) => reject(new ApiError(CANCELLED)));
+        awaitingLogin = [];
+        resumeRoute = null;
+    }
+
+    // Called on section change: loads for the section being left are dropped
+    function cancelSectionRequests() {
+        sectionRequests.abort();
+        sectionRequests = new AbortController();
+    }
+
+    window.adminApi = {
+        request,
+        get: (url) => request('GET', url),
+        post: (url, body) => request('POST', url, body),
+        put: (url, body) => request('PUT', url, body),
+        delete: (url) => request('DELETE', url, {}),
     };
 
     // ─── Admin Login ────────────────────────────────────────────────────────
@@ -65,8 +197,9 @@
         try {
             const data = await adminApi.post('/auth/admin-login', { username, password });
             if (data.success) {
-                window.switchPage('admin');
-                loadAdminDashboard();
+                adminSessionOk = true;
+                if (window.auth) window.auth.refresh();
+                resumeAfterLogin();
             }
         } catch (e) {
             if (errEl) errEl.textContent = e.message;
@@ -75,8 +208,23 @@
         }
     };
 
+    // Router guard for #/admin/* — confirms the session belongs to an admin
+    window.checkAdminSession = async function () {
+        if (adminSessionOk) return true;
+        try {
+            const res = await fetch('/auth/me', { credentials: 'same-origin' });
+            const data = await res.json();
+            adminSessionOk = Boolean(res.ok && data.user && data.user.is_admin);
+        } catch (e) {
+            adminSessionOk = false;
+        }
+        return adminSessionOk;
+    };
+
     // ─── Dashboard ──────────────────────────────────────────────────────────
     window.loadAdminDashboard = async function () {
+        loadLowStock();
+        loadAnalytics();
         try {
             const data = await adminApi.get('/admin/stats');
             const s = data.stats;
@@ -92,8 +240,182 @@
         }
     };
 
+    // ─── Low Stock ────────────────────────────────────────────────────────────
+    const LOW_STOCK_KEY = 'em_low_stock_threshold';
+
+    async function loadLowStock() {
+        const list = document.getElementById('low-stock-list');
+        const input = document.getElementById('low-stock-threshold');
+        if (!list || !input) return;
+        // Empty = the server's LOW_STOCK_THRESHOLD
+        const saved = localStorage.getItem(LOW_STOCK_KEY);
+        const query = saved !== null ? `?threshold=${encodeURIComponent(saved)}` : '';
+        try {
+            const data = await adminApi.get(`/admin/stock/low${query}`);
+            input.value = data.threshold;
+            const stat = document.getElementById('stat-low-stock');
+            if (stat) stat.textContent = data.total;
+            if (!data.products.length) {
+                list.innerHTML = '<li class="admin-low-stock-empty">Everything is well stocked.</li>';
+                return;
+            }
+            list.innerHTML = html`${data.products.map(p => html`
+                <li>
+                    <span class="admin-low-stock-name">${p.name}${p.sku && html` <small>${p.sku}</small>`}</span>
+                    <span class="admin-low-stock-count ${p.stock <= 0 ? 'out' : ''}">${p.stock <= 0 ? 'Out of stock' : `${p.stock} left`}</span>
+                    <button class="admin-btn admin-btn-sm" data-action="editProduct" data-arg="${p.id}">Restock</button>
+                </li>
+            `)}${data.total > data.products.length
+                && html`<li class="admin-low-stock-empty">…and ${data.total - data.products.length} more</li>`}`;
+        } catch (e) {
+            list.innerHTML = html`<li style="color:red;">${e.message}</li>`;
+        }
+    }
+
+    document.addEventListener('DOMContentLoaded', () => {
+        const input = document.getElementById('low-stock-threshold');
+        input?.addEventListener('change', () => {
+            const value = parseInt(input.value);
+            if (Number.isInteger(value) && value >= 0) localStorage.setItem(LOW_STOCK_KEY, value);
+            else localStorage.removeItem(LOW_STOCK_KEY);
+            loadLowStock();
+        });
+    });
+
+    // ─── Sales Analytics ──────────────────────────────────────────────────────
+    // Match the .status-* badge colours
+    const STATUS_COLORS = {
+        pending: '#CA8A04',
+        processing: '#2563EB',
+        shipped: '#7C3AED',
+        delivered: '#16A34A',
+        cancelled: '#DC2626',
+    };
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    let analyticsSeq = 0;
+
+    // Order dates are stored in UTC, so ranges are picked in UTC too
+    const isoDate = (d) => d.toISOString().slice(0, 10);
+
+    function formatMoney(value) {
+        return `$${Number(value).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+    }
+
+    function formatMoneyAxis(value) {
+        return value >= 1000 ? `$${(value / 1000).toFixed(value >= 10000 ? 0 : 1)}k` : `$${value}`;
+    }
+
+    function formatPeriod(period, interval) {
+        const date = new Date(interval === 'month' ? `${period}-01` : period);
+        return date.toLocaleDateString(undefined, interval === 'month'
+            ? { month: 'short', year: 'numeric', timeZone: 'UTC' }
+            : { month: 'short', day: 'numeric', timeZone: 'UTC' });
+    }
+
+    function applyAnalyticsPreset() {
+        const days = parseInt(document.getElementById('analytics-preset').value);
+        if (!days) return;
+        const to = new Date();
+        document.getElementById('analytics-from').value = isoDate(new Date(to.getTime() - (days - 1) * DAY_MS));
+        document.getElementById('analytics-to').value = isoDate(to);
+        document.getElementById('analytics-interval').value = days > 120 ? 'month' : days > 31 ? 'week' : 'day';
+    }
+
+    function analyticsQuery() {
+        return new URLSearchParams({
+            date_from: document.getElementById('analytics-from').value,
+            date_to: document.getElementById('analytics-to').value,
+            interval: document.getElementById('analytics-interval').value,
+        });
+    }
+
+    async function loadAnalytics() {
+        const errorEl = document.getElementById('analytics-error');
+        if (!window.svgCharts || !errorEl) return;
+        if (!document.getElementById('analytics-from').value) applyAnalyticsPreset();
+        const seq = ++analyticsSeq;
+        const query = analyticsQuery();
+        try {
+            const [sales, products, categories, statuses] = await Promise.all([
+                adminApi.get(`/admin/analytics/sales?${query}`),
+                adminApi.get(`/admin/analytics/top-products?${query}`),
+                adminApi.get(`/admin/analytics/top-categories?${query}`),
+                adminApi.get(`/admin/analytics/status?${query}`),
+            ]);
+            if (seq !== analyticsSeq) return;
+            errorEl.hidden = true;
+            renderAnalytics(sales, products.products, categories.categories, statuses.statuses);
+        } catch (e) {
+            if (seq !== analyticsSeq) return;
+            errorEl.textContent = e.message;
+            errorEl.hidden = false;
+        }
+    }
+
+    function renderAnalytics(sales, products, categories, statuses) {
+        const { svgCharts } = window;
+        const labels = sales.series.map(p => formatPeriod(p.period, sales.interval));
+
+        document.getElementById('analytics-revenue').textContent = formatMoney(sales.summary.revenue);
+        document.getElementById('analytics-orders').textContent = sales.summary.orders;
+        document.getElementById('analytics-aov').textContent = formatMoney(sales.summary.average_order_value);
+
+        svgCharts.timeSeries(document.getElementById('chart-revenue'), {
+            labels,
+            values: sales.series.map(p => p.revenue),
+            format: formatMoneyAxis,
+            title: 'Revenue',
+        });
+        svgCharts.timeSeries(document.getElementById('chart-orders'), {
+            labels,
+            values: sales.series.map(p => p.orders),
+            type: 'bar',
+            color: '#7C3AED',
+            integer: true,
+            title: 'Orders',
+        });
+        svgCharts.barList(document.getElementById('chart-top-products'), {
+            items: products.map(p => ({ label: p.name, value: p.units, revenue: p.revenue })),
+            format: (v) => `${v} sold`,
+            detail: (item) => formatMoney(item.revenue),
+        });
+        svgCharts.barList(document.getElementById('chart-top-categories'), {
+            items: categories.map(c => ({ label: c.name, value: c.revenue, units: c.units })),
+            color: '#16A34A',
+            format: formatMoney,
+            detail: (item) => `${item.units} sold`,
+        });
+        svgCharts.donut(document.getElementById('chart-status'), {
+            items: statuses.map(s => ({ label: s.status, value: s.orders, color: STATUS_COLORS[s.status] })),
+            title: 'Orders by status',
+        });
+    }
+
+    document.addEventListener('DOMContentLoaded', () => {
+        const preset = document.getElementById('analytics-preset');
+        if (!preset) return;
+        preset.addEventListener('change', () => {
+            applyAnalyticsPreset();
+            loadAnalytics();
+        });
+        ['analytics-from', 'analytics-to'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                preset.value = '';
+                loadAnalytics();
+            });
+        });
+        document.getElementById('analytics-interval').addEventListener('change', loadAnalytics);
+        document.querySelector('.admin-analytics').addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-analytics-export]');
+            if (!btn) return;
+            const name = btn.dataset.analyticsExport;
+            downloadFile(`/admin/analytics/${name}?${analyticsQuery()}&format=csv`, `${name}.csv`);
+        });
+    });
+
     // ─── Section Navigation ──────────────────────────────────────────────────
     window.showAdminSection = function (section) {
+        if (section !== currentAdminSection) cancelSectionRequests();
         currentAdminSection = section;
         document.querySelectorAll('.admin-section').forEach(el => el.classList.remove('active'));
         const target = document.getElementById('admin-section-' + section);
@@ -107,51 +429,222 @@
         if (section === 'products') loadAdminProducts();
         if (section === 'categories') loadAdminCategories();
         if (section === 'banners') loadAdminBanners();
+        if (section === 'flash-sales') loadAdminFlashSales();
+        if (section === 'coupons') loadAdminCoupons();
         if (section === 'ui-assets') loadAdminUIAssets();
         if (section === 'orders') loadAdminOrders();
+        if (section === 'users') loadAdminUsers();
     };
 
     // ─── Products ────────────────────────────────────────────────────────────
-    window.loadAdminProducts = async function () {
-        const container = document.getElementById('admin-products-table-body');
-        if (!container) return;
-        container.innerHTML = '<tr><td colspan="7" style="text-align:center;padding:20px;color:#6B7280;">Loading...</td></tr>';
+    let productsTable = null;
+
+    function renderProductRow(p) {
+        return html`
+            <td><img src="${p.image || PLACEHOLDER_IMG}" width="48" height="48" style="border-radius:8px;object-fit:cover;" data-fallback="${PLACEHOLDER_IMG}"></td>
+            <td style="font-weight:500;max-width:200px;">${p.name}${p.is_featured && html` <span class="admin-featured" title="Featured">★</span>`}</td>
+            <td>${p.category_name || html`<span style="color:#9CA3AF;">—</span>`}</td>
+            <td>$${p.price.toFixed(2)}</td>
+            <td>${p.stock ?? '-'}</td>
+            <td><span class="admin-tag ${p.tag || ''}">${p.tag || 'none'}</span></td>
+            <td>★ ${p.rating}</td>
+            <td>
+                <button class="admin-btn admin-btn-sm" data-action="editProduct" data-arg="${p.id}">Edit</button>
+                <button class="admin-btn admin-btn-sm admin-btn-danger" data-action="deleteProduct" data-arg="${p.id}">Delete</button>
+            </td>
+        `;
+    }
+
+    window.loadAdminProducts = function () {
+        const table = document.getElementById('admin-products-table');
+        if (!table) return;
+        if (!productsTable) {
+            productsTable = window.createDataTable({
+                table,
+                url: '/admin/products',
+                dataKey: 'products',
+                renderRow: renderProductRow,
+                search: document.getElementById('admin-products-search'),
+                pagination: document.getElementById('admin-products-pagination'),
+                selectable: true,
+                onSelectionChange: updateBulkBar,
+                emptyMessage: 'No products yet.',
+            });
+            initBulkBar();
+        }
+        return productsTable.reload();
+    };
+
+    // ─── Product Bulk Actions ─────────────────────────────────────────────────
+    const BULK_INPUTS = {
+        set_tag: 'admin-bulk-tag',
+        adjust_price: 'admin-bulk-percent',
+        set_category: 'admin-bulk-category',
+    };
+
+    function updateBulkBar(ids) {
+        const bar = document.getElementById('admin-products-bulk');
+        if (!bar) return;
+        bar.hidden = ids.length === 0;
+        document.getElementById('admin-products-selected-count').textContent =
+            `${ids.length} selected`;
+    }
+
+    function initBulkBar() {
+        const action = document.getElementById('admin-bulk-action');
+        action?.addEventListener('change', () => {
+            Object.entries(BULK_INPUTS).forEach(([name, inputId]) => {
+                document.getElementById(inputId).hidden = action.value !== name;
+            });
+            if (action.value === 'set_category') loadBulkCategories();
+        });
+        document.getElementById('admin-bulk-apply')?.addEventListener('click', applyBulkAction);
+        document.getElementById('admin-bulk-clear')?.addEventListener('click', () => productsTable.clearSelection());
+    }
+
+    async function loadBulkCategories() {
+        const select = document.getElementById('admin-bulk-category');
         try {
-            const data = await adminApi.get('/admin/products');
-            if (!data.products.length) {
-                container.innerHTML = '<tr><td colspan="7" style="text-align:center;padding:20px;color:#6B7280;">No products yet.</td></tr>';
+            const data = await adminApi.get('/admin/categories');
+            select.innerHTML = html`<option value="">none</option>${data.categories.map(c =>
+                html`<option value="${c.id}">${c.name}</option>`)}`;
+        } catch (e) {
+            showAdminToast(e.message, true);
+        }
+    }
+
+    async function applyBulkAction() {
+        const ids = productsTable.selected();
+        const choice = document.getElementById('admin-bulk-action').value;
+        if (!ids.length || !choice) {
+            showAdminToast('Choose an action first', true);
+            return;
+        }
+
+        const body = { ids, action: choice };
+        if (choice === 'feature' || choice === 'unfeature') {
+            body.action = 'toggle_featured';
+            body.value = choice === 'feature';
+        } else if (choice === 'set_tag') {
+            body.value = document.getElementById('admin-bulk-tag').value;
+        } else if (choice === 'adjust_price') {
+            body.value = parseFloat(document.getElementById('admin-bulk-percent').value);
+            if (Number.isNaN(body.value)) {
+                showAdminToast('Enter a percentage', true);
                 return;
             }
-            container.innerHTML = data.products.map(p => `
-                <tr>
-                    <td><img src="${p.image || 'https://via.placeholder.com/48'}" width="48" height="48" style="border-radius:8px;object-fit:cover;" onerror="this.src='https://via.placeholder.com/48'"></td>
-                    <td style="font-weight:500;max-width:200px;">${p.name}</td>
-                    <td>$${p.price.toFixed(2)}</td>
-                    <td>${p.stock ?? '-'}</td>
-                    <td><span class="admin-tag ${p.tag || ''}">${p.tag || 'none'}</span></td>
-                    <td>★ ${p.rating}</td>
-                    <td>
-                        <button class="admin-btn admin-btn-sm" onclick="editProduct(${p.id})">Edit</button>
-                        <button class="admin-btn admin-btn-sm admin-btn-danger" onclick="deleteProduct(${p.id})">Delete</button>
-                    </td>
-                </tr>
-            `).join('');
+        } else if (choice === 'set_category') {
+            const categoryId = document.getElementById('admin-bulk-category').value;
+            body.value = categoryId ? parseInt(categoryId) : null;
+        }
+
+        if (choice === 'delete' && !confirm(`Move ${ids.length} product(s) to the trash?`)) return;
+        try {
+            const data = await adminApi.post('/admin/products/bulk', body);
+            if (choice === 'delete') showUndoToast(data.message, () => restoreProducts(ids));
+            else showAdminToast(data.message);
+            productsTable.clearSelection();
+            productsTable.reload();
         } catch (e) {
-            container.innerHTML = `<tr><td colspan="7" style="color:red;padding:20px;">${e.message}</td></tr>`;
+            showAdminToast(e.message, true);
         }
-    };
+    }
 
     window.deleteProduct = async function (id) {
-        if (!confirm('Delete this product?')) return;
+        if (!confirm('Move this product to the trash?')) return;
         try {
-            await adminApi.delete(`/admin/products/${id}`);
-            showAdminToast('Product deleted');
+            const data = await adminApi.delete(`/admin/products/${id}`);
+            showUndoToast(data.message, () => restoreProducts([id]));
             loadAdminProducts();
         } catch (e) {
             showAdminToast(e.message, true);
         }
     };
 
+    // ─── Product Trash ────────────────────────────────────────────────────────
+    let trashTable = null;
+
+    function renderTrashRow(p) {
+        const deleted = p.deleted_at ? new Date(p.deleted_at).toLocaleString() : '—';
+        return html`
+            <td><img src="${p.image || PLACEHOLDER_IMG}" width="48" height="48" style="border-radius:8px;object-fit:cover;opacity:0.6;" data-fallback="${PLACEHOLDER_IMG}"></td>
+            <td style="font-weight:500;max-width:200px;">${p.name}</td>
+            <td>$${p.price.toFixed(2)}</td>
+            <td>${deleted}</td>
+            <td>
+                <button class="admin-btn admin-btn-sm" data-action="restoreProduct" data-arg="${p.id}">Restore</button>
+                <button class="admin-btn admin-btn-sm admin-btn-danger" data-action="purgeProduct" data-arg="${p.id}">Delete permanently</button>
+            </td>
+        `;
+    }
+
+    function loadAdminTrash() {
+        const table = document.getElementById('admin-trash-table');
+        if (!table) return;
+        if (!trashTable) {
+            trashTable = window.createDataTable({
+                table,
+                url: '/admin/products',
+                dataKey: 'products',
+                renderRow: renderTrashRow,
+                filters: { trash: 1 },
+                sort: 'deleted_at',
+                order: 'desc',
+                search: document.getElementById('admin-trash-search'),
+                pagination: document.getElementById('admin-trash-pagination'),
+                emptyMessage: 'Trash is empty.',
+            });
+        }
+        return trashTable.reload();
+    }
+
+    function showProductsView(view) {
+        document.querySelectorAll('[data-products-view]').forEach(tab => {
+            const active = tab.dataset.productsView === view;
+            tab.classList.toggle('active', active);
+            tab.setAttribute('aria-selected', String(active));
+        });
+        document.getElementById('admin-products-active').hidden = view !== 'active';
+        document.getElementById('admin-products-trash').hidden = view !== 'trash';
+        if (view === 'trash') loadAdminTrash();
+        else loadAdminProducts();
+    }
+
+    function reloadProductViews() {
+        productsTable?.reload();
+        trashTable?.reload();
+    }
+
+    async function restoreProducts(ids) {
+        try {
+            const data = ids.length === 1
+                ? await adminApi.post(`/admin/products/${ids[0]}/restore`, {})
+                : await adminApi.post('/admin/products/bulk', { ids, action: 'restore' });
+            showAdminToast(data.message);
+            reloadProductViews();
+        } catch (e) {
+            showAdminToast(e.message, true);
+        }
+    }
+
+    window.restoreProduct = (id) => restoreProducts([id]);
+
+    window.purgeProduct = async function (id) {
+        if (!confirm('Permanently delete this product? This cannot be undone.')) return;
+        try {
+            const data = await adminApi.delete(`/admin/products/${id}/permanent`);
+            showAdminToast(data.message);
+            trashTable?.reload();
+        } catch (e) {
+            showAdminToast(e.message, true);
+        }
+    };
+
+    document.addEventListener('click', (e) => {
+        const tab = e.target.closest('[data-products-view]');
+        if (tab) showProductsView(tab.dataset.productsView);
+    });
+
     window.showProductModal = function (product = null) {
         const modal = document.getElementById('product-modal');
         if (!modal) return;
@@ -162,6 +655,7 @@
         document.getElementById('pm-old-price').value = product?.old_price || '';
         document.getElementById('pm-stock').value = product?.stock ?? 10;
         document.getElementById('pm-brand').value = product?.brand || '';
+        document.getElementById('pm-sku').value = product?.sku || '';
         document.getElementById('pm-image').value = product?.image || '';
         document.getElementById('pm-tag').value = product?.tag || '';
         document.getElementById('pm-featured').checked = product?.is_featured || false;
@@ -186,6 +680,7 @@
             old_price: parseFloat(document.getElementById('pm-old-price').value) || null,
             stock: parseInt(document.getElementById('pm-stock').value),
             brand: document.getElementById('pm-brand').value,
+            sku: document.getElementById('pm-sku').value,
             image: document.getElementById('pm-image').value,
             tag: document.getElementById('pm-tag').value,
             is_featured: document.getElementById('pm-featured').checked,
@@ -205,38 +700,374 @@
         }
     };
 
+    // ─── Product Import / Export ──────────────────────────────────────────────
+    const IMPORT_FIELDS = [
+        'sku', 'name', 'brand', 'description', 'price', 'old_price', 'discount', 'stock',
+        'rating', 'rating_count', 'tag', 'is_featured', 'category', 'image',
+    ];
+    const IMPORT_ALIASES = {
+        title: 'name', product: 'name', product_name: 'name',
+        code: 'sku', item_code: 'sku', manufacturer: 'brand',
+        compare_at_price: 'old_price', was_price: 'old_price',
+        qty: 'stock', quantity: 'stock', inventory: 'stock',
+        reviews: 'rating_count', featured: 'is_featured',
+        category_slug: 'category', category_name: 'category',
+        image_url: 'image', img: 'image', photo: 'image',
+    };
+    const IMPORT_MAX_ROWS = 2000;
+
+    const importState = { columns: [], records: [], mapping: {} };
+
+    window.exportProducts = function (format) {
+        return downloadFile(`/admin/products/export?format=${format}`, `products.${format}`);
+    };
+
+    window.showImportModal = function () {
+        const modal = document.getElementById('import-modal');
+        if (!modal) return;
+        const input = document.getElementById('import-file');
+        input.value = '';
+        input.onchange = () => readImportFile(input.files[0]);
+        resetImport();
+        modal.classList.add('active');
+    };
+
+    function resetImport() {
+        importState.columns = [];
+        importState.records = [];
+        importState.mapping = {};
+        document.getElementById('import-mapping').innerHTML = '';
+        document.getElementById('import-report').innerHTML = '';
+        document.getElementById('import-preview-btn').disabled = true;
+        document.getElementById('import-commit-btn').disabled = true;
+    }
+
+    async function readImportFile(file) {
+        resetImport();
+        if (!file) return;
+        try {
+            const text = await file.text();
+            const isJson = /\.json$/i.test(file.name) || file.type === 'application/json';
+            const records = isJson ? parseJsonRecords(text) : parseCsvRecords(text);
+            if (!records.length) throw new Error('The file has no product rows');
+            if (records.length > IMPORT_MAX_ROWS) {
+                throw new Error(`The file has ${records.length} rows; import at most ${IMPORT_MAX_ROWS} at a time`);
+            }
+
+            importState.records = records;
+            importState.columns = [...new Set(records.flatMap(r => Object.keys(r)))];
+            importState.columns.forEach(col => { importState.mapping[col] = guessField(col); });
+            renderImportMapping();
+            document.getElementById('import-preview-btn').disabled = false;
+        } catch (e) {
+            document.getElementById('import-report').innerHTML =
+                html`<p class="import-error">${e.message}</p>`;
+        }
+    }
+
+    function parseJsonRecords(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            throw new Error('The file is not valid JSON');
+        }
+        const rows = Array.isArray(data) ? data : data?.products;
+        if (!Array.isArray(rows)) throw new Error('Expected an array of products or { "products": [...] }');
+        return rows.filter(r => r && typeof r === 'object' && !Array.isArray(r));
+    }
+
+    // RFC 4180 CSV: quoted fields may contain the delimiter, "" and line breaks.
+    // Semicolon-separated files (common in European Excel exports) are detected from the header.
+    function parseCsvRecords(text) {
+        text = text.replace(/^\uFEFF/, '');
+        const headerLine = text.slice(0, text.search(/\r?\n|$/));
+        const delimiter = (headerLine.split(';').length > headerLine.split(',').length) ? ';' : ',';
+
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (quoted) {
+                if (ch === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (ch === '"') {
+                    quoted = false;
+                } else {
+                    field += ch;
+                }
+            } else if (ch === '"') {
+                quoted = true;
+            } else if (ch === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += ch;
+            }
+        }
+        if (field || row.length) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        const [header = [], ...body] = rows.filter(r => r.some(cell => cell.trim() !== ''));
+        const columns = header.map(h => h.trim());
+        return body.map(cells => Object.fromEntries(columns.map((col, i) => [col, cells[i] ?? ''])));
+    }
+
+    function guessField(column) {
+        const key = column.trim().toLowerCase().replace(/[\s-]+/g, '_');
+        if (IMPORT_FIELDS.includes(key)) return key;
+        return IMPORT_ALIASES[key] || '';
+    }
+
+    function renderImportMapping() {
+        const sample = importState.records[0];
+        const options = ['', ...IMPORT_FIELDS];
+        document.getElementById('import-mapping').innerHTML = html`
+            <h4 style="margin:16px 0 8px;">Map columns (${importState.records.length} rows)</h4>
+            <table class="admin-table import-mapping-table">
+                <thead><tr><th>File column</th><th>Example</th><th>Product field</th></tr></thead>
+                <tbody>
+                    ${importState.columns.map((col, i) => html`
+                        <tr>
+                            <td>${col}</td>
+                            <td class="import-sample">${sample[col] ?? ''}</td>
+                            <td>
+                                <select class="admin-input import-field" data-column-index="${i}">
+                                    ${options.map(f => html`<option value="${f}" ${importState.mapping[col] === f && raw('selected')}>${f || 'Ignore'}</option>`)}
+                                </select>
+                            </td>
+                        </tr>
+                    `)}
+                </tbody>
+            </table>
+        `;
+        document.querySelectorAll('#import-mapping .import-field').forEach(select => {
+            select.addEventListener('change', () => {
+                // Indexed rather than named: dataset would decode entities in the column name
+                importState.mapping[importState.columns[select.dataset.columnIndex]] = select.value;
+                // The preview no longer matches what would be imported
+                document.getElementById('import-report').innerHTML = '';
+                document.getElementById('import-commit-btn').disabled = true;
+            });
+        });
+    }
+
+    function buildImportRows() {
+        return importState.records.map(record => {
+            const row = {};
+            Object.entries(importState.mapping).forEach(([column, field]) => {
+                const value = record[column];
+                if (!field || value == null || value === '') return;
+                if (row[field] == null) row[field] = value;
+            });
+            return row;
+        });
+    }
+
+    async function runImport(dryRun) {
+        const rows = buildImportRows();
+        const mapped = Object.values(importState.mapping).filter(Boolean);
+        if (!mapped.length) {
+            showAdminToast('Map at least one column to a product field', true);
+            return null;
+        }
+        return adminApi.post('/admin/products/import', { rows, dry_run: dryRun });
+    }
+
+    window.previewImport = async function () {
+        const btn = document.getElementById('import-preview-btn');
+        btn.disabled = true;
+        try {
+            const data = await runImport(true);
+            if (!data) return;
+            renderImportReport(data);
+            const pending = data.summary.create + data.summary.update;
+            const commit = document.getElementById('import-commit-btn');
+            commit.disabled = pending === 0;
+            commit.textContent = pending ? `Import ${pending} product(s)` : 'Nothing to import';
+        } catch (e) {
+            showAdminToast(e.message, true);
+        } finally {
+            btn.disabled = false;
+        }
+    };
+
+    window.commitImport = async function () {
+        const btn = document.getElementById('import-commit-btn');
+        btn.disabled = true;
+        try {
+            const data = await runImport(false);
+            if (!data) return;
+            renderImportReport(data);
+            btn.textContent = 'Imported';
+            const { create, update } = data.summary;
+            showAdminToast(`Import complete: ${create} created, ${update} updated`);
+            productsTable?.reload();
+        } catch (e) {
+            btn.disabled = false;
+            showAdminToast(e.message, true);
+        }
+    };
+
+    function describeImportResult(r) {
+        if (r.status === 'invalid') return r.errors.map((err, i) => html`${i > 0 && raw('<br>')}${err}`);
+        if (r.status === 'update') {
+            return Object.entries(r.changes).map(([field, c], i) =>
+                html`${i > 0 && raw('<br>')}${field}: ${c.from ?? '—'} → ${c.to}`
+            );
+        }
+        if (r.status === 'create') return 'New product';
+        return 'No changes';
+    }
+
+    function renderImportReport(data) {
+        const { summary, results, dry_run: dryRun } = data;
+        const shown = results.filter(r => r.status !== 'unchanged');
+        document.getElementById('import-report').innerHTML = html`
+            <h4 style="margin:16px 0 8px;">${dryRun ? 'Preview' : 'Import result'}</h4>
+            <div class="import-summary">
+                <span class="import-status import-status-create">${summary.create} ${dryRun ? 'to create' : 'created'}</span>
+                <span class="import-status import-status-update">${summary.update} ${dryRun ? 'to update' : 'updated'}</span>
+                <span class="import-status import-status-unchanged">${summary.unchanged} unchanged</span>
+                <span class="import-status import-status-invalid">${summary.invalid} invalid${dryRun ? '' : ' (skipped)'}</span>
+            </div>
+            ${shown.length > 0 && html`
+                <div class="import-results">
+                    <table class="admin-table">
+                        <thead><tr><th>Row</th><th>Status</th><th>Product</th><th>Details</th></tr></thead>
+                        <tbody>
+                            ${shown.map(r => html`
+                                <tr>
+                                    <td>${r.row}</td>
+                                    <td><span class="import-status import-status-${r.status}">${r.status}</span></td>
+                                    <td>${r.name || '—'}</td>
+                                    <td class="import-details">${describeImportResult(r)}</td>
+                                </tr>
+                            `)}
+                        </tbody>
+                    </table>
+                </div>
+            `}
+        `;
+    }
+
     // ─── Categories ───────────────────────────────────────────────────────────
+    const SLUG_RE = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+    let categoryCache = [];
+    let categorySorter = null;
+    let slugEdited = false;
+
     window.loadAdminCategories = async function () {
         const container = document.getElementById('admin-categories-grid');
         if (!container) return;
         container.innerHTML = '<p style="color:#6B7280;">Loading...</p>';
         try {
             const data = await adminApi.get('/admin/categories');
-            container.innerHTML = data.categories.map(c => `
-                <div class="admin-cat-card">
-                    <img src="${c.image_url || 'https://via.placeholder.com/80'}" width="80" height="80" style="border-radius:12px;object-fit:cover;" onerror="this.src='https://via.placeholder.com/80'">
+            categoryCache = data.categories;
+            container.innerHTML = data.categories.map(c => html`
+                <div class="admin-cat-card ${c.is_active ? '' : 'is-hidden'}" data-id="${c.id}" data-label="${c.name}">
+                    ${dragHandle(c.name)}
+                    <img src="${c.image_url || PLACEHOLDER_IMG}" width="80" height="80" style="border-radius:12px;object-fit:cover;" data-fallback="${PLACEHOLDER_IMG}">
                     <div class="admin-cat-info">
                         <div style="font-weight:600;">${c.name}</div>
-                        <div style="font-size:12px;color:#6B7280;">/${c.slug}</div>
+                        <div style="font-size:12px;color:#6B7280;">/${c.slug} · <span class="sort-pos">#${c.sort_order}</span>${c.is_active ? '' : ' · hidden'}</div>
                     </div>
                     <div style="display:flex;gap:8px;">
-                        <button class="admin-btn admin-btn-sm" onclick="editCategoryPrompt(${c.id}, '${c.name}', '${c.slug}', '${c.image_url || ''}')">Edit</button>
-                        <button class="admin-btn admin-btn-sm admin-btn-danger" onclick="deleteCategory(${c.id})">Del</button>
+                        <button class="admin-btn admin-btn-sm" data-action="editCategory" data-arg="${c.id}">Edit</button>
+                        <button class="admin-btn admin-btn-sm admin-btn-danger" data-action="deleteCategory" data-arg="${c.id}">Del</button>
                     </div>
                 </div>
             `).join('') || '<p style="color:#6B7280;">No categories yet.</p>';
+
+            if (!categorySorter) categorySorter = window.makeSortable(container, {
+                onReorder: (ids) => saveOrder('categories', ids, categoryCache, container, loadAdminCategories),
+            });
+            categorySorter.refresh();
         } catch (e) {
-            container.innerHTML = `<p style="color:red;">${e.message}</p>`;
+            container.innerHTML = html`<p style="color:red;">${e.message}</p>`;
         }
     };
 
-    window.editCategoryPrompt = function (id, name, slug, imageUrl) {
-        const newName = prompt('Category name:', name);
-        if (!newName) return;
-        const newImage = prompt('Image URL:', imageUrl);
-        adminApi.put(`/admin/categories/${id}`, { name: newName, image_url: newImage })
-            .then(() => { showAdminToast('Category updated'); loadAdminCategories(); })
-            .catch(e => showAdminToast(e.message, true));
+    function slugify(text) {
+        return text
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/&/g, ' and ')
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+    }
+
+    window.showCategoryModal = function (category = null) {
+        const modal = document.getElementById('category-modal');
+        if (!modal) return;
+        const name = document.getElementById('cm-name');
+        const slug = document.getElementById('cm-slug');
+
+        document.getElementById('cm-heading').textContent = category ? 'Edit Category' : 'New Category';
+        document.getElementById('cm-id').value = category?.id || '';
+        name.value = decode(category?.name || '');
+        slug.value = category?.slug || '';
+        document.getElementById('cm-image').value = decode(category?.image_url || '');
+        document.getElementById('cm-sort').value = category?.sort_order ?? nextSortOrder(categoryCache);
+        document.getElementById('cm-active').checked = category ? category.is_active : true;
+        clearFieldErrors(modal);
+
+        // Existing slugs are part of storefront URLs, so only new categories follow the name
+        slugEdited = Boolean(category);
+        name.oninput = () => { if (!slugEdited) slug.value = slugify(name.value); };
+        slug.oninput = () => { slugEdited = slug.value.trim() !== ''; };
+        modal.classList.add('active');
+        name.focus();
+    };
+
+    window.editCategory = function (id) {
+        const category = categoryCache.find(c => c.id === id);
+        if (category) showCategoryModal(category);
+    };
+
+    window.saveCategory = async function () {
+        const modal = document.getElementById('category-modal');
+        const id = document.getElementById('cm-id').value;
+        const body = {
+            name: document.getElementById('cm-name').value.trim(),
+            slug: document.getElementById('cm-slug').value.trim().toLowerCase(),
+            image_url: document.getElementById('cm-image').value.trim(),
+            sort_order: document.getElementById('cm-sort').value,
+            is_active: document.getElementById('cm-active').checked,
+        };
+
+        const errors = {};
+        if (!body.name) errors['cm-name'] = 'Name is required';
+        if (!SLUG_RE.test(body.slug)) errors['cm-slug'] = 'Use lowercase letters, numbers and single hyphens';
+        else if (categoryCache.some(c => c.slug === body.slug && String(c.id) !== id)) errors['cm-slug'] = 'This slug is already in use';
+        if (!/^-?\d+$/.test(body.sort_order)) errors['cm-sort'] = 'Enter a whole number';
+        if (showFieldErrors(modal, errors)) return;
+
+        try {
+            if (id) {
+                await adminApi.put(`/admin/categories/${id}`, body);
+                showAdminToast('Category updated');
+            } else {
+                await adminApi.post('/admin/categories', body);
+                showAdminToast('Category created');
+            }
+            modal.classList.remove('active');
+            loadAdminCategories();
+        } catch (e) {
+            showAdminToast(e.message, true);
+        }
     };
 
     window.deleteCategory = function (id) {
@@ -246,52 +1077,121 @@
             .catch(e => showAdminToast(e.message, true));
     };
 
-    window.createCategoryFromForm = async function () {
-        const name = document.getElementById('new-cat-name')?.value?.trim();
-        const slug = document.getElementById('new-cat-slug')?.value?.trim();
-        const image = document.getElementById('new-cat-image')?.value?.trim();
-        if (!name || !slug) { showAdminToast('Name and slug required', true); return; }
-        try {
-            await adminApi.post('/admin/categories', { name, slug, image_url: image });
-            showAdminToast('Category created');
-            loadAdminCategories();
-        } catch (e) { showAdminToast(e.message, true); }
-    };
-
     // ─── Banners ──────────────────────────────────────────────────────────────
+    // Mirrors UNSAFE_CSS_RE in apps/admin.py
+    const UNSAFE_CSS_RE = /[<>{}\\]|url\s*\(|expression\s*\(|@import|javascript:/i;
+    let bannerCache = [];
+    let bannerSorter = null;
+
     window.loadAdminBanners = async function () {
         const container = document.getElementById('admin-banners-list');
         if (!container) return;
         container.innerHTML = '<p style="color:#6B7280;">Loading...</p>';
         try {
             const data = await adminApi.get('/admin/banners');
-            container.innerHTML = data.banners.map(b => `
-                <div class="admin-banner-card" style="background:${b.bg_gradient || '#1F2937'}">
+            bannerCache = data.banners;
+            container.innerHTML = data.banners.map(b => html`
+                <div class="admin-banner-card ${b.is_active ? '' : 'is-hidden'}" style="background:${b.bg_gradient || '#1F2937'}"
+                    data-id="${b.id}" data-label="${b.title.replace(/\n/g, ' ')}">
+                    ${dragHandle(b.title.replace(/\n/g, ' '))}
                     <div style="flex:1;">
-                        <div style="color:white;font-weight:700;font-size:16px;">${b.title.replace('\n', ' ')}</div>
+                        <div style="color:white;font-weight:700;font-size:16px;">${b.title.replace(/\n/g, ' ')}</div>
                         <div style="color:rgba(255,255,255,0.7);font-size:13px;">${b.subtitle || ''}</div>
-                        <div style="color:white;font-size:12px;margin-top:6px;">Button: ${b.button_text}</div>
+                        <div style="color:white;font-size:12px;margin-top:6px;">Button: ${b.button_text} · <span class="sort-pos">#${b.sort_order}</span>${b.is_active ? '' : ' · inactive'}</div>
                     </div>
                     <div style="display:flex;flex-direction:column;gap:6px;">
-                        <button class="admin-btn admin-btn-sm" style="background:rgba(255,255,255,0.2);color:white;border:1px solid rgba(255,255,255,0.3);" onclick="editBannerPrompt(${b.id}, '${encodeURIComponent(b.title)}', '${encodeURIComponent(b.subtitle || '')}', '${encodeURIComponent(b.image_url || '')}', '${encodeURIComponent(b.button_text || '')}')">Edit</button>
-                        <button class="admin-btn admin-btn-sm admin-btn-danger" onclick="deleteBanner(${b.id})">Delete</button>
+                        <button class="admin-btn admin-btn-sm" style="background:rgba(255,255,255,0.2);color:white;border:1px solid rgba(255,255,255,0.3);" data-action="editBanner" data-arg="${b.id}">Edit</button>
+                        <button class="admin-btn admin-btn-sm admin-btn-danger" data-action="deleteBanner" data-arg="${b.id}">Delete</button>
                     </div>
                 </div>
             `).join('') || '<p style="color:#6B7280;">No banners yet.</p>';
+
+            if (!bannerSorter) bannerSorter = window.makeSortable(container, {
+                onReorder: (ids) => saveOrder('banners', ids, bannerCache, container, loadAdminBanners),
+            });
+            bannerSorter.refresh();
         } catch (e) {
-            container.innerHTML = `<p style="color:red;">${e.message}</p>`;
+            container.innerHTML = html`<p style="color:red;">${e.message}</p>`;
         }
     };
 
-    window.editBannerPrompt = function (id, title, subtitle, imageUrl, btnText) {
-        const t = prompt('Banner title:', decodeURIComponent(title));
-        if (!t) return;
-        const sub = prompt('Subtitle:', decodeURIComponent(subtitle));
-        const img = prompt('Image URL:', decodeURIComponent(imageUrl));
-        const btn = prompt('Button text:', decodeURIComponent(btnText));
-        adminApi.put(`/admin/banners/${id}`, { title: t, subtitle: sub, image_url: img, button_text: btn })
-            .then(() => { showAdminToast('Banner updated'); loadAdminBanners(); })
-            .catch(e => showAdminToast(e.message, true));
+    const BANNER_FIELDS = {
+        title: 'bm-title',
+        subtitle: 'bm-subtitle',
+        badge_text: 'bm-badge-text',
+        badge_style: 'bm-badge-style',
+        button_text: 'bm-button-text',
+        bg_gradient: 'bm-bg-gradient',
+        image_url: 'bm-image',
+    };
+
+    function bannerFromForm() {
+        const banner = {};
+        Object.entries(BANNER_FIELDS).forEach(([field, inputId]) => {
+            banner[field] = document.getElementById(inputId).value.trim();
+        });
+        banner.sort_order = document.getElementById('bm-sort').value;
+        banner.is_active = document.getElementById('bm-active').checked;
+        return banner;
+    }
+
+    function renderBannerPreview() {
+        const preview = document.getElementById('bm-preview');
+        if (!preview || !window.renderHeroSlide) return;
+        const banner = bannerFromForm();
+        // Don't let a half-typed unsafe value reach the style attribute
+        if (UNSAFE_CSS_RE.test(banner.bg_gradient)) banner.bg_gradient = '';
+        if (UNSAFE_CSS_RE.test(banner.badge_style)) banner.badge_style = '';
+        preview.innerHTML = window.renderHeroSlide({ ...banner, title: banner.title || 'Banner title' });
+    }
+
+    window.showBannerModal = function (banner = null) {
+        const modal = document.getElementById('banner-modal');
+        if (!modal) return;
+        document.getElementById('bm-heading').textContent = banner ? 'Edit Banner' : 'New Banner';
+        document.getElementById('bm-id').value = banner?.id || '';
+        Object.entries(BANNER_FIELDS).forEach(([field, inputId]) => {
+            document.getElementById(inputId).value = decode(banner?.[field] || '');
+        });
+        document.getElementById('bm-sort').value = banner?.sort_order ?? nextSortOrder(bannerCache);
+        document.getElementById('bm-active').checked = banner ? banner.is_active : true;
+        clearFieldErrors(modal);
+
+        modal.oninput = renderBannerPreview;
+        renderBannerPreview();
+        modal.classList.add('active');
+    };
+
+    window.editBanner = function (id) {
+        const banner = bannerCache.find(b => b.id === id);
+        if (banner) showBannerModal(banner);
+    };
+
+    window.saveBanner = async function () {
+        const modal = document.getElementById('banner-modal');
+        const id = document.getElementById('bm-id').value;
+        const body = bannerFromForm();
+
+        const errors = {};
+        if (!body.title) errors['bm-title'] = 'Title is required';
+        if (UNSAFE_CSS_RE.test(body.badge_style)) errors['bm-badge-style'] = 'Only colours and plain CSS values are allowed';
+        if (UNSAFE_CSS_RE.test(body.bg_gradient)) errors['bm-bg-gradient'] = 'Only colours and gradients are allowed';
+        if (!/^-?\d+$/.test(body.sort_order)) errors['bm-sort'] = 'Enter a whole number';
+        if (showFieldErrors(modal, errors)) return;
+
+        try {
+            if (id) {
+                await adminApi.put(`/admin/banners/${id}`, body);
+                showAdminToast('Banner updated');
+            } else {
+                await adminApi.post('/admin/banners', body);
+                showAdminToast('Banner created');
+            }
+            modal.classList.remove('active');
+            loadAdminBanners();
+        } catch (e) {
+            showAdminToast(e.message, true);
+        }
     };
 
     window.deleteBanner = function (id) {
@@ -301,152 +1201,1213 @@
             .catch(e => showAdminToast(e.message, true));
     };
 
+    // ─── Reordering ───────────────────────────────────────────────────────────
+    function dragHandle(label) {
+        return html`<button type="button" class="drag-handle" title="Drag to reorder"
+            aria-label="Reorder ${label}. Use the arrow keys to move it.">⠿</button>`;
+    }
+
+    async function saveOrder(type, ids, cache, container, reload) {
+        try {
+            await adminApi.put('/admin/reorder', { type, ids });
+            ids.forEach((id, index) => {
+                const item = cache.find(x => x.id === id);
+                if (item) item.sort_order = index + 1;
+            });
+            container.querySelectorAll('[data-id] .sort-pos').forEach((pos, index) => {
+                pos.textContent = `#${index + 1}`;
+            });
+            showAdminToast('Order saved');
+        } catch (e) {
+            showAdminToast(e.message, true);
+            reload();
+            throw e;
+        }
+    }
+
+    // ─── Flash Sales ──────────────────────────────────────────────────────────
+    // Campaign times are stored in UTC; the form works in the admin's local time.
+    const toLocalInput = (iso) => {
+        if (!iso) return '';
+        const d = new Date(iso);
+        return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+    };
+    const fromLocalInput = (value) => (value ? new Date(value).toISOString() : null);
+    let flashSaleCache = [];
+
+    window.loadAdminFlashSales = async function () {
+        const container = document.getElementById('admin-flash-sales-table-body');
+        if (!container) return;
+        container.innerHTML = '<tr><td colspan="6" style="text-align:center;padding:20px;color:#6B7280;">Loading...</td></tr>';
+        try {
+            const data = await adminApi.get('/admin/flash-sales');
+            flashSaleCache = data.flash_sales;
+            if (!data.flash_sales.length) {
+                container.innerHTML = '<tr><td colspan="6" style="text-align:center;padding:20px;color:#6B7280;">No campaigns scheduled.</td></tr>';
+                return;
+            }
+            container.innerHTML = html`${data.flash_sales.map(f => html`
+                <tr>
+                    <td style="font-weight:500;max-width:220px;">${f.title.replace(/\n/g, ' ')}</td>
+                    <td>${new Date(f.starts_at).toLocaleString()}</td>
+                    <td>${new Date(f.ends_at).toLocaleString()}</td>
+                    <td>${f.sale_price != null ? '$' + f.sale_price.toFixed(2) : '-'}</td>
+                    <td><span class="order-status status-flash-${f.is_active ? f.status : 'inactive'}">${f.is_active ? f.status : 'inactive'}</span></td>
+                    <td>
+                        <button class="admin-btn admin-btn-sm" data-action="editFlashSale" data-arg="${f.id}">Edit</button>
+                        <button class="admin-btn admin-btn-sm admin-btn-danger" data-action="deleteFlashSale" data-arg="${f.id}">Delete</button>
+                    </td>
+                </tr>
+            `)}`;
+        } catch (e) {
+            container.innerHTML = html`<tr><td colspan="6" style="color:red;padding:20px;">${e.message}</td></tr>`;
+        }
+    };
+
+    // The admin list caps per_page at 100, so walk every page
+    async function fetchAllProducts() {
+        const products = [];
+        for (let page = 1, pages = 1; page <= pages; page++) {
+            const data = await adminApi.get(`/admin/products?per_page=100&page=${page}&sort=name&order=asc`);
+            products.push(...data.products);
+            pages = data.pages;
+        }
+        return products;
+    }
+
+    window.showFlashSaleModal = async function (sale = null) {
+        const modal = document.getElementById('flash-sale-modal');
+        if (!modal) return;
+        const select = document.getElementById('fs-product');
+        try {
+            const products = await fetchAllProducts();
+            // A trashed product is missing from the list but stays selectable, so
+            // saving the sale doesn't silently unlink it
+            const current = sale?.product_id && !products.some(p => p.id === sale.product_id)
+                ? html`<option value="${sale.product_id}">Product #${sale.product_id} (unavailable)</option>`
+                : null;
+            select.innerHTML = html`<option value="">none</option>${current}${products.map(p =>
+                html`<option value="${p.id}">${p.name}</option>`)}`;
+        } catch (e) {
+            showAdminToast(e.message, true);
+        }
+
+        document.getElementById('fs-id').value = sale?.id || '';
+        document.getElementById('fs-title').value = decode(sale?.title || '');
+        document.getElementById('fs-subtitle').value = decode(sale?.subtitle || '');
+        select.value = sale?.product_id || '';
+        document.getElementById('fs-sale-price').value = sale?.sale_price ?? '';
+        document.getElementById('fs-original-price').value = sale?.original_price ?? '';
+        document.getElementById('fs-starts').value = toLocalInput(sale?.starts_at);
+        document.getElementById('fs-ends').value = toLocalInput(sale?.ends_at);
+        document.getElementById('fs-image').value = decode(sale?.image_url || '');
+        document.getElementById('fs-active').checked = sale ? sale.is_active : true;
+        modal.classList.add('active');
+    };
+
+    window.editFlashSale = function (id) {
+        const sale = flashSaleCache.find(f => f.id === id);
+        if (sale) showFlashSaleModal(sale);
+    };
+
+    window.saveFlashSale = async function () {
+        const id = document.getElementById('fs-id').value;
+        const starts = document.getElementById('fs-starts').value;
+        const ends = document.getElementById('fs-ends').value;
+        if (!document.getElementById('fs-title').value.trim() || !starts || !ends) {
+            showAdminToast('Title, start and end are required', true);
+            return;
+        }
+        if (new Date(ends) <= new Date(starts)) {
+            showAdminToast('End must be after start', true);
+            return;
+        }
+        const body = {
+            title: document.getElementById('fs-title').value,
+            subtitle: document.getElementById('fs-subtitle').value,
+            product_id: parseInt(document.getElementById('fs-product').value) || null,
+            sale_price: document.getElementById('fs-sale-price').value,
+            original_price: document.getElementById('fs-original-price').value,
+            starts_at: fromLocalInput(starts),
+            ends_at: fromLocalInput(ends),
+            image_url: document.getElementById('fs-image').value,
+            is_active: document.getElementById('fs-active').checked,
+        };
+        try {
+            if (id) {
+                await adminApi.put(`/admin/flash-sales/${id}`, body);
+                showAdminToast('Campaign updated');
+            } else {
+                await adminApi.post('/admin/flash-sales', body);
+                showAdminToast('Campaign scheduled');
+            }
+            document.getElementById('flash-sale-modal')?.classList.remove('active');
+            loadAdminFlashSales();
+        } catch (e) {
+            showAdminToast(e.message, true);
+        }
+    };
+
+    window.deleteFlashSale = function (id) {
+        if (!confirm('Delete this campaign?')) return;
+        adminApi.delete(`/admin/flash-sales/${id}`)
+            .then(() => { showAdminToast('Campaign deleted'); loadAdminFlashSales(); })
+            .catch(e => showAdminToast(e.message, true));
+    };
+
+    // ─── Coupons ──────────────────────────────────────────────────────────────
+    const COUPON_STATUS_CLASS = { active: 'active', expired: 'ended', used_up: 'ended', inactive: 'inactive' };
+    let couponCache = [];
+
+    window.loadAdminCoupons = async function () {
+        const container = document.getElementById('admin-coupons-table-body');
+        if (!container) return;
+        container.innerHTML = '<tr><td colspan="7" style="text-align:center;padding:20px;color:#6B7280;">Loading...</td></tr>';
+        try {
+            const data = await adminApi.get('/admin/coupons');
+            couponCache = data.coupons;
+            if (!data.coupons.length) {
+                container.innerHTML = '<tr><td colspan="7" style="text-align:center;padding:20px;color:#6B7280;">No coupons yet.</td></tr>';
+                return;
+            }
+            container.innerHTML = html`${data.coupons.map(c => html`
+                <tr>
+                    <td style="font-weight:600;font-family:monospace;">${c.code}</td>
+                    <td>${c.summary}</td>
+                    <td>${c.min_subtotal ? `$${c.min_subtotal.toFixed(2)}` : '-'}</td>
+                    <td>${c.expires_at ? new Date(c.expires_at).toLocaleString() : 'Never'}</td>
+                    <td>${c.times_used}${c.usage_limit && ` / ${c.usage_limit}`}</td>
+                    <td><span class="order-status status-flash-${COUPON_STATUS_CLASS[c.status]}">${c.status.replace('_', ' ')}</span></td>
+                    <td>
+                        <button class="admin-btn admin-btn-sm" data-action="editCoupon" data-arg="${c.id}">Edit</button>
+                        <button class="admin-btn admin-btn-sm admin-btn-danger" data-action="deleteCoupon" data-arg="${c.id}">Delete</button>
+                    </td>
+                </tr>
+            `)}`;
+        } catch (e) {
+            container.innerHTML = html`<tr><td colspan="7" style="color:red;padding:20px;">${e.message}</td></tr>`;
+        }
+    };
+
+    function syncCouponKind() {
+        const kind = document.getElementById('cp-kind').value;
+        const value = document.getElementById('cp-value');
+        value.disabled = kind === 'free_shipping';
+        value.max = kind === 'percent' ? 100 : '';
+        document.getElementById('cp-value-label').textContent =
+            kind === 'fixed' ? 'Amount Off ($)' : kind === 'percent' ? 'Percent Off' : 'No amount needed';
+    }
+
+    window.showCouponModal = async function (coupon = null) {
+        const modal = document.getElementById('coupon-modal');
+        if (!modal) return;
+        const select = document.getElementById('cp-category');
+        try {
+            const data = await adminApi.get('/admin/categories');
+            select.innerHTML = html`<option value="">Any category</option>${data.categories.map(c =>
+                html`<option value="${c.id}">${c.name}</option>`)}`;
+        } catch (e) {
+            showAdminToast(e.message, true);
+        }
+
+        document.getElementById('cp-id').value = coupon?.id || '';
+        document.getElementById('cp-code').value = coupon?.code || '';
+        document.getElementById('cp-kind').value = coupon?.kind || 'percent';
+        document.getElementById('cp-value').value = coupon?.value ?? '';
+        document.getElementById('cp-min').value = coupon?.min_subtotal ?? '';
+        document.getElementById('cp-expires').value = toLocalInput(coupon?.expires_at);
+        document.getElementById('cp-limit').value = coupon?.usage_limit ?? '';
+        select.value = coupon?.category_id || '';
+        document.getElementById('cp-active').checked = coupon ? coupon.is_active : true;
+        syncCouponKind();
+        modal.classList.add('active');
+    };
+
+    window.editCoupon = function (id) {
+        const coupon = couponCache.find(c => c.id === id);
+        if (coupon) showCouponModal(coupon);
+    };
+
+    window.saveCoupon = async function () {
+        const id = document.getElementById('cp-id').value;
+        const body = {
+            code: document.getElementById('cp-code').value.trim(),
+            kind: document.getElementById('cp-kind').value,
+            value: document.getElementById('cp-value').value,
+            min_subtotal: document.getElementById('cp-min').value,
+            expires_at: fromLocalInput(document.getElementById('cp-expires').value),
+            usage_limit: document.getElementById('cp-limit').value,
+            category_id: parseInt(document.getElementById('cp-category').value) || null,
+            is_active: document.getElementById('cp-active').checked,
+        };
+        if (!body.code) {
+            showAdminToast('Code is required', true);
+            return;
+        }
+        try {
+            if (id) {
+                await adminApi.put(`/admin/coupons/${id}`, body);
+                showAdminToast('Coupon updated');
+            } else {
+                await adminApi.post('/admin/coupons', body);
+                showAdminToast('Coupon created');
+            }
+            document.getElementById('coupon-modal')?.classList.remove('active');
+            loadAdminCoupons();
+        } catch (e) {
+            showAdminToast(e.message, true);
+        }
+    };
+
+    window.deleteCoupon = function (id) {
+        if (!confirm('Delete this coupon? Orders that used it keep their discount.')) return;
+        adminApi.delete(`/admin/coupons/${id}`)
+            .then(() => { showAdminToast('Coupon deleted'); loadAdminCoupons(); })
+            .catch(e => showAdminToast(e.message, true));
+    };
+
+    document.addEventListener('DOMContentLoaded', () => {
+        document.getElementById('cp-kind')?.addEventListener('change', syncCouponKind);
+    });
+
     // ─── UI Assets Editor ─────────────────────────────────────────────────────
+    // Saves go to drafts; the preview iframe shows drafts plus anything typed
+    // but not saved yet, and only Publish changes the live storefront.
+    const PREVIEW_URL = '/?ui_preview=1#/';
+    let uiAssetSaved = {}; // key → value the input started from (draft, else live)
+    let uiDraftCount = 0;
+    let previewTimer = null;
+
+    // What each theme color is read against, for the WCAG contrast hint:
+    // another theme key, or a fixed color the stylesheets put on top of it
+    const THEME_CONTRAST = {
+        theme_blue: ['#FFFFFF', 'white button text'],
+        theme_blue_dark: ['#FFFFFF', 'white button text'],
+        theme_blue_light: ['theme_blue', 'primary text'],
+        theme_green: ['theme_background', 'the page background'],
+        theme_orange: ['theme_background', 'the page background'],
+        theme_red: ['#FFFFFF', 'white badge text'],
+        theme_dark: ['#FFFFFF', 'white text'],
+        theme_dark2: ['#FFFFFF', 'white text'],
+        theme_text: ['theme_background', 'the page background'],
+        theme_background: ['theme_text', 'body text'],
+    };
+    const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+    function uiAssetInput(a, value) {
+        if (a.asset_type === 'color') {
+            return html`<div class="ui-color-field">
+                    <input type="color" data-uia-color="${a.key}" value="${HEX_COLOR.test(value) ? value : '#000000'}" aria-label="Pick ${a.label}">
+                    <input type="text" class="admin-input" id="uia-${a.key}" data-uia-key="${a.key}" value="${value || ''}" maxlength="7" placeholder="#RRGGBB">
+                    <small class="ui-contrast" id="uia-contrast-${a.key}"></small>
+               </div>`;
+        }
+        if (a.asset_type === 'toggle') {
+            return html`<label class="admin-checkbox"><input type="checkbox" id="uia-${a.key}" data-uia-key="${a.key}"
+                    ${value === 'on' && raw('checked')}> On</label>`;
+        }
+        const field = value || '';
+        return a.asset_type === 'image'
+            ? html`<div style="display:flex;gap:8px;align-items:center;">
+                    <img id="uia-preview-${a.key}" src="${field}" width="48" height="48" style="border-radius:8px;object-fit:cover;border:1px solid #E5E7EB;" data-fallback="${PLACEHOLDER_IMG}">
+                    <input type="text" class="admin-input" id="uia-${a.key}" data-uia-key="${a.key}" value="${field}" style="flex:1;" placeholder="Image URL">
+                    <button type="button" class="admin-btn admin-btn-sm" data-media-target="uia-${a.key}">Browse</button>
+               </div>`
+            : html`<input type="text" class="admin-input" id="uia-${a.key}" data-uia-key="${a.key}" value="${field}" style="width:100%;">`;
+    }
+
+    function uiAssetRow(a) {
+        const value = a.has_draft ? a.draft_value : a.value;
+        return html`
+            <div class="ui-asset-row ${a.has_draft ? 'has-draft' : ''}" id="uia-row-${a.key}">
+                <div class="ui-asset-label">
+                    <span>${a.label}</span>
+                    ${a.has_draft && html`<span class="ui-asset-draft-tag">Draft</span>`}
+                    ${a.description && html`<small>${a.description}</small>`}
+                    ${a.has_draft && html`<small class="ui-asset-live" title="${a.value || ''}">Live: ${a.value || '(empty)'}</small>`}
+                </div>
+                <div class="ui-asset-input-wrap">${uiAssetInput(a, value)}</div>
+                <div class="ui-asset-actions">
+                    <button class="admin-btn admin-btn-sm" data-uia-save="${a.key}">Save</button>
+                    ${a.has_draft && html`<button class="admin-btn admin-btn-sm" data-uia-discard="${a.key}" title="Discard draft">Discard</button>`}
+                </div>
+            </div>
+        `;
+    }
+
     window.loadAdminUIAssets = async function () {
         const container = document.getElementById('admin-ui-assets-container');
         if (!container) return;
         container.innerHTML = '<p style="color:#6B7280;padding:20px;">Loading UI assets...</p>';
         try {
             const data = await adminApi.get('/admin/ui-assets');
+            uiAssetSaved = {};
             // Group by section
             const grouped = {};
             data.assets.forEach(a => {
+                uiAssetSaved[a.key] = (a.has_draft ? a.draft_value : a.value) || '';
                 if (!grouped[a.section]) grouped[a.section] = [];
                 grouped[a.section].push(a);
             });
 
-            let html = '';
-            for (const [section, assets] of Object.entries(grouped)) {
-                html += `<div class="ui-asset-section">
+            container.innerHTML = html`${Object.entries(grouped).map(([section, assets]) => html`
+                <div class="ui-asset-section">
                     <div class="ui-asset-section-title">${section.replace(/_/g, ' ').toUpperCase()}</div>
-                    ${assets.map(a => `
-                        <div class="ui-asset-row" id="uia-row-${a.key}">
-                            <div class="ui-asset-label">
-                                <span>${a.label}</span>
-                                ${a.description ? `<small>${a.description}</small>` : ''}
-                            </div>
-                            <div class="ui-asset-input-wrap">
-                                ${a.asset_type === 'image'
-                        ? `<div style="display:flex;gap:8px;align-items:center;">
-                                         <img id="uia-preview-${a.key}" src="${a.value || ''}" width="48" height="48" style="border-radius:8px;object-fit:cover;border:1px solid #E5E7EB;" onerror="this.src='https://via.placeholder.com/48'">
-                                         <input type="text" class="admin-input" id="uia-${a.key}" value="${escHtml(a.value || '')}" style="flex:1;" placeholder="Image URL" oninput="document.getElementById('uia-preview-${a.key}').src=this.value">
-                                       </div>`
-                        : `<input type="text" class="admin-input" id="uia-${a.key}" value="${escHtml(a.value || '')}" style="width:100%;">`
-                    }
-                            </div>
-                            <button class="admin-btn admin-btn-sm" onclick="saveUIAsset('${a.key}')">Save</button>
-                        </div>
-                    `).join('')}
-                </div>`;
-            }
-            container.innerHTML = html;
+                    ${assets.map(uiAssetRow)}
+                </div>
+            `)}`;
+            // Values are saved back verbatim, and the markup keeps entities as
+            // entities, so the text inputs take their values as properties
+            container.querySelectorAll('input[type="text"][data-uia-key]').forEach(input => {
+                input.value = uiAssetSaved[input.dataset.uiaKey];
+            });
+            uiDraftCount = data.drafts;
+            renderDraftCount();
+            updateAllContrast();
         } catch (e) {
-            container.innerHTML = `<p style="color:red;padding:20px;">${e.message}</p>`;
+            container.innerHTML = html`<p style="color:red;padding:20px;">${e.message}</p>`;
         }
+        loadUIAssetVersions();
+        loadThemes();
+        reloadUIPreview();
     };
 
+    // Inputs whose value differs from what was last saved
+    function changedUIAssets() {
+        return [...document.querySelectorAll('[data-uia-key]')]
+            .filter(input => uiInputValue(input) !== uiAssetSaved[input.dataset.uiaKey])
+            .map(input => ({ key: input.dataset.uiaKey, value: uiInputValue(input) }));
+    }
+
+    function uiInputValue(input) {
+        if (input.type === 'checkbox') return input.checked ? 'on' : 'off';
+        return input.value;
+    }
+
+    // ─── Theme Colors ─────────────────────────────────────────────────────────
+    function relativeLuminance(hex) {
+        const [r, g, b] = [1, 3, 5].map(i => {
+            const c = parseInt(hex.slice(i, i + 2), 16) / 255;
+            return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+        });
+        return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    }
+
+    function contrastRatio(a, b) {
+        const [hi, lo] = [relativeLuminance(a), relativeLuminance(b)].sort((x, y) => y - x);
+        return (hi + 0.05) / (lo + 0.05);
+    }
+
+    function updateContrast(key) {
+        const slot = document.getElementById(`uia-contrast-${key}`);
+        const pair = THEME_CONTRAST[key];
+        if (!slot || !pair) return;
+        const color = document.getElementById(`uia-${key}`)?.value;
+        const against = HEX_COLOR.test(pair[0]) ? pair[0] : document.getElementById(`uia-${pair[0]}`)?.value;
+        if (!HEX_COLOR.test(color || '') || !HEX_COLOR.test(against || '')) {
+            slot.textContent = '';
+            return;
+        }
+        const ratio = contrastRatio(color, against);
+        // WCAG AA: 4.5:1 for body text, 3:1 for large text and UI parts
+        const level = ratio >= 4.5 ? 'AA' : ratio >= 3 ? 'AA large text only' : 'too low';
+        slot.textContent = `${ratio.toFixed(1)}:1 with ${pair[1]} · ${level}`;
+        slot.classList.toggle('is-low', ratio < 4.5);
+    }
+
+    // Colors are checked against each other, so one edit can change several hints
+    function updateAllContrast() {
+        Object.keys(THEME_CONTRAST).forEach(updateContrast);
+    }
+
+    function renderDraftCount() {
+        const count = uiDraftCount;
+        const badge = document.getElementById('ui-drafts-count');
+        if (badge) {
+            badge.textContent = count ? `${count} unpublished draft${count === 1 ? '' : 's'}` : 'No unpublished drafts';
+            badge.classList.toggle('has-drafts', count > 0);
+        }
+        const publish = document.getElementById('ui-publish-btn');
+        if (publish) publish.disabled = !count && !changedUIAssets().length;
+    }
+
     window.saveUIAsset = async function (key) {
         const input = document.getElementById(`uia-${key}`);
         if (!input) return;
         try {
-            await adminApi.put(`/admin/ui-assets/${key}`, { value: input.value });
-            showAdminToast('Saved! Refresh page to see changes.');
-            // Invalidate cache
-            sessionStorage.removeItem('em_ui_config');
+            await adminApi.put(`/admin/ui-assets/${key}`, { value: uiInputValue(input) });
+            showAdminToast('Draft saved');
+            loadAdminUIAssets();
         } catch (e) {
             showAdminToast(e.message, true);
         }
     };
 
-    window.saveAllUIAssets = async function () {
-        const inputs = document.querySelectorAll('[id^="uia-"]');
-        const updates = [];
-        inputs.forEach(input => {
-            const key = input.id.replace('uia-', '');
-            if (!key.includes('preview')) updates.push({ key, value: input.value });
-        });
+    window.saveAllUIAssets = async function (quiet = false) {
+        const updates = changedUIAssets();
+        if (!updates.length) {
+            if (!quiet) showAdminToast('No changes to save');
+            return true;
+        }
         try {
             await adminApi.put('/admin/ui-assets', { updates });
-            showAdminToast(`Saved ${updates.length} UI assets! Refresh page to see changes.`);
-            sessionStorage.removeItem('em_ui_config');
+            if (!quiet) showAdminToast(`Saved ${updates.length} change${updates.length === 1 ? '' : 's'} as draft`);
+            await loadAdminUIAssets();
+            return true;
         } catch (e) {
             showAdminToast(e.message, true);
+            return false;
         }
     };
 
-    // ─── Orders ───────────────────────────────────────────────────────────────
-    window.loadAdminOrders = async function () {
-        const container = document.getElementById('admin-orders-table-body');
-        if (!container) return;
-        container.innerHTML = '<tr><td colspan="5" style="text-align:center;padding:20px;color:#6B7280;">Loading...</td></tr>';
+    window.discardUIDrafts = async function (key = null) {
+        if (!key && !confirm('Discard all unpublished UI asset drafts?')) return;
+        try {
+            const data = await adminApi.delete(`/admin/ui-assets/drafts${key ? `?key=${encodeURIComponent(key)}` : ''}`);
+            showAdminToast(data.message);
+            loadAdminUIAssets();
+        } catch (e) {
+            showAdminToast(e.message, true);
+        }
+    };
+
+    window.publishUIAssets = async function () {
+        // Unsaved edits are part of what the admin is looking at, so stage them first
+        if (!await saveAllUIAssets(true)) return;
+        const note = document.getElementById('ui-publish-note');
+        try {
+            const data = await adminApi.post('/admin/ui-assets/publish', { note: note?.value.trim() || '' });
+            showAdminToast(data.message);
+            if (note) note.value = '';
+            // This tab's storefront should pick up the new values too
+            window.refreshUIConfig?.();
+            loadAdminUIAssets();
+        } catch (e) {
+            showAdminToast(e.message, true);
+        }
+    };
+
+    // ─── UI Asset Preview ─────────────────────────────────────────────────────
+    function reloadUIPreview() {
+        const frame = document.getElementById('ui-preview-frame');
+        if (!frame) return;
+        if (frame.getAttribute('src') !== PREVIEW_URL) frame.setAttribute('src', PREVIEW_URL);
+        else frame.contentWindow?.location.reload();
+    }
+
+    function postUIPreview() {
+        const frame = document.getElementById('ui-preview-frame');
+        const config = Object.fromEntries(changedUIAssets().map(u => [u.key, u.value]));
+        frame?.contentWindow?.postMessage({ type: 'em-ui-preview', config }, location.origin);
+    }
+
+    // ─── UI Asset Versions ────────────────────────────────────────────────────
+    function uiChangeValue(value) {
+        if (!value) return html`<em>(empty)</em>`;
+        const text = value.length > 80 ? `${value.slice(0, 80)}…` : value;
+        return html`<code title="${value}">${text}</code>`;
+    }
+
+    async function loadUIAssetVersions() {
+        const list = document.getElementById('ui-versions-list');
+        if (!list) return;
         try {
-            const data = await adminApi.get('/admin/orders');
-            if (!data.orders.length) {
-                container.innerHTML = '<tr><td colspan="5" style="text-align:center;padding:20px;color:#6B7280;">No orders yet.</td></tr>';
+            const data = await adminApi.get('/admin/ui-assets/versions');
+            if (!data.versions.length) {
+                list.innerHTML = '<p style="color:#6B7280;">Nothing published yet.</p>';
                 return;
             }
-            container.innerHTML = data.orders.map(o => `
-                <tr>
-                    <td>#${o.id}</td>
-                    <td>${o.user_id ? 'User #' + o.user_id : 'Guest'}</td>
-                    <td>$${o.total_amount.toFixed(2)}</td>
-                    <td><span class="order-status status-${o.status}">${o.status}</span></td>
-                    <td>${new Date(o.created_at).toLocaleDateString()}</td>
-                    <td>
-                        <select class="admin-input" style="padding:4px 8px;font-size:12px;" onchange="updateOrderStatus(${o.id}, this.value)">
-                            ${['pending', 'processing', 'shipped', 'delivered', 'cancelled'].map(s =>
-                `<option value="${s}" ${o.status === s ? 'selected' : ''}>${s}</option>`
-            ).join('')}
-                        </select>
-                    </td>
-                </tr>
-            `).join('');
+            list.innerHTML = html`${data.versions.map((v, i) => html`
+                <li class="ui-version">
+                    <div class="ui-version-header">
+                        <div>
+                            <strong>Version ${v.id}</strong>${i === 0 && html` <span class="ui-asset-draft-tag live">Live</span>`}
+                            <small>${new Date(v.created_at).toLocaleString()} · ${v.published_by || 'unknown'}</small>
+                            ${v.note && html`<p>${v.note}</p>`}
+                        </div>
+                        <div class="ui-asset-actions">
+                            ${i !== 0 && html`<button class="admin-btn admin-btn-sm" data-uia-rollback="${v.id}" data-to="after"
+                                title="Make the storefront look like it did right after this publish">Restore</button>`}
+                            <button class="admin-btn admin-btn-sm" data-uia-rollback="${v.id}" data-to="before"
+                                title="Make the storefront look like it did right before this publish">Undo</button>
+                        </div>
+                    </div>
+                    <ul class="ui-version-changes">
+                        ${v.changes.map(c => html`
+                            <li><span>${c.label || c.key}</span> ${uiChangeValue(c.before)} → ${uiChangeValue(c.after)}</li>
+                        `)}
+                    </ul>
+                </li>
+            `)}`;
+        } catch (e) {
+            list.innerHTML = html`<p style="color:red;">${e.message}</p>`;
+        }
+    }
+
+    async function rollbackUIAssets(vid, to) {
+        const what = to === 'before' ? `how it was before version ${vid}` : `version ${vid}`;
+        if (!confirm(`Publish ${what} to the live storefront? Unpublished drafts are kept.`)) return;
+        try {
+            const data = await adminApi.post(`/admin/ui-assets/versions/${vid}/rollback`, { to });
+            showAdminToast(data.message);
+            window.refreshUIConfig?.();
+            loadAdminUIAssets();
         } catch (e) {
-            container.innerHTML = `<tr><td colspan="5" style="color:red;padding:20px;">${e.message}</td></tr>`;
+            showAdminToast(e.message, true);
         }
+    }
+
+    document.addEventListener('DOMContentLoaded', () => {
+        const container = document.getElementById('admin-ui-assets-container');
+        container?.addEventListener('click', (e) => {
+            const save = e.target.closest('[data-uia-save]');
+            if (save) return saveUIAsset(save.dataset.uiaSave);
+            const discard = e.target.closest('[data-uia-discard]');
+            if (discard) discardUIDrafts(discard.dataset.uiaDiscard);
+        });
+        container?.addEventListener('input', (e) => {
+            // The color picker drives the hex field next to it, which is what gets saved
+            const picker = e.target.dataset?.uiaColor;
+            if (picker) {
+                const field = document.getElementById(`uia-${picker}`);
+                field.value = e.target.value.toUpperCase();
+                field.dispatchEvent(new Event('input', { bubbles: true }));
+                return;
+            }
+            const key = e.target.dataset?.uiaKey;
+            if (!key) return;
+            const img = document.getElementById(`uia-preview-${key}`);
+            if (img) img.src = e.target.value;
+            const swatch = container.querySelector(`[data-uia-color="${key}"]`);
+            if (swatch && HEX_COLOR.test(e.target.value)) swatch.value = e.target.value;
+            if (swatch) updateAllContrast();
+            e.target.closest('.ui-asset-row')?.classList.toggle('is-dirty', uiInputValue(e.target) !== uiAssetSaved[key]);
+            renderDraftCount();
+            clearTimeout(previewTimer);
+            previewTimer = setTimeout(postUIPreview, 250);
+        });
+        // A reloaded preview has lost the unsaved edits; send them again
+        document.getElementById('ui-preview-frame')?.addEventListener('load', postUIPreview);
+        document.getElementById('ui-versions-list')?.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-uia-rollback]');
+            if (btn) rollbackUIAssets(parseInt(btn.dataset.uiaRollback), btn.dataset.to);
+        });
+    });
+
+    // ─── Themes ───────────────────────────────────────────────────────────────
+    // Named sets of theme colors: applying one publishes it (and so lands in the
+    // version history); scheduling one overrides the live colors while it runs.
+    let themeCache = [];
+
+    async function loadThemes() {
+        const list = document.getElementById('ui-themes-list');
+        if (!list) return;
+        try {
+            const data = await adminApi.get('/admin/themes');
+            themeCache = data.themes;
+            const running = themeCache.find(t => t.id === data.scheduled_id);
+            const notice = document.getElementById('ui-theme-scheduled');
+            if (notice) {
+                notice.hidden = !running;
+                notice.textContent = running
+                    ? `"${decode(running.name)}" is scheduled until ${new Date(running.ends_at).toLocaleString()} and overrides the theme colors below until then.`
+                    : '';
+            }
+            if (!themeCache.length) {
+                list.innerHTML = '<li style="color:#6B7280;">No saved themes. Save the current colors to keep them for later.</li>';
+                return;
+            }
+            list.innerHTML = html`${themeCache.map(t => html`
+                <li class="ui-theme">
+                    <div class="ui-theme-swatches" aria-hidden="true">
+                        ${Object.entries(t.values).filter(([, v]) => HEX_COLOR.test(v)).map(([k, v]) =>
+                            html`<span style="background:${v};" title="${k}: ${v}"></span>`)}
+                    </div>
+                    <div class="ui-theme-info">
+                        <strong>${t.name}</strong>
+                        <span class="order-status status-flash-${t.status === 'saved' ? 'inactive' : t.status}">${t.status === 'saved' ? 'not scheduled' : t.status}</span>
+                        ${t.starts_at && html`<small>${new Date(t.starts_at).toLocaleString()} – ${new Date(t.ends_at).toLocaleString()}</small>`}
+                    </div>
+                    <div class="ui-asset-actions">
+                        <button class="admin-btn admin-btn-sm" data-theme-apply="${t.id}" title="Publish these colors now">Apply</button>
+                        <button class="admin-btn admin-btn-sm" data-theme-edit="${t.id}">Edit</button>
+                        <button class="admin-btn admin-btn-sm admin-btn-danger" data-theme-delete="${t.id}">Delete</button>
+                    </div>
+                </li>
+            `)}`;
+        } catch (e) {
+            list.innerHTML = html`<li style="color:red;">${e.message}</li>`;
+        }
+    }
+
+    window.showThemeModal = function (theme = null) {
+        const modal = document.getElementById('theme-modal');
+        if (!modal) return;
+        document.getElementById('theme-id').value = theme?.id || '';
+        document.getElementById('theme-name').value = decode(theme?.name || '');
+        document.getElementById('theme-starts').value = toLocalInput(theme?.starts_at);
+        document.getElementById('theme-ends').value = toLocalInput(theme?.ends_at);
+        document.getElementById('theme-modal-hint').hidden = Boolean(theme);
+        modal.classList.add('active');
+        document.getElementById('theme-name').focus();
     };
 
-    window.updateOrderStatus = async function (id, status) {
+    window.saveTheme = async function () {
+        const id = document.getElementById('theme-id').value;
+        const name = document.getElementById('theme-name').value.trim();
+        const starts = document.getElementById('theme-starts').value;
+        const ends = document.getElementById('theme-ends').value;
+        if (!name) {
+            showAdminToast('Give the theme a name', true);
+            return;
+        }
+        if (Boolean(starts) !== Boolean(ends)) {
+            showAdminToast('Set both a start and an end to schedule the theme, or neither', true);
+            return;
+        }
+        if (starts && new Date(ends) <= new Date(starts)) {
+            showAdminToast('End must be after start', true);
+            return;
+        }
+        const body = { name, starts_at: fromLocalInput(starts), ends_at: fromLocalInput(ends) };
+        try {
+            if (id) {
+                await adminApi.put(`/admin/themes/${id}`, body);
+                showAdminToast('Theme updated');
+            } else {
+                // New themes capture the colors shown in the editor, saved or not
+                if (!await saveAllUIAssets(true)) return;
+                await adminApi.post('/admin/themes', body);
+                showAdminToast('Theme saved');
+            }
+            document.getElementById('theme-modal')?.classList.remove('active');
+            loadThemes();
+            reloadUIPreview();
+        } catch (e) {
+            showAdminToast(e.message, true);
+        }
+    };
+
+    async function applyTheme(id) {
+        const theme = themeCache.find(t => t.id === id);
+        if (!theme || !confirm(`Publish the colors of "${decode(theme.name)}" to the live storefront?`)) return;
+        try {
+            const data = await adminApi.post(`/admin/themes/${id}/apply`);
+            showAdminToast(data.message);
+            window.refreshUIConfig?.();
+            loadAdminUIAssets();
+        } catch (e) {
+            showAdminToast(e.message, true);
+        }
+    }
+
+    async function deleteTheme(id) {
+        const theme = themeCache.find(t => t.id === id);
+        if (!theme || !confirm(`Delete the theme "${decode(theme.name)}"?`)) return;
+        try {
+            await adminApi.delete(`/admin/themes/${id}`);
+            showAdminToast('Theme deleted');
+            loadThemes();
+            reloadUIPreview();
+        } catch (e) {
+            showAdminToast(e.message, true);
+        }
+    }
+
+    document.addEventListener('DOMContentLoaded', () => {
+        document.getElementById('ui-themes-list')?.addEventListener('click', (e) => {
+            const apply = e.target.closest('[data-theme-apply]');
+            if (apply) return applyTheme(parseInt(apply.dataset.themeApply));
+            const edit = e.target.closest('[data-theme-edit]');
+            if (edit) return showThemeModal(themeCache.find(t => t.id === parseInt(edit.dataset.themeEdit)));
+            const del = e.target.closest('[data-theme-delete]');
+            if (del) deleteTheme(parseInt(del.dataset.themeDelete));
+        });
+    });
+
+    // ─── Orders ───────────────────────────────────────────────────────────────
+    let ordersTable = null;
+    let drawerOrderId = null;
+
+    function statusOptions(o) {
+        // Only moves the server will accept; final statuses can't change at all
+        return html`${[o.status, ...o.next_statuses].map(s =>
+            html`<option value="${s}" ${o.status === s && raw('selected')}>${s}</option>`)}`;
+    }
+
+    function orderCustomer(o) {
+        return o.username || o.shipping?.name || 'Guest';
+    }
+
+    function renderOrderRow(o) {
+        const count = o.items.reduce((sum, i) => sum + i.quantity, 0);
+        return html`
+            <td><a href="#" class="admin-order-link" data-order-id="${o.id}">#${o.id}</a></td>
+            <td>${orderCustomer(o)}${!o.user_id && html` <span style="color:#9CA3AF;">(guest)</span>`}</td>
+            <td>${count}</td>
+            <td>$${o.total_amount.toFixed(2)}</td>
+            <td><span class="order-status status-${o.status}">${o.status}</span></td>
+            <td>${new Date(o.created_at).toLocaleDateString()}</td>
+            <td>
+                <select class="admin-input admin-order-status" data-order-id="${o.id}" data-current="${o.status}"
+                    style="padding:4px 8px;font-size:12px;" aria-label="Status of order #${o.id}"
+                    ${!o.next_statuses.length && raw('disabled title="This status is final"')}>
+                    ${statusOptions(o)}
+                </select>
+            </td>
+        `;
+    }
+
+    window.loadAdminOrders = function () {
+        const table = document.getElementById('admin-orders-table');
+        if (!table) return;
+        if (!ordersTable) {
+            ordersTable = window.createDataTable({
+                table,
+                url: '/admin/orders',
+                dataKey: 'orders',
+                renderRow: renderOrderRow,
+                sort: 'created_at',
+                order: 'desc',
+                search: document.getElementById('admin-orders-search'),
+                pagination: document.getElementById('admin-orders-pagination'),
+                emptyMessage: 'No orders match these filters.',
+            });
+            initOrderFilters(table);
+        }
+        return ordersTable.reload();
+    };
+
+    function initOrderFilters(table) {
+        const filters = {
+            'admin-orders-status': 'status',
+            'admin-orders-from': 'date_from',
+            'admin-orders-to': 'date_to',
+        };
+        Object.entries(filters).forEach(([inputId, key]) => {
+            const input = document.getElementById(inputId);
+            input?.addEventListener('change', () => ordersTable.setFilter(key, input.value));
+        });
+
+        table.querySelector('tbody').addEventListener('change', (e) => {
+            const select = e.target.closest('.admin-order-status');
+            if (select) updateOrderStatus(parseInt(select.dataset.orderId), select.value, select);
+        });
+        table.querySelector('tbody').addEventListener('click', (e) => {
+            if (e.target.closest('select')) return;
+            const row = e.target.closest('tr');
+            const link = row?.querySelector('.admin-order-link');
+            if (!link) return;
+            e.preventDefault();
+            openOrderDrawer(parseInt(link.dataset.orderId));
+        });
+    }
+
+    window.updateOrderStatus = async function (id, status, select = null) {
         try {
             await adminApi.put(`/admin/orders/${id}`, { status });
             showAdminToast(`Order #${id} → ${status}`);
+            ordersTable?.reload();
+            if (drawerOrderId === id) openOrderDrawer(id);
         } catch (e) {
+            if (select) select.value = select.dataset.current;
             showAdminToast(e.message, true);
         }
     };
 
+    // ─── Order Drawer ─────────────────────────────────────────────────────────
+    function renderOrderDetail(o) {
+        const subtotal = o.items.reduce((sum, i) => sum + i.price * i.quantity, 0);
+        const s = o.shipping || {};
+        const address = [s.name, s.address, [s.postal_code, s.city].filter(Boolean).join(' '), s.country, s.phone]
+            .filter(Boolean).map((line, i) => html`${i > 0 && html`<br>`}${line}`);
+        const customer = o.customer.guest
+            ? 'Guest checkout'
+            : html`${o.customer.username}${o.customer.email && html`<br><span style="color:#6B7280;">${o.customer.email}</span>`}`;
+
+        return html`
+            <div class="order-drawer-meta">
+                <span class="order-status status-${o.status}">${o.status}</span>
+                <span>${new Date(o.created_at).toLocaleString()}</span>
+            </div>
+
+            <h4 class="order-drawer-heading">Items</h4>
+            ${o.items.map(i => html`
+                <div class="order-line">
+                    <img src="${i.image || PLACEHOLDER_IMG}" width="40" height="40" alt="" data-fallback="${PLACEHOLDER_IMG}">
+                    <div class="order-line-info">
+                        <div>${i.product_name || `Product #${i.product_id}`}</div>
+                        <small>${i.sku && `${i.sku} · `}${i.quantity} × $${i.price.toFixed(2)}</small>
+                    </div>
+                    <strong>$${(i.price * i.quantity).toFixed(2)}</strong>
+                </div>
+            `)}
+            <dl class="order-totals">
+                <dt>Subtotal</dt><dd>$${subtotal.toFixed(2)}</dd>
+                ${o.coupon_code && html`<dt>Promo ${o.coupon_code}</dt><dd>−$${o.discount_amount.toFixed(2)}</dd>`}
+                <dt>Shipping${o.delivery_label ? ` (${o.delivery_label})` : ''}</dt><dd>$${(o.shipping_cost || 0).toFixed(2)}</dd>
+                <dt>Total</dt><dd>$${o.total_amount.toFixed(2)}</dd>
+            </dl>
+
+            <h4 class="order-drawer-heading">Customer</h4>
+            <p class="order-drawer-text">${customer}</p>
+
+            <h4 class="order-drawer-heading">Ship to</h4>
+            <p class="order-drawer-text">${address.length ? address : html`<span style="color:#9CA3AF;">No address on file</span>`}</p>
+
+            <h4 class="order-drawer-heading">History</h4>
+            <ol class="order-timeline">
+                ${o.history.map(h => html`
+                    <li class="order-timeline-item status-dot-${h.status}">
+                        <strong>${h.status}</strong>
+                        <small>${new Date(h.at).toLocaleString()} · ${h.changed_by || 'customer'}</small>
+                    </li>
+                `)}
+            </ol>
+        `;
+    }
+
+    async function openOrderDrawer(id) {
+        const drawer = document.getElementById('order-drawer');
+        const body = document.getElementById('order-drawer-body');
+        if (!drawer) return;
+        drawerOrderId = id;
+        document.getElementById('order-drawer-title').textContent = `Order #${id}`;
+        document.getElementById('order-drawer-slip').href = `/admin/orders/${id}/packing-slip`;
+        if (!drawer.classList.contains('active')) body.innerHTML = '<p style="color:#6B7280;padding:20px 0;">Loading...</p>';
+        setDrawerOpen('order', true);
+
+        try {
+            const { order } = await adminApi.get(`/admin/orders/${id}`);
+            if (drawerOrderId !== id) return;
+            body.innerHTML = renderOrderDetail(order);
+            const select = document.getElementById('order-drawer-status');
+            select.innerHTML = statusOptions(order);
+            select.dataset.current = order.status;
+            select.disabled = !order.next_statuses.length;
+            select.title = select.disabled ? 'This status is final' : '';
+        } catch (e) {
+            body.innerHTML = html`<p style="color:red;padding:20px 0;">${e.message}</p>`;
+        }
+    }
+
+    function closeOrderDrawer() {
+        drawerOrderId = null;
+        setDrawerOpen('order', false);
+    }
+
+    document.addEventListener('DOMContentLoaded', () => {
+        document.getElementById('order-drawer-close')?.addEventListener('click', closeOrderDrawer);
+        document.getElementById('order-drawer-backdrop')?.addEventListener('click', closeOrderDrawer);
+        document.getElementById('order-drawer-status')?.addEventListener('change', (e) => {
+            if (drawerOrderId) updateOrderStatus(drawerOrderId, e.target.value, e.target);
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && drawerOrderId) closeOrderDrawer();
+        });
+    });
+
+    // ─── Users ────────────────────────────────────────────────────────────────
+    let usersTable = null;
+    let drawerUser = null;
+
+    function renderUserRow(u) {
+        return html`
+            <td>
+                <a href="#" class="admin-user-link" data-user-id="${u.id}">${u.username}</a>
+                ${u.email && html`<br><small style="color:#6B7280;">${u.email}</small>`}
+            </td>
+            <td>${u.created_at ? new Date(u.created_at).toLocaleDateString() : '—'}</td>
+            <td>${u.order_count}</td>
+            <td>$${u.lifetime_spend.toFixed(2)}</td>
+            <td>${u.is_admin ? html`<span class="admin-tag hot">admin</span>` : 'customer'}</td>
+            <td>
+                ${u.disabled ? html`<span class="order-status status-cancelled">disabled</span>` : html`<span class="order-status status-delivered">active</span>`}
+                ${u.locked && html`<span class="order-status status-pending" title="Too many failed sign-ins">locked</span>`}
+            </td>
+            <td><button class="admin-btn admin-btn-sm admin-user-link" data-user-id="${u.id}">View</button></td>
+        `;
+    }
+
+    window.loadAdminUsers = function () {
+        const table = document.getElementById('admin-users-table');
+        if (!table) return;
+        if (!usersTable) {
+            usersTable = window.createDataTable({
+                table,
+                url: '/admin/users',
+                dataKey: 'users',
+                renderRow: renderUserRow,
+                sort: 'created_at',
+                order: 'desc',
+                search: document.getElementById('admin-users-search'),
+                pagination: document.getElementById('admin-users-pagination'),
+                emptyMessage: 'No accounts match.',
+            });
+            const role = document.getElementById('admin-users-role');
+            role?.addEventListener('change', () => usersTable.setFilter('role', role.value));
+            table.querySelector('tbody').addEventListener('click', (e) => {
+                const link = e.target.closest('.admin-user-link');
+                if (!link) return;
+                e.preventDefault();
+                openUserDrawer(parseInt(link.dataset.userId));
+            });
+        }
+        loadLockouts();
+        return usersTable.reload();
+    };
+
+    async function updateUser(id, changes, successMessage) {
+        try {
+            await adminApi.put(`/admin/users/${id}`, changes);
+            showAdminToast(successMessage);
+            usersTable?.reload();
+            if (drawerUser?.id === id) openUserDrawer(id);
+        } catch (e) {
+            showAdminToast(e.message, true);
+        }
+    }
+
+    // ─── Login Lockouts ───────────────────────────────────────────────────────
+    async function loadLockouts() {
+        const body = document.getElementById('admin-lockouts-body');
+        if (!body) return;
+        const active = document.getElementById('admin-lockouts-active')?.checked;
+        try {
+            const data = await adminApi.get(`/admin/lockouts${active ? '?active=1' : ''}`);
+            if (!data.lockouts.length) {
+                body.innerHTML = `<tr><td colspan="5" style="text-align:center;padding:20px;color:#6B7280;">${active ? 'Nobody is locked out.' : 'No failed sign-ins recorded.'}</td></tr>`;
+                return;
+            }
+            body.innerHTML = html`${data.lockouts.map(a => lockoutRow(a))}`;
+        } catch (e) {
+            body.innerHTML = html`<tr><td colspan="5" style="color:red;padding:20px;">${e.message}</td></tr>`;
+        }
+    }
+
+    function lockoutRow(a) {
+        const blocked = a.blocked_until && new Date(a.blocked_until) > new Date();
+        return html`
+            <tr>
+                <td>${a.username || '—'}</td>
+                <td>${a.ip_address}</td>
+                <td>${a.attempts}</td>
+                <td>${blocked ? new Date(a.blocked_until).toLocaleString() : html`<span style="color:#9CA3AF;">not blocked</span>`}</td>
+                <td>
+                    <button class="admin-btn admin-btn-sm" data-clear-lockout="id" data-value="${a.id}">Clear</button>
+                    <button class="admin-btn admin-btn-sm" data-clear-lockout="ip_address" data-value="${a.ip_address}">Clear IP</button>
+                </td>
+            </tr>
+        `;
+    }
+
+    async function clearLockouts(key, value) {
+        try {
+            const data = await adminApi.post('/admin/lockouts/clear', { [key]: key === 'id' ? parseInt(value) : value });
+            showAdminToast(data.message);
+            loadLockouts();
+            usersTable?.reload();
+            if (drawerUser) openUserDrawer(drawerUser.id);
+        } catch (e) {
+            showAdminToast(e.message, true);
+        }
+    }
+
+    // Clear buttons live in both the lockouts card and the user drawer.
+    // Usernames go back exactly as the server sent them (stored HTML-escaped),
+    // so the drawer's button reads drawerUser rather than a decoded dataset.
+    document.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-clear-lockout]');
+        if (!btn) return;
+        const key = btn.dataset.clearLockout;
+        clearLockouts(key, key === 'username' ? drawerUser?.username : btn.dataset.value);
+    });
+
+    // ─── User Drawer ──────────────────────────────────────────────────────────
+    function renderUserDetail(u) {
+        return html`
+            <div class="order-drawer-meta">
+                <span>${u.is_admin ? 'Admin' : 'Customer'}${u.disabled ? ' · disabled' : ''}</span>
+                <span>Joined ${u.created_at ? new Date(u.created_at).toLocaleDateString() : '—'}</span>
+            </div>
+            <p class="order-drawer-text">${u.email || html`<span style="color:#9CA3AF;">No email on file</span>`}</p>
+            <dl class="order-totals">
+                <dt>Orders</dt><dd>${u.order_count}</dd>
+                <dt>Lifetime spend</dt><dd>$${u.lifetime_spend.toFixed(2)}</dd>
+            </dl>
+
+            <h4 class="order-drawer-heading">Orders</h4>
+            ${u.orders.length ? u.orders.map(o => html`
+                <div class="order-line">
+                    <div class="order-line-info">
+                        <a href="#" class="admin-order-link" data-order-id="${o.id}">#${o.id}</a>
+                        <small> · ${new Date(o.created_at).toLocaleDateString()} · ${o.items} item(s)</small>
+                    </div>
+                    <span class="order-status status-${o.status}">${o.status}</span>
+                    <strong>$${o.total_amount.toFixed(2)}</strong>
+                </div>
+            `) : html`<p class="order-drawer-text" style="color:#9CA3AF;">No orders yet.</p>`}
+
+            <h4 class="order-drawer-heading">Failed sign-ins</h4>
+            ${u.lockouts.length ? html`
+                <div class="admin-lockout-actions">
+                    <button class="admin-btn admin-btn-sm" data-clear-lockout="username">Clear all for ${u.username}</button>
+                </div>
+                <table class="admin-table"><tbody>${u.lockouts.map(a => lockoutRow(a))}</tbody></table>
+            ` : html`<p class="order-drawer-text" style="color:#9CA3AF;">None recorded.</p>`}
+        `;
+    }
+
+    async function openUserDrawer(id) {
+        const body = document.getElementById('user-drawer-body');
+        if (!body) return;
+        if (drawerUser?.id !== id) body.innerHTML = '<p style="color:#6B7280;padding:20px 0;">Loading...</p>';
+        drawerUser = { id };
+        setDrawerOpen('user', true);
+        try {
+            const { user } = await adminApi.get(`/admin/users/${id}`);
+            if (drawerUser?.id !== id) return;
+            drawerUser = user;
+            document.getElementById('user-drawer-title').innerHTML = html`${user.username}`;
+            body.innerHTML = renderUserDetail(user);
+            document.getElementById('user-drawer-admin').textContent = user.is_admin ? 'Remove admin' : 'Make admin';
+            const disable = document.getElementById('user-drawer-disable');
+            disable.textContent = user.disabled ? 'Enable account' : 'Disable account';
+            disable.classList.toggle('admin-btn-danger', !user.disabled);
+        } catch (e) {
+            body.innerHTML = html`<p style="color:red;padding:20px 0;">${e.message}</p>`;
+        }
+    }
+
+    function closeUserDrawer() {
+        drawerUser = null;
+        setDrawerOpen('user', false);
+    }
+
+    document.addEventListener('DOMContentLoaded', () => {
+        document.getElementById('admin-lockouts-active')?.addEventListener('change', loadLockouts);
+        document.getElementById('user-drawer-close')?.addEventListener('click', closeUserDrawer);
+        document.getElementById('user-drawer-backdrop')?.addEventListener('click', closeUserDrawer);
+        document.getElementById('user-drawer-admin')?.addEventListener('click', () => {
+            const u = drawerUser;
+            if (!u?.username) return;
+            if (u.is_admin && !confirm(`Remove admin access from ${decode(u.username)}?`)) return;
+            updateUser(u.id, { is_admin: !u.is_admin }, u.is_admin ? 'Admin access removed' : 'Admin access granted');
+        });
+        document.getElementById('user-drawer-disable')?.addEventListener('click', () => {
+            const u = drawerUser;
+            if (!u?.username) return;
+            if (!u.disabled && !confirm(`Disable ${decode(u.username)}? They will be signed out and unable to sign in.`)) return;
+            updateUser(u.id, { disabled: !u.disabled }, u.disabled ? 'Account enabled' : 'Account disabled');
+        });
+        document.getElementById('user-drawer-body')?.addEventListener('click', (e) => {
+            const link = e.target.closest('.admin-order-link');
+            if (!link) return;
+            e.preventDefault();
+            closeUserDrawer();
+            openOrderDrawer(parseInt(link.dataset.orderId));
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && drawerUser) closeUserDrawer();
+        });
+    });
+
+    // Shared by the order and user drawers
+    function setDrawerOpen(name, open) {
+        const drawer = document.getElementById(`${name}-drawer`);
+        drawer?.classList.toggle('active', open);
+        drawer?.setAttribute('aria-hidden', String(!open));
+        document.getElementById(`${name}-drawer-backdrop`)?.classList.toggle('active', open);
+    }
+
     // ─── Admin Logout ─────────────────────────────────────────────────────────
     window.adminLogout = async function () {
+        cancelAwaitingLogin();
         try {
-            await fetch('/auth/logout', { method: 'POST', credentials: 'same-origin' });
-            window.switchPage('home');
+            await adminApi.post('/auth/logout', {});
         } catch (e) {
-            window.switchPage('home');
+            // Already signed out, or offline: leave the panel either way
         }
+        adminSessionOk = false;
+        if (window.auth) window.auth.refresh();
+        window.switchPage('home');
     };
 
     // ─── Helpers ──────────────────────────────────────────────────────────────
     function showAdminToast(message, isError = false) {
+        // Loads dropped on a section change aren't worth a toast
+        if (message === CANCELLED) return;
         if (window.showToast) {
-            window.showToast(message, isError ? 'error' : 'success');
+            window.showToast(message, isError);
         } else {
             alert(message);
         }
     }
 
-    function escHtml(str) {
-        return String(str)
-            .replace(/&/g, '&amp;')
-            .replace(/</g, '&lt;')
-            .replace(/>/g, '&gt;')
-            .replace(/"/g, '&quot;');
+    function showUndoToast(message, undo) {
+        if (!window.showToast) return;
+        window.showToast(message, false, {
+            action: { label: 'Undo', onClick: undo },
+            duration: 6000,
+        });
+    }
+
+    // Fetch rather than a plain link so errors (and expired sessions) surface as a toast
+    async function downloadFile(url, fallbackName) {
+        try {
+            const res = await fetch(url, { credentials: 'same-origin' });
+            if (!res.ok) {
+                const data = await res.json().catch(() => ({}));
+                throw new Error(data.message || 'Download failed');
+            }
+            const blob = await res.blob();
+            const match = /filename=([^;]+)/.exec(res.headers.get('Content-Disposition') || '');
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = match ? match[1] : fallbackName;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 0);
+        } catch (e) {
+            showAdminToast(e.message, true);
+        }
     }
 
-    // Close modals on overlay click
+    function nextSortOrder(items) {
+        return items.reduce((max, item) => Math.max(max, item.sort_order || 0), 0) + 1;
+    }
+
+    // Per-field messages go in <small class="admin-field-error" data-for="input-id">
+    function showFieldErrors(root, errors) {
+        clearFieldErrors(root);
+        Object.entries(errors).forEach(([inputId, message]) => {
+            const slot = root.querySelector(`.admin-field-error[data-for="${inputId}"]`);
+            if (slot) slot.textContent = message;
+            document.getElementById(inputId)?.classList.add('has-error');
+        });
+        const first = Object.keys(errors)[0];
+        if (first) document.getElementById(first)?.focus();
+        return Boolean(first);
+    }
+
+    function clearFieldErrors(root) {
+        root.querySelectorAll('.admin-field-error').forEach(slot => { slot.textContent = ''; });
+        root.querySelectorAll('.has-error').forEach(input => input.classList.remove('has-error'));
+    }
+
+    // Close modals on overlay click, or from their × button
     document.addEventListener('click', (e) => {
         if (e.target.classList.contains('modal-overlay')) {
             e.target.classList.remove('active');
+            return;
         }
+        e.target.closest('.modal-close')?.closest('.modal-overlay')?.classList.remove('active');
+    });
+
+    document.addEventListener('DOMContentLoaded', () => {
+        document.getElementById('admin-login-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            adminLogin();
+        });
     });
 
 })();
@@ -1,15 +1,209 @@
 document.addEventListener('DOMContentLoaded', () => {
 
-    // Simple routing stub for client side interactions if needed, though Flask will serve pages
-    window.switchPage = function (pageId) {
-        document.querySelectorAll('.page').forEach(page => {
-            page.classList.remove('active');
+    // Customer Account (login / register / session restore / logout)
+    // Other modules listen for 'authChanged' (detail: { user }) to re-sync.
+    const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    const { decode } = window.dom;
+
+    let currentUser = null;
+    let csrfToken = null;
+
+    const authCard = document.getElementById('account-auth');
+    const profileCard = document.getElementById('account-profile');
+    const loginForm = document.getElementById('login-form');
+    const registerForm = document.getElementById('register-form');
+
+    async function getCsrfToken(refresh = false) {
+        if (csrfToken && !refresh) return csrfToken;
+        const res = await fetch('/auth/csrf-token', { credentials: 'same-origin' });
+        const data = await res.json();
+        csrfToken = data.csrf_token;
+        return csrfToken;
+    }
+
+    // POST with the session's CSRF token; a rejected token is refreshed once
+    async function authPost(url, body = {}, retried = false) {
+        const res = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'same-origin',
+            body: JSON.stringify({ ...body, csrf_token: await getCsrfToken(retried) }),
+        });
+        const data = await res.json().catch(() => ({}));
+        if (res.status === 400 && data.message === 'Invalid CSRF token' && !retried) {
+            return authPost(url, body, true);
+        }
+        return { ok: res.ok && data.success !== false, status: res.status, data };
+    }
+
+    function setUser(user, { notify = true } = {}) {
+        currentUser = user;
+        renderAccount();
+        if (notify) document.dispatchEvent(new CustomEvent('authChanged', { detail: { user } }));
+    }
+
+    // notify: announce the result if it differs from the user we already had
+    async function restoreSession({ notify = false } = {}) {
+        let user = null;
+        try {
+            const res = await fetch('/auth/me', { credentials: 'same-origin' });
+            const data = await res.json();
+            if (res.ok) user = data.user;
+        } catch (e) { /* treat as signed out */ }
+        const changed = (user && user.id) !== (currentUser && currentUser.id);
+        setUser(user, { notify: notify && changed });
+    }
+
+    // Rendering
+    function renderAccount() {
+        const profileBtn = document.getElementById('profile-btn');
+        const avatar = document.getElementById('profile-avatar');
+        if (profileBtn && avatar) {
+            profileBtn.classList.toggle('signed-in', Boolean(currentUser));
+            profileBtn.title = currentUser ? `Signed in as ${currentUser.username}` : 'Sign In';
+            avatar.hidden = !currentUser;
+            avatar.textContent = currentUser ? currentUser.username.charAt(0).toUpperCase() : '';
+        }
+
+        if (authCard) authCard.hidden = Boolean(currentUser);
+        if (profileCard) profileCard.hidden = !currentUser;
+        if (!currentUser) return;
+
+        // Usernames are stored HTML-escaped; textContent keeps them inert either way
+        document.getElementById('account-username').textContent = decode(currentUser.username);
+        document.getElementById('account-email').textContent = currentUser.email ? decode(currentUser.email) : '—';
+        const adminLink = document.getElementById('account-admin-link');
+        if (adminLink) adminLink.hidden = !currentUser.is_admin;
+    }
+
+    function showTab(tab) {
+        document.querySelectorAll('.auth-tab').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.tab === tab);
+            btn.setAttribute('aria-selected', String(btn.dataset.tab === tab));
+        });
+        document.querySelectorAll('.auth-form').forEach(form => {
+            form.hidden = form.dataset.tab !== tab;
         });
-        const p = document.getElementById('page-' + pageId);
-        if (p) p.classList.add('active');
-        window.scrollTo({ top: 0, behavior: 'smooth' });
     }
 
+    function formValues(form) {
+        const values = {};
+        new FormData(form).forEach((value, key) => { values[key] = String(value); });
+        return values;
+    }
+
+    function showErrors(form, errors, message = '') {
+        form.querySelectorAll('.field-error').forEach(el => {
+            el.textContent = errors[el.dataset.for] || '';
+        });
+        form.querySelectorAll('.form-input').forEach(input => {
+            input.classList.toggle('invalid', Boolean(errors[input.name]));
+        });
+        form.querySelector('.auth-error').textContent = message;
+    }
+
+    function setBusy(form, busy, label) {
+        const btn = form.querySelector('button[type="submit"]');
+        if (!btn) return;
+        if (busy) btn.dataset.label = btn.textContent;
+        btn.disabled = busy;
+        btn.textContent = busy ? label : btn.dataset.label;
+    }
+
+    // Login / Register
+    async function login(username, password) {
+        const { ok, data } = await authPost('/auth/login', { username, password });
+        if (!ok) return data.message || 'Could not sign in. Please try again.';
+        setUser(data.user);
+        // The server folded the guest cart into the account
+        if (window.cart) window.cart.reload();
+        if (window.showToast) window.showToast(`Welcome back, ${decode(data.user.username)}!`);
+        return null;
+    }
+
+    async function submitLogin(e) {
+        e.preventDefault();
+        const values = formValues(loginForm);
+        const errors = {};
+        if (!values.username.trim()) errors.username = 'Required';
+        if (!values.password) errors.password = 'Required';
+        showErrors(loginForm, errors);
+        if (Object.keys(errors).length) return;
+
+        setBusy(loginForm, true, 'Signing in...');
+        try {
+            const message = await login(values.username.trim(), values.password);
+            if (message) showErrors(loginForm, {}, message);
+            else loginForm.reset();
+        } catch (err) {
+            showErrors(loginForm, {}, 'Network error — please try again.');
+        } finally {
+            setBusy(loginForm, false);
+        }
+    }
+
+    async function submitRegister(e) {
+        e.preventDefault();
+        const values = formValues(registerForm);
+        const username = values.username.trim();
+        const email = values.email.trim();
+        const errors = {};
+        if (!username) errors.username = 'Required';
+        if (email && !EMAIL_RE.test(email)) errors.email = 'Invalid email address';
+        if (values.password.length < 6) errors.password = 'At least 6 characters';
+        if (values.confirm !== values.password) errors.confirm = 'Passwords do not match';
+        showErrors(registerForm, errors);
+        if (Object.keys(errors).length) return;
+
+        setBusy(registerForm, true, 'Creating account...');
+        try {
+            const { ok, status, data } = await authPost('/auth/register', {
+                username, email, password: values.password,
+            });
+            if (!ok) {
+                // 409 conflicts belong to a specific field
+                const field = status === 409 ? (/email/i.test(data.message) ? 'email' : 'username') : null;
+                showErrors(registerForm, field ? { [field]: data.message } : {}, field ? '' : data.message);
+                return;
+            }
+            registerForm.reset();
+            const message = await login(username, values.password);
+            if (message) {
+                showTab('login');
+                showErrors(loginForm, {}, message);
+            }
+        } catch (err) {
+            showErrors(registerForm, {}, 'Network error — please try again.');
+        } finally {
+            setBusy(registerForm, false);
+        }
+    }
+
+    async function logout() {
+        try {
+            await authPost('/auth/logout');
+        } catch (e) { /* clear local state regardless */ }
+        setUser(null);
+        if (window.cart) window.cart.reload();
+        if (window.showToast) window.showToast('You have been signed out.');
+        window.switchPage('home');
+    }
+
+    document.querySelectorAll('.auth-tab').forEach(btn => {
+        btn.addEventListener('click', () => showTab(btn.dataset.tab));
+    });
+    loginForm?.addEventListener('submit', submitLogin);
+    registerForm?.addEventListener('submit', submitRegister);
+    document.getElementById('logout-btn')?.addEventListener('click', logout);
+
+    window.auth = {
+        user: () => currentUser,
+        logout,
+        refresh: () => restoreSession({ notify: true }),
+    };
+
+    restoreSession();
+
     // Auto-calculate discount in admin panel
     const initDiscountCalculator = () => {
         const priceInput = document.getElementById('base-price');
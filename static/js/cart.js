@@ -1,8 +1,12 @@
 document.addEventListener('DOMContentLoaded', () => {
+    const { html } = window.dom;
+    const { formatPrice } = window;
+
     // State
     const state = {
         cart: [],
-        wishlist: [],
+        stockErrors: {}, // product id → message from a refused checkout
+        coupon: null,    // { code, summary, discount, free_shipping, error } as priced by the server
     };
 
     // Selectors
@@ -13,6 +17,10 @@ document.addEventListener('DOMContentLoaded', () => {
     const cartItemsContainer = document.getElementById('cart-items-container');
     const cartTotalAmount = document.getElementById('cart-total-amount');
     const cartBadge = document.getElementById('cart-badge');
+    const couponForm = document.getElementById('cart-coupon-form');
+    const couponInput = document.getElementById('cart-coupon-code');
+    const couponApplied = document.getElementById('cart-coupon-applied');
+    const discountLine = document.getElementById('cart-discount-line');
 
     // Toggle Cart Drawer
     function toggleCart() {
@@ -29,6 +37,105 @@ document.addEventListener('DOMContentLoaded', () => {
         overlay.classList.remove('active');
     });
 
+    // Server Sync
+    async function cartRequest(method, url, body = null) {
+        const opts = {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'same-origin',
+        };
+        if (body) opts.body = JSON.stringify(body);
+        const res = await fetch(url, opts);
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok || data.success === false) throw new Error(data.message || 'Cart update failed');
+        return data;
+    }
+
+    function fromServerItem(i) {
+        const p = i.product || {};
+        return {
+            id: i.product_id,
+            name: p.name || 'Unavailable product',
+            price: p.price || 0,
+            img: p.image || 'https://via.placeholder.com/150',
+            quantity: i.quantity,
+            stock: p.stock ?? null, // null = not stock-tracked
+        };
+    }
+
+    async function loadCart() {
+        try {
+            const data = await cartRequest('GET', '/api/cart');
+            state.cart = data.items.filter(i => i.product).map(fromServerItem);
+            state.coupon = data.coupon;
+        } catch (e) {
+            console.warn('[Cart] Could not load cart:', e.message);
+        }
+        renderCart();
+    }
+
+    // Apply a change locally first, then confirm it with the server.
+    // On failure the previous cart is restored and the user is told why.
+    async function syncChange(mutate, request) {
+        const snapshot = state.cart.map(i => ({ ...i }));
+        mutate();
+        renderCart();
+        try {
+            await request();
+            // The discount depends on what's in the cart; have the server re-price it
+            if (state.coupon) loadCart();
+            return true;
+        } catch (e) {
+            state.cart = snapshot;
+            renderCart();
+            if (window.showToast) window.showToast(e.message, true);
+            return false;
+        }
+    }
+
+    function setQuantity(id, quantity) {
+        delete state.stockErrors[id];
+        return syncChange(
+            () => { const item = state.cart.find(i => i.id === id); if (item) item.quantity = quantity; },
+            () => cartRequest('PUT', `/api/cart/${id}`, { quantity })
+        );
+    }
+
+    function removeItem(id) {
+        delete state.stockErrors[id];
+        return syncChange(
+            () => { state.cart = state.cart.filter(i => i.id !== id); },
+            () => cartRequest('DELETE', `/api/cart/${id}`)
+        );
+    }
+
+    function addItem(product, quantity = 1) {
+        return syncChange(
+            () => {
+                const existing = state.cart.find(i => i.id === product.id);
+                if (existing) {
+                    existing.quantity += quantity;
+                } else {
+                    state.cart.push({ ...product, quantity });
+                }
+            },
+            () => cartRequest('POST', '/api/cart', { product_id: product.id, quantity })
+        );
+    }
+
+    // Per-item problem, either reported by checkout or visible from the stock we loaded
+    function stockProblem(item) {
+        if (state.stockErrors[item.id]) return state.stockErrors[item.id];
+        if (item.stock === null || item.stock === undefined || item.quantity <= item.stock) return null;
+        return item.stock > 0 ? `Only ${item.stock} left` : 'Out of stock';
+    }
+
+    function setStockErrors(errors) {
+        state.stockErrors = {};
+        errors.forEach(e => { state.stockErrors[e.product_id] = e.message; });
+        renderCart();
+    }
+
     // Render Cart
     function renderCart() {
         if (!cartItemsContainer || !cartTotalAmount || !cartBadge) return;
@@ -41,88 +148,145 @@ document.addEventListener('DOMContentLoaded', () => {
         } else {
             state.cart.forEach(item => {
                 total += item.price * item.quantity;
+                const problem = stockProblem(item);
+                const atLimit = item.stock !== null && item.stock !== undefined && item.quantity >= item.stock;
                 const div = document.createElement('div');
-                div.className = 'cart-item';
-                div.innerHTML = `
+                div.className = problem ? 'cart-item cart-item-unavailable' : 'cart-item';
+                div.innerHTML = html`
                     <div class="cart-item-img">
                         <img src="${item.img}" alt="${item.name}">
                     </div>
                     <div class="cart-item-info">
                         <div class="cart-item-name">${item.name}</div>
-                        <div class="cart-item-price">$${item.price.toFixed(2)}</div>
+                        <div class="cart-item-price">${formatPrice(item.price)}</div>
                         <div class="cart-item-qty">
                             <button class="qty-btn minus" data-id="${item.id}">-</button>
                             <span class="qty-num">${item.quantity}</span>
-                            <button class="qty-btn plus" data-id="${item.id}">+</button>
+                            <button class="qty-btn plus" data-id="${item.id}" ${atLimit ? 'disabled' : ''}>+</button>
                             <span class="cart-item-remove" data-id="${item.id}">Remove</span>
                         </div>
+                        ${problem && html`<div class="cart-item-stock" role="alert">${problem}</div>`}
                     </div>
                 `;
                 cartItemsContainer.appendChild(div);
             });
         }
 
-        cartTotalAmount.textContent = `$${total.toFixed(2)}`;
+        const discount = state.coupon && !state.coupon.error ? state.coupon.discount : 0;
+        renderCoupon(discount);
+        cartTotalAmount.textContent = formatPrice(Math.max(total - discount, 0));
         cartBadge.textContent = state.cart.reduce((acc, item) => acc + item.quantity, 0);
     }
 
+    function renderCoupon(discount) {
+        const { coupon } = state;
+        if (couponForm) couponForm.hidden = Boolean(coupon);
+        if (couponApplied) {
+            couponApplied.hidden = !coupon;
+            couponApplied.classList.toggle('has-error', Boolean(coupon?.error));
+            couponApplied.innerHTML = coupon ? html`
+                <span><strong>${coupon.code}</strong> · ${coupon.error || coupon.summary}</span>
+                <button type="button" class="cart-coupon-remove">Remove</button>
+            ` : '';
+        }
+        if (discountLine) {
+            discountLine.hidden = !discount;
+            document.getElementById('cart-discount-amount').textContent = `−${formatPrice(discount)}`;
+        }
+    }
+
+    // Promo Code
+    async function applyCoupon(code) {
+        if (!code) return;
+        try {
+            const data = await cartRequest('POST', '/api/cart/coupon', { code });
+            state.coupon = data.coupon;
+            if (couponInput) couponInput.value = '';
+            renderCart();
+            if (window.showToast) window.showToast(data.message);
+        } catch (e) {
+            if (window.showToast) window.showToast(e.message, true);
+        }
+    }
+
+    async function removeCoupon() {
+        try {
+            await cartRequest('DELETE', '/api/cart/coupon');
+            state.coupon = null;
+            renderCart();
+        } catch (e) {
+            if (window.showToast) window.showToast(e.message, true);
+        }
+    }
+
+    couponForm?.addEventListener('submit', (e) => {
+        e.preventDefault();
+        applyCoupon(couponInput.value.trim());
+    });
+    couponApplied?.addEventListener('click', (e) => {
+        if (e.target.closest('.cart-coupon-remove')) removeCoupon();
+    });
+
     // Cart Actions
     if (cartItemsContainer) {
         cartItemsContainer.addEventListener('click', (e) => {
+            const id = parseInt(e.target.getAttribute('data-id'));
+            const item = state.cart.find(i => i.id === id);
+            if (!item) return;
+
             if (e.target.classList.contains('plus')) {
-                const id = e.target.getAttribute('data-id');
-                const item = state.cart.find(i => i.id === id);
-                if (item) item.quantity++;
-                renderCart();
+                setQuantity(id, item.quantity + 1);
             } else if (e.target.classList.contains('minus')) {
-                const id = e.target.getAttribute('data-id');
-                const item = state.cart.find(i => i.id === id);
-                if (item && item.quantity > 1) {
-                    item.quantity--;
-                } else if (item && item.quantity === 1) {
-                    state.cart = state.cart.filter(i => i.id !== id);
+                if (item.quantity > 1) {
+                    setQuantity(id, item.quantity - 1);
+                } else {
+                    removeItem(id);
                 }
-                renderCart();
             } else if (e.target.classList.contains('cart-item-remove')) {
-                const id = e.target.getAttribute('data-id');
-                state.cart = state.cart.filter(i => i.id !== id);
-                renderCart();
+                removeItem(id);
             }
         });
     }
 
-    // Add to Cart
-    document.querySelectorAll('.add-cart-btn').forEach(btn => {
-        btn.addEventListener('click', (e) => {
-            const card = e.target.closest('.product-card');
-            if (!card) return;
-            const id = card.getAttribute('data-id');
-            const name = card.querySelector('.product-name').textContent;
-            const priceText = card.querySelector('.price-main').textContent;
-            const price = parseFloat(priceText.replace('$', '').replace(',', ''));
-            const imgTarget = card.querySelector('.product-img img');
-            const img = imgTarget ? imgTarget.src : 'https://via.placeholder.com/150';
-
-            const existing = state.cart.find(i => i.id === id);
-            if (existing) {
-                existing.quantity++;
-            } else {
-                state.cart.push({ id, name, price, img, quantity: 1 });
-            }
+    // Add to Cart (delegated so cards rendered later are covered too)
+    document.addEventListener('click', async (e) => {
+        const btn = e.target.closest('.add-cart-btn');
+        if (!btn) return;
+        const card = btn.closest('.product-card');
+        if (!card) return;
+        const id = parseInt(card.getAttribute('data-id'));
+        if (!id) return;
+        const name = card.querySelector('.product-name').textContent;
+        const priceText = card.querySelector('.price-main').textContent;
+        const price = parseFloat(priceText.replace('$', '').replace(/,/g, ''));
+        const imgTarget = card.querySelector('.product-img img');
+        const img = imgTarget ? imgTarget.src : 'https://via.placeholder.com/150';
 
-            if (window.showToast) window.showToast('Added to cart successfully!');
-            renderCart();
+        const ok = await addItem({ id, name, price, img });
+        if (!ok) return;
 
-            // Visual feedback on button
-            const originalText = btn.innerHTML;
-            btn.classList.add('added');
-            btn.innerHTML = '✔ Added';
-            setTimeout(() => {
-                btn.classList.remove('added');
-                btn.innerHTML = originalText;
-            }, 2000);
-        });
+        if (window.showToast) window.showToast('Added to cart successfully!');
+
+        // Visual feedback on button
+        const originalText = btn.innerHTML;
+        btn.classList.add('added');
+        btn.innerHTML = '✔ Added';
+        setTimeout(() => {
+            btn.classList.remove('added');
+            btn.innerHTML = originalText;
+        }, 2000);
     });
 
-    renderCart(); // Initial init
+    // Expose for other modules (product page, wishlist, checkout)
+    window.cart = {
+        add: addItem,
+        reload: loadCart,
+        items: () => state.cart,
+        coupon: () => (state.coupon && !state.coupon.error ? state.coupon : null),
+        setStockErrors,
+        hasStockProblems: () => state.cart.some(item => stockProblem(item)),
+        hasCouponProblem: () => Boolean(state.coupon?.error),
+    };
+
+    loadCart(); // Initial init
 });
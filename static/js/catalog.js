@@ -0,0 +1,304 @@
+/**
+ * catalog.js — Data-driven Catalog Page
+ * Renders #page-catalog product cards from /api/products and keeps the
+ * filter state (categories, tag, featured, price range, sort, page) in
+ * the URL query string so filtered views can be shared and bookmarked.
+ */
+(function () {
+    'use strict';
+
+    const PER_PAGE = 12;
+    const PRICE_MAX = 5000;
+    const DEFAULT_SORT = 'newest';
+    const TAG_LABELS = { new: 'New', hot: 'Hot', stock: 'Stock', sale: 'Sale' };
+    const esc = window.dom.escape;
+    const { formatPrice } = window;
+
+    let filters = readFiltersFromUrl();
+    let categories = [];
+    let requestSeq = 0;
+    let el = {};
+
+    // ─── Product Card (shared with other storefront modules) ────────────────
+    function renderProductCard(p) {
+        const stars = Math.round(p.rating || 0);
+        const saved = Boolean(window.wishlist && window.wishlist.has(p.id));
+        const tagLabel = p.tag === 'sale' && p.discount ? `-${Math.round(p.discount)}%` : TAG_LABELS[p.tag];
+        let stock = '<div class="stock-tag in-stock">• In Stock</div>';
+        if (p.stock === 0) stock = '<div class="stock-tag out-of-stock">• Out of Stock</div>';
+        else if (p.stock != null && p.stock <= 5) stock = `<div class="stock-tag low-stock">• Only ${p.stock} left</div>`;
+
+        return `
+            <div class="product-card" data-id="${p.id}">
+                ${tagLabel ? `<span class="product-tag tag-${esc(p.tag)}">${esc(tagLabel)}</span>` : ''}
+                <div class="product-img">
+                    <img src="${esc(p.image || 'https://via.placeholder.com/400')}" alt="${esc(p.name)}" loading="lazy">
+                </div>
+                <button class="wish-btn ${saved ? 'active' : ''}" aria-pressed="${saved}"
+                    aria-label="${saved ? 'Remove from wishlist' : 'Save to wishlist'}"><svg width="16" height="16" viewBox="0 0 24 24" fill="none"
+                        stroke="var(--gray-400)" stroke-width="2">
+                        <path
+                            d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z">
+                        </path>
+                    </svg></button>
+                <div class="product-info">
+                    <div class="product-name">${esc(p.name)}</div>
+                    <div class="product-desc">${esc(p.description || '')}</div>
+                    <div class="product-rating">
+                        <span class="stars">${'★'.repeat(stars)}${'☆'.repeat(5 - stars)}</span>
+                        <span class="rating-count">(${p.rating_count || 0})</span>
+                    </div>
+                    <div class="product-price">
+                        <span class="price-main">${formatPrice(p.price)}</span>
+                        ${p.old_price ? `<span class="price-old">${formatPrice(p.old_price)}</span>` : ''}
+                    </div>
+                    <div class="price-install"><span class="install-pill">0% Installment</span> ${formatPrice(Math.floor(p.price / 12))}/mo</div>
+                    ${stock}
+                    <button class="add-cart-btn" ${p.stock === 0 ? 'disabled' : ''}>Add to Cart</button>
+                </div>
+            </div>
+        `;
+    }
+
+    window.renderProductCard = renderProductCard;
+
+    // ─── URL State ───────────────────────────────────────────────────────────
+    function readFiltersFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        const num = (key, fallback) => {
+            const v = parseFloat(params.get(key));
+            return Number.isFinite(v) ? v : fallback;
+        };
+        return {
+            categories: params.getAll('category_id').map(Number).filter(Boolean),
+            tag: params.get('tag') || '',
+            featured: params.get('featured') === '1',
+            minPrice: num('min_price', 0),
+            maxPrice: num('max_price', PRICE_MAX),
+            sort: params.get('sort') || DEFAULT_SORT,
+            page: Math.max(1, num('page', 1)),
+        };
+    }
+
+    function filtersToParams(f, forApi) {
+        const params = new URLSearchParams();
+        f.categories.forEach(id => params.append('category_id', id));
+        if (f.tag) params.set('tag', f.tag);
+        if (f.featured) params.set('featured', '1');
+        if (f.minPrice > 0) params.set('min_price', f.minPrice);
+        if (f.maxPrice < PRICE_MAX) params.set('max_price', f.maxPrice);
+        if (f.sort !== DEFAULT_SORT || forApi) params.set('sort', f.sort);
+        if (f.page > 1 || forApi) params.set('page', f.page);
+        if (forApi) params.set('per_page', PER_PAGE);
+        return params;
+    }
+
+    function writeFiltersToUrl() {
+        const query = filtersToParams(filters, false).toString();
+        const url = `${window.location.pathname}${query ? '?' + query : ''}${window.location.hash}`;
+        window.history.replaceState(window.history.state, '', url);
+    }
+
+    function hasUrlFilters() {
+        return filtersToParams(filters, false).toString() !== '';
+    }
+
+    function updateFilters(changes, resetPage = true) {
+        filters = { ...filters, ...changes };
+        if (resetPage) filters.page = 1;
+        writeFiltersToUrl();
+        syncControls();
+        loadProducts();
+    }
+
+    // ─── Data ────────────────────────────────────────────────────────────────
+    async function loadCategories() {
+        try {
+            const res = await fetch('/api/categories');
+            const data = await res.json();
+            categories = data.categories || [];
+        } catch (e) {
+            console.warn('[Catalog] Could not load categories:', e.message);
+        }
+        renderCategoryFilters();
+    }
+
+    async function loadProducts() {
+        if (!el.grid) return;
+        const seq = ++requestSeq;
+        el.grid.classList.add('loading');
+        try {
+            const res = await fetch(`/api/products?${filtersToParams(filters, true)}`);
+            const data = await res.json();
+            if (seq !== requestSeq) return; // a newer request superseded this one
+            renderProducts(data);
+        } catch (e) {
+            if (seq !== requestSeq) return;
+            el.grid.innerHTML = '<p class="catalog-empty">Could not load products. Please try again.</p>';
+            if (el.summary) el.summary.textContent = '';
+        } finally {
+            if (seq === requestSeq) el.grid.classList.remove('loading');
+        }
+    }
+
+    // ─── Rendering ───────────────────────────────────────────────────────────
+    function renderProducts(data) {
+        const { products, total, pages, page } = data;
+        if (!products.length) {
+            el.grid.innerHTML = '<p class="catalog-empty">No products match these filters.</p>';
+            el.summary.textContent = 'No results';
+        } else {
+            el.grid.innerHTML = products.map(renderProductCard).join('');
+            const from = (page - 1) * PER_PAGE + 1;
+            el.summary.textContent = `Showing ${from}-${from + products.length - 1} of ${total} results`;
+        }
+        renderPagination(page, pages);
+    }
+
+    function renderPagination(page, pages) {
+        if (!el.pagination) return;
+        if (pages <= 1) {
+            el.pagination.innerHTML = '';
+            return;
+        }
+        let html = `<button class="page-btn" data-page="${page - 1}" ${page <= 1 ? 'disabled' : ''}>‹</button>`;
+        for (let i = 1; i <= pages; i++) {
+            html += `<button class="page-btn ${i === page ? 'active' : ''}" data-page="${i}">${i}</button>`;
+        }
+        html += `<button class="page-btn" data-page="${page + 1}" ${page >= pages ? 'disabled' : ''}>›</button>`;
+        el.pagination.innerHTML = html;
+    }
+
+    function renderCategoryFilters() {
+        if (!el.categoryFilters) return;
+        const term = (el.categorySearch?.value || '').trim().toLowerCase();
+        const visible = categories.filter(c => !term || c.name.toLowerCase().includes(term));
+        el.categoryFilters.innerHTML = visible.map(c => `
+            <label class="filter-option" data-category="${c.id}">
+                <div class="filter-checkbox ${filters.categories.includes(c.id) ? 'checked' : ''}"></div>
+                <span class="filter-label">${esc(c.name)}</span>
+                <span class="filter-count">${c.product_count}</span>
+            </label>
+        `).join('') || '<p class="filter-empty">No categories found.</p>';
+    }
+
+    function syncControls() {
+        renderCategoryFilters();
+        document.querySelectorAll('#catalog-tag-filters [data-tag]').forEach(opt => {
+            opt.querySelector('.filter-checkbox').classList.toggle('checked', opt.dataset.tag === filters.tag);
+        });
+        el.featured?.querySelector('.filter-checkbox').classList.toggle('checked', filters.featured);
+        if (el.sort) el.sort.value = filters.sort;
+        if (el.minPrice) el.minPrice.value = filters.minPrice;
+        if (el.maxPrice) el.maxPrice.value = filters.maxPrice;
+        renderPriceRange(filters.minPrice, filters.maxPrice);
+    }
+
+    function renderPriceRange(min, max) {
+        if (el.minLabel) el.minLabel.textContent = `$${min}`;
+        if (el.maxLabel) el.maxLabel.textContent = max >= PRICE_MAX ? `$${PRICE_MAX}+` : `$${max}`;
+        if (el.rangeFill) {
+            el.rangeFill.style.left = `${(min / PRICE_MAX) * 100}%`;
+            el.rangeFill.style.right = `${100 - (max / PRICE_MAX) * 100}%`;
+        }
+    }
+
+    // ─── Events ──────────────────────────────────────────────────────────────
+    function bindEvents() {
+        el.categoryFilters?.addEventListener('click', (e) => {
+            const opt = e.target.closest('[data-category]');
+            if (!opt) return;
+            e.preventDefault();
+            const id = Number(opt.dataset.category);
+            const selected = filters.categories.includes(id)
+                ? filters.categories.filter(c => c !== id)
+                : [...filters.categories, id];
+            updateFilters({ categories: selected });
+        });
+
+        document.getElementById('catalog-tag-filters')?.addEventListener('click', (e) => {
+            const opt = e.target.closest('[data-tag]');
+            if (!opt) return;
+            e.preventDefault();
+            updateFilters({ tag: filters.tag === opt.dataset.tag ? '' : opt.dataset.tag });
+        });
+
+        el.featured?.addEventListener('click', (e) => {
+            e.preventDefault();
+            updateFilters({ featured: !filters.featured });
+        });
+
+        el.sort?.addEventListener('change', () => updateFilters({ sort: el.sort.value }));
+
+        // Slider thumbs update labels live, and only query the API on release
+        const readRange = (changed) => {
+            let min = Number(el.minPrice.value);
+            let max = Number(el.maxPrice.value);
+            if (min > max) {
+                if (changed === el.minPrice) min = max; else max = min;
+                el.minPrice.value = min;
+                el.maxPrice.value = max;
+            }
+            return { min, max };
+        };
+        [el.minPrice, el.maxPrice].forEach(input => {
+            if (!input) return;
+            input.addEventListener('input', () => {
+                const { min, max } = readRange(input);
+                renderPriceRange(min, max);
+            });
+            input.addEventListener('change', () => {
+                const { min, max } = readRange(input);
+                updateFilters({ minPrice: min, maxPrice: max });
+            });
+        });
+
+        el.pagination?.addEventListener('click', (e) => {
+            const btn = e.target.closest('.page-btn');
+            if (!btn || btn.disabled) return;
+            updateFilters({ page: Number(btn.dataset.page) }, false);
+            document.getElementById('page-catalog')?.scrollIntoView({ behavior: 'smooth' });
+        });
+
+        el.categorySearch?.addEventListener('input', renderCategoryFilters);
+
+        document.getElementById('catalog-reset')?.addEventListener('click', () => {
+            updateFilters({ categories: [], tag: '', featured: false, minPrice: 0, maxPrice: PRICE_MAX, sort: DEFAULT_SORT });
+        });
+    }
+
+    // ─── Init ────────────────────────────────────────────────────────────────
+    let initialized = false;
+
+    window.loadCatalog = function () {
+        if (!initialized) {
+            initialized = true;
+            loadCategories();
+        }
+        filters = readFiltersFromUrl();
+        syncControls();
+        loadProducts();
+    };
+
+    document.addEventListener('DOMContentLoaded', () => {
+        el = {
+            grid: document.getElementById('catalog-grid'),
+            summary: document.getElementById('catalog-summary'),
+            pagination: document.getElementById('catalog-pagination'),
+            sort: document.getElementById('catalog-sort'),
+            categoryFilters: document.getElementById('catalog-category-filters'),
+            categorySearch: document.getElementById('catalog-category-search'),
+            featured: document.getElementById('catalog-featured-filter'),
+            minPrice: document.getElementById('catalog-price-min'),
+            maxPrice: document.getElementById('catalog-price-max'),
+            minLabel: document.getElementById('catalog-price-min-label'),
+            maxLabel: document.getElementById('catalog-price-max-label'),
+            rangeFill: document.getElementById('catalog-range-fill'),
+        };
+        if (!el.grid) return;
+        bindEvents();
+
+        // A shared link with catalog filters opens straight into the catalog
+        if (hasUrlFilters() && !window.location.hash && window.switchPage) window.switchPage('catalog');
+    });
+})();
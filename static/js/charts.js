@@ -0,0 +1,167 @@
+/**
+ * charts.js — Minimal SVG Charts
+ * Just enough charting for the admin dashboard, drawn locally (the CSP rules
+ * out CDN chart libraries): a line or column time series, a horizontal bar
+ * list and a donut. Each call replaces the container's contents; points carry
+ * <title> tooltips and every chart gets a text summary for screen readers.
+ */
+(function () {
+    'use strict';
+
+    const WIDTH = 640;
+    const HEIGHT = 220;
+    const PAD = { top: 12, right: 12, bottom: 28, left: 60 };
+    const MAX_X_LABELS = 8;
+    const TICKS = 4;
+    const esc = window.dom.escape;
+
+    // ─── Scales ──────────────────────────────────────────────────────────────
+    // Round a raw step up to 1, 2 or 5 × 10^n so axis labels stay readable
+    function niceStep(raw, integer) {
+        if (raw <= 0) return 1;
+        const power = 10 ** Math.floor(Math.log10(raw));
+        const n = raw / power;
+        const step = (n <= 1 ? 1 : n <= 2 ? 2 : n <= 5 ? 5 : 10) * power;
+        return integer ? Math.max(1, Math.round(step)) : step;
+    }
+
+    function axis(values, integer) {
+        const max = Math.max(0, ...values);
+        const step = niceStep(max / TICKS, integer);
+        const top = Math.max(step, Math.ceil(max / step) * step);
+        const ticks = [];
+        // toPrecision drops float noise like 0.30000000000000004 from the labels
+        for (let i = 0; i * step <= top + step / 2; i++) ticks.push(Number((i * step).toPrecision(12)));
+        return { top, ticks };
+    }
+
+    // ─── Time Series ─────────────────────────────────────────────────────────
+    function timeSeries(container, options) {
+        const {
+            labels,
+            values,
+            type = 'line',        // 'line' | 'bar'
+            color = '#2563EB',
+            format = String,
+            integer = false,
+            title = 'Chart',
+        } = options;
+
+        const n = values.length;
+        const plotW = WIDTH - PAD.left - PAD.right;
+        const plotH = HEIGHT - PAD.top - PAD.bottom;
+        const { top, ticks } = axis(values, integer);
+        const y = v => PAD.top + plotH - (v / top) * plotH;
+        const band = plotW / Math.max(n, 1);
+        const x = i => (type === 'bar' || n === 1)
+            ? PAD.left + band * (i + 0.5)
+            : PAD.left + (plotW * i) / (n - 1);
+
+        const grid = ticks.map(t => `
+            <line class="chart-grid" x1="${PAD.left}" x2="${WIDTH - PAD.right}" y1="${y(t)}" y2="${y(t)}"></line>
+            <text class="chart-axis" x="${PAD.left - 8}" y="${y(t) + 4}" text-anchor="end">${esc(format(t))}</text>
+        `).join('');
+
+        const every = Math.max(1, Math.ceil(n / MAX_X_LABELS));
+        const xLabels = labels.map((label, i) => (i % every === 0 || i === n - 1)
+            ? `<text class="chart-axis" x="${x(i)}" y="${HEIGHT - 8}" text-anchor="middle">${esc(label)}</text>`
+            : '').join('');
+
+        let marks;
+        if (type === 'bar') {
+            const w = Math.max(2, band * 0.7);
+            marks = values.map((v, i) => `
+                <rect class="chart-bar" x="${x(i) - w / 2}" y="${y(v)}" width="${w}" height="${PAD.top + plotH - y(v)}" fill="${color}">
+                    <title>${esc(`${labels[i]}: ${format(v)}`)}</title>
+                </rect>
+            `).join('');
+        } else {
+            const points = values.map((v, i) => `${x(i)},${y(v)}`);
+            const baseline = PAD.top + plotH;
+            marks = `
+                <path class="chart-area" d="M${x(0)},${baseline} L${points.join(' L')} L${x(n - 1)},${baseline} Z" fill="${color}"></path>
+                <polyline class="chart-line" points="${points.join(' ')}" stroke="${color}"></polyline>
+                ${values.map((v, i) => `
+                    <circle class="chart-point" cx="${x(i)}" cy="${y(v)}" r="${n > 60 ? 2 : 3.5}" fill="${color}">
+                        <title>${esc(`${labels[i]}: ${format(v)}`)}</title>
+                    </circle>
+                `).join('')}
+            `;
+        }
+
+        const total = values.reduce((a, b) => a + b, 0);
+        container.innerHTML = n ? `
+            <svg class="chart-svg" viewBox="0 0 ${WIDTH} ${HEIGHT}" role="img"
+                aria-label="${esc(`${title}: ${n} periods from ${labels[0]} to ${labels[n - 1]}, total ${format(total)}`)}">
+                ${grid}${marks}${xLabels}
+            </svg>
+        ` : '<p class="chart-empty">No data for this range.</p>';
+    }
+
+    // ─── Bar List ────────────────────────────────────────────────────────────
+    // Horizontal bars as HTML so long product names can wrap
+    function barList(container, options) {
+        const { items, color = '#2563EB', format = String, detail = null } = options;
+        if (!items.length) {
+            container.innerHTML = '<p class="chart-empty">No sales in this range.</p>';
+            return;
+        }
+        const max = Math.max(...items.map(i => i.value), 0) || 1;
+        container.innerHTML = `<ol class="chart-bar-list">${items.map(item => `
+            <li>
+                <div class="chart-bar-label">
+                    <span>${esc(item.label)}</span>
+                    <strong>${esc(format(item.value))}</strong>
+                </div>
+                <div class="chart-bar-track">
+                    <div class="chart-bar-fill" style="width:${(item.value / max) * 100}%;background:${color};"></div>
+                </div>
+                ${detail ? `<small>${esc(detail(item))}</small>` : ''}
+            </li>
+        `).join('')}</ol>`;
+    }
+
+    // ─── Donut ───────────────────────────────────────────────────────────────
+    function donut(container, options) {
+        const { items, format = String, title = 'Breakdown' } = options;
+        const total = items.reduce((sum, i) => sum + i.value, 0);
+        if (!total) {
+            container.innerHTML = '<p class="chart-empty">No orders in this range.</p>';
+            return;
+        }
+        const r = 60;
+        const circumference = 2 * Math.PI * r;
+        let offset = 0;
+        const segments = items.filter(i => i.value > 0).map(item => {
+            const length = (item.value / total) * circumference;
+            const segment = `
+                <circle cx="80" cy="80" r="${r}" fill="none" stroke="${item.color}" stroke-width="24"
+                    stroke-dasharray="${length} ${circumference - length}" stroke-dashoffset="${-offset}"
+                    transform="rotate(-90 80 80)">
+                    <title>${esc(`${item.label}: ${format(item.value)}`)}</title>
+                </circle>
+            `;
+            offset += length;
+            return segment;
+        }).join('');
+
+        container.innerHTML = `
+            <div class="chart-donut">
+                <svg viewBox="0 0 160 160" role="img"
+                    aria-label="${esc(`${title}: ${items.map(i => `${i.label} ${format(i.value)}`).join(', ')}`)}">
+                    ${segments}
+                    <text class="chart-donut-total" x="80" y="86" text-anchor="middle">${esc(format(total))}</text>
+                </svg>
+                <ul class="chart-legend">
+                    ${items.map(i => `
+                        <li><span class="chart-swatch" style="background:${i.color};"></span>
+                            ${esc(i.label)} <strong>${esc(format(i.value))}</strong>
+                            <small>${Math.round((i.value / total) * 100)}%</small></li>
+                    `).join('')}
+                </ul>
+            </div>
+        `;
+    }
+
+    window.svgCharts = { timeSeries, barList, donut };
+})();
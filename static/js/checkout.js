@@ -0,0 +1,312 @@
+/**
+ * checkout.js — Multi-step checkout inside the cart drawer
+ * Address → delivery method → review → confirmation, submitted to
+ * POST /api/checkout. Relies on window.cart from cart.js.
+ */
+(function () {
+    'use strict';
+
+    const STEPS = ['shipping', 'delivery', 'review', 'confirmation'];
+    const POSTAL_RE = /^[A-Za-z0-9][A-Za-z0-9 -]{1,9}$/;
+    const PHONE_RE = /^\+?[0-9 ()-]{7,20}$/;
+    const { html } = window.dom;
+    const { formatPrice } = window;
+
+    const state = {
+        step: null,
+        shipping: {},
+        deliveryMethod: null,
+        methods: [],
+        freeShippingThreshold: 0,
+        submitting: false,
+    };
+
+    let drawer, panel, errorEl, shippingForm;
+
+    document.addEventListener('DOMContentLoaded', () => {
+        drawer = document.getElementById('cart-drawer');
+        panel = document.getElementById('checkout-panel');
+        errorEl = document.getElementById('checkout-error');
+        shippingForm = document.getElementById('checkout-shipping-form');
+        if (!drawer || !panel) return;
+
+        document.getElementById('checkout-btn')?.addEventListener('click', startCheckout);
+        document.getElementById('cart-btn')?.addEventListener('click', () => {
+            if (state.step) showCartView();
+        });
+        shippingForm?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            submitShipping();
+        });
+        document.getElementById('checkout-to-review')?.addEventListener('click', submitDelivery);
+        document.getElementById('checkout-place-order')?.addEventListener('click', placeOrder);
+        document.getElementById('checkout-done')?.addEventListener('click', finish);
+        panel.querySelectorAll('.checkout-back').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const target = btn.dataset.step;
+                if (target === 'cart') showCartView();
+                else goToStep(target);
+            });
+        });
+        document.getElementById('delivery-options')?.addEventListener('change', (e) => {
+            if (e.target.name !== 'delivery-method') return;
+            state.deliveryMethod = e.target.value;
+            renderDeliveryOptions();
+        });
+    });
+
+    // ─── Navigation ──────────────────────────────────────────────────────────
+    function startCheckout() {
+        if (!cartItems().length) {
+            if (window.showToast) window.showToast('Your cart is empty.', true);
+            return;
+        }
+        if (window.cart?.hasStockProblems()) {
+            if (window.showToast) window.showToast('Please adjust the highlighted items before checking out.', true);
+            return;
+        }
+        if (window.cart?.hasCouponProblem()) {
+            if (window.showToast) window.showToast('Your promo code no longer applies. Remove it or adjust your cart.', true);
+            return;
+        }
+        drawer.classList.add('checkout-active');
+        panel.hidden = false;
+        goToStep('shipping');
+    }
+
+    function showCartView() {
+        state.step = null;
+        drawer.classList.remove('checkout-active');
+        panel.hidden = true;
+        setError('');
+    }
+
+    function goToStep(step) {
+        state.step = step;
+        setError('');
+        panel.querySelectorAll('.checkout-step').forEach(el => {
+            el.classList.toggle('active', el.dataset.step === step);
+        });
+        const current = STEPS.indexOf(step);
+        panel.querySelectorAll('.checkout-step-label').forEach(el => {
+            el.classList.toggle('active', STEPS.indexOf(el.dataset.step) <= current);
+        });
+        panel.querySelector('.checkout-steps').hidden = step === 'confirmation';
+        if (step === 'delivery') loadDeliveryMethods();
+        if (step === 'review') renderReview();
+    }
+
+    function finish() {
+        showCartView();
+        drawer.classList.remove('active');
+        document.getElementById('overlay')?.classList.remove('active');
+    }
+
+    // ─── Step 1: Shipping Address ────────────────────────────────────────────
+    function validateShipping(values) {
+        const errors = {};
+        ['name', 'address', 'city', 'postal_code', 'country'].forEach(field => {
+            if (!values[field]) errors[field] = 'Required';
+        });
+        if (values.name && values.name.length < 2) errors.name = 'Please enter your full name';
+        if (values.postal_code && !POSTAL_RE.test(values.postal_code)) {
+            errors.postal_code = 'Invalid postal code';
+        }
+        if (values.phone && !PHONE_RE.test(values.phone)) errors.phone = 'Invalid phone number';
+        return errors;
+    }
+
+    function showFieldErrors(errors) {
+        shippingForm.querySelectorAll('.field-error').forEach(el => {
+            el.textContent = errors[el.dataset.for] || '';
+        });
+        shippingForm.querySelectorAll('.form-input').forEach(input => {
+            input.classList.toggle('invalid', Boolean(errors[input.name]));
+        });
+    }
+
+    function submitShipping() {
+        const values = {};
+        new FormData(shippingForm).forEach((value, key) => { values[key] = String(value).trim(); });
+        const errors = validateShipping(values);
+        showFieldErrors(errors);
+        if (Object.keys(errors).length) return;
+        state.shipping = values;
+        goToStep('delivery');
+    }
+
+    // ─── Step 2: Delivery Method ─────────────────────────────────────────────
+    async function loadDeliveryMethods() {
+        if (state.methods.length) {
+            renderDeliveryOptions();
+            return;
+        }
+        try {
+            const res = await fetch('/api/checkout/delivery-methods');
+            const data = await res.json();
+            state.methods = data.methods;
+            state.freeShippingThreshold = data.free_shipping_threshold;
+            renderDeliveryOptions();
+        } catch (e) {
+            setError('Could not load delivery options. Please try again.');
+        }
+    }
+
+    function shippingCostFor(method) {
+        if (coupon()?.free_shipping) return 0;
+        if (method.id === 'standard' && subtotal() >= state.freeShippingThreshold) return 0;
+        return method.price;
+    }
+
+    function renderDeliveryOptions() {
+        const container = document.getElementById('delivery-options');
+        if (!container) return;
+        container.innerHTML = html`${state.methods.map(m => {
+            const cost = shippingCostFor(m);
+            const selected = state.deliveryMethod === m.id;
+            return html`
+                <label class="delivery-option ${selected ? 'selected' : ''}">
+                    <input type="radio" name="delivery-method" value="${m.id}" ${selected ? 'checked' : ''}>
+                    <div class="delivery-option-info">
+                        ${m.label}
+                        <small>${m.eta}</small>
+                    </div>
+                    <strong>${cost ? formatPrice(cost) : 'Free'}</strong>
+                </label>
+            `;
+        })}`;
+    }
+
+    function submitDelivery() {
+        if (!state.deliveryMethod) {
+            setError('Please choose a delivery method.');
+            return;
+        }
+        goToStep('review');
+    }
+
+    // ─── Step 3: Review ──────────────────────────────────────────────────────
+    function renderReview() {
+        const container = document.getElementById('checkout-review');
+        if (!container) return;
+        const method = state.methods.find(m => m.id === state.deliveryMethod);
+        const shippingCost = method ? shippingCostFor(method) : 0;
+        const discount = coupon()?.discount || 0;
+        const s = state.shipping;
+
+        container.innerHTML = html`
+            ${cartItems().map(i => html`
+                <div class="review-line">
+                    <span>${i.name} × ${i.quantity}</span>
+                    <span>${formatPrice(i.price * i.quantity)}</span>
+                </div>
+            `)}
+            <div class="review-line"><span>Subtotal</span><span>${formatPrice(subtotal())}</span></div>
+            ${discount > 0 && html`
+                <div class="review-line review-discount">
+                    <span>Promo ${coupon().code}</span><span>−${formatPrice(discount)}</span>
+                </div>
+            `}
+            <div class="review-line">
+                <span>${method ? method.label : 'Delivery'}</span>
+                <span>${shippingCost ? formatPrice(shippingCost) : 'Free'}</span>
+            </div>
+            <div class="review-total"><span>Total</span><span>${formatPrice(subtotal() - discount + shippingCost)}</span></div>
+            <div class="review-address">
+                <strong>Ship to</strong><br>
+                ${s.name}<br>
+                ${s.address}<br>
+                ${s.postal_code} ${s.city}, ${s.country}
+                ${s.phone && html`<br>${s.phone}`}
+            </div>
+        `;
+    }
+
+    async function placeOrder() {
+        if (state.submitting) return;
+        const btn = document.getElementById('checkout-place-order');
+        state.submitting = true;
+        if (btn) { btn.disabled = true; btn.textContent = 'Placing order...'; }
+        setError('');
+
+        try {
+            const res = await fetch('/api/checkout', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'same-origin',
+                body: JSON.stringify({
+                    shipping: state.shipping,
+                    delivery_method: state.deliveryMethod,
+                }),
+            });
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok || !data.success) {
+                handleOrderError(data);
+                return;
+            }
+            renderConfirmation(data);
+            goToStep('confirmation');
+            if (window.cart) window.cart.reload();
+        } catch (e) {
+            setError('Network error — your order was not placed. Please try again.');
+        } finally {
+            state.submitting = false;
+            if (btn) { btn.disabled = false; btn.textContent = 'Place Order'; }
+        }
+    }
+
+    async function handleOrderError(data) {
+        if (data.coupon_error) {
+            // Back to the cart, where the code now shows why it doesn't apply
+            if (window.cart) await window.cart.reload();
+            showCartView();
+            if (window.showToast) window.showToast(data.message, true);
+            return;
+        }
+        if (data.stock_errors) {
+            // Back to the cart so the per-item "only N left" notes are visible
+            if (window.cart) {
+                await window.cart.reload();
+                window.cart.setStockErrors(data.stock_errors);
+            }
+            showCartView();
+            if (window.showToast) window.showToast(data.message, true);
+            return;
+        }
+        if (data.errors) {
+            goToStep('shipping');
+            showFieldErrors(data.errors);
+        }
+        setError(data.message || 'Your order could not be placed.');
+    }
+
+    // ─── Step 4: Confirmation ────────────────────────────────────────────────
+    function renderConfirmation(data) {
+        const container = document.getElementById('checkout-confirmation');
+        if (!container) return;
+        container.innerHTML = html`
+            <h3>Thank you for your order!</h3>
+            <p>Your order number is <strong>#${data.order_id}</strong>.</p>
+            <p>Total charged: <strong>${formatPrice(data.total)}</strong></p>
+            ${data.discount > 0 && html`<p>Promo code savings: <strong>${formatPrice(data.discount)}</strong></p>`}
+        `;
+    }
+
+    // ─── Helpers ─────────────────────────────────────────────────────────────
+    function cartItems() {
+        return window.cart ? window.cart.items() : [];
+    }
+
+    function subtotal() {
+        return cartItems().reduce((acc, i) => acc + i.price * i.quantity, 0);
+    }
+
+    // Estimate for display; the server prices the code again when the order is placed
+    function coupon() {
+        return window.cart ? window.cart.coupon() : null;
+    }
+
+    function setError(message) {
+        if (errorEl) errorEl.textContent = message;
+    }
+})();
@@ -0,0 +1,226 @@
+/**
+ * data-table.js — Server-paginated Admin Table
+ * Wraps a <table> whose <th data-sort="field"> headers sort on click, with an
+ * optional search input, row checkboxes and a pagination bar. Rows come from
+ * a JSON endpoint taking page, per_page, q, sort, order (+ options.filters)
+ * and answering { [dataKey]: [...], total, pages }.
+ */
+(function () {
+    'use strict';
+
+    const SEARCH_DEBOUNCE_MS = 300;
+    const PAGE_WINDOW = 2; // page buttons shown either side of the current one
+    const esc = window.dom.escape;
+
+    function createDataTable(options) {
+        const {
+            table,
+            url,
+            dataKey,
+            renderRow,            // row → '<td>…</td>' cells (checkbox cell is added for you)
+            search = null,        // <input> for the q parameter
+            pagination = null,    // container for the pager
+            selectable = false,
+            onSelectionChange = () => { },
+            fetchJson = (u) => window.adminApi.get(u),
+            emptyMessage = 'Nothing here yet.',
+        } = options;
+
+        const tbody = table.querySelector('tbody');
+        const selectAll = table.querySelector('thead .dt-select-all');
+        const colspan = table.querySelectorAll('thead th').length;
+
+        const state = {
+            page: 1,
+            perPage: options.perPage || 20,
+            q: '',
+            sort: options.sort || 'id',
+            order: options.order || 'desc',
+            filters: { ...options.filters },
+            total: 0,
+            pages: 1,
+            rows: [],
+            selected: new Set(),
+        };
+
+        let requestSeq = 0;
+        let debounceTimer = null;
+
+        // ─── Loading ─────────────────────────────────────────────────────────
+        function message(text, color = '#6B7280') {
+            tbody.innerHTML = `<tr><td colspan="${colspan}" style="text-align:center;padding:20px;color:${color};">${esc(text)}</td></tr>`;
+        }
+
+        async function load() {
+            const seq = ++requestSeq;
+            const params = new URLSearchParams({
+                page: state.page,
+                per_page: state.perPage,
+                sort: state.sort,
+                order: state.order,
+            });
+            if (state.q) params.set('q', state.q);
+            Object.entries(state.filters).forEach(([key, value]) => {
+                if (value !== '' && value != null) params.set(key, value);
+            });
+
+            if (!state.rows.length) message('Loading...');
+            table.classList.add('dt-loading');
+            try {
+                const data = await fetchJson(`${url}?${params}`);
+                if (seq !== requestSeq) return;
+                state.rows = data[dataKey];
+                state.total = data.total;
+                state.pages = Math.max(data.pages, 1);
+                // Deleting the last rows of the last page leaves us past the end
+                if (state.page > state.pages && state.total > 0) {
+                    state.page = state.pages;
+                    return load();
+                }
+                render();
+            } catch (e) {
+                if (seq !== requestSeq) return;
+                state.rows = [];
+                message(e.message, 'red');
+                renderPagination();
+            } finally {
+                if (seq === requestSeq) table.classList.remove('dt-loading');
+            }
+        }
+
+        // ─── Rendering ───────────────────────────────────────────────────────
+        function render() {
+            if (!state.rows.length) {
+                message(state.q ? `No results for "${state.q}".` : emptyMessage);
+            } else {
+                tbody.innerHTML = state.rows.map(row => `
+                    <tr class="${state.selected.has(row.id) ? 'dt-selected' : ''}">
+                        ${selectable ? `<td class="dt-check"><input type="checkbox" class="dt-select" data-id="${row.id}"
+                            ${state.selected.has(row.id) ? 'checked' : ''} aria-label="Select row"></td>` : ''}
+                        ${renderRow(row)}
+                    </tr>
+                `).join('');
+            }
+            renderSortHeaders();
+            renderSelectAll();
+            renderPagination();
+        }
+
+        function renderSortHeaders() {
+            table.querySelectorAll('thead th[data-sort]').forEach(th => {
+                const active = th.dataset.sort === state.sort;
+                th.classList.toggle('dt-sorted-asc', active && state.order === 'asc');
+                th.classList.toggle('dt-sorted-desc', active && state.order === 'desc');
+                th.setAttribute('aria-sort', active ? (state.order === 'asc' ? 'ascending' : 'descending') : 'none');
+            });
+        }
+
+        function renderSelectAll() {
+            if (!selectAll) return;
+            const onPage = state.rows.filter(r => state.selected.has(r.id)).length;
+            selectAll.checked = onPage > 0 && onPage === state.rows.length;
+            selectAll.indeterminate = onPage > 0 && onPage < state.rows.length;
+        }
+
+        function renderPagination() {
+            if (!pagination) return;
+            const { page, pages, total, perPage } = state;
+            const first = total ? (page - 1) * perPage + 1 : 0;
+            const last = Math.min(page * perPage, total);
+
+            const buttons = [];
+            for (let i = 1; i <= pages; i++) {
+                if (i === 1 || i === pages || Math.abs(i - page) <= PAGE_WINDOW) {
+                    buttons.push(`<button class="page-btn ${i === page ? 'active' : ''}" data-page="${i}">${i}</button>`);
+                } else if (buttons[buttons.length - 1] !== '…') {
+                    buttons.push('…');
+                }
+            }
+
+            pagination.innerHTML = `
+                <span class="dt-summary">${first}–${last} of ${total}</span>
+                <div class="dt-pages">
+                    <button class="page-btn" data-page="${page - 1}" ${page <= 1 ? 'disabled' : ''} aria-label="Previous page">‹</button>
+                    ${buttons.map(b => (b === '…' ? '<span class="dt-gap">…</span>' : b)).join('')}
+                    <button class="page-btn" data-page="${page + 1}" ${page >= pages ? 'disabled' : ''} aria-label="Next page">›</button>
+                </div>
+            `;
+        }
+
+        // ─── Selection ───────────────────────────────────────────────────────
+        function setSelected(id, selected) {
+            if (selected) state.selected.add(id);
+            else state.selected.delete(id);
+        }
+
+        function selectionChanged() {
+            renderSelectAll();
+            tbody.querySelectorAll('.dt-select').forEach(box => {
+                box.closest('tr').classList.toggle('dt-selected', box.checked);
+            });
+            onSelectionChange([...state.selected]);
+        }
+
+        function clearSelection() {
+            state.selected.clear();
+            tbody.querySelectorAll('.dt-select').forEach(box => { box.checked = false; });
+            selectionChanged();
+        }
+
+        // ─── Events ──────────────────────────────────────────────────────────
+        table.querySelector('thead').addEventListener('click', (e) => {
+            const th = e.target.closest('th[data-sort]');
+            if (!th) return;
+            if (state.sort === th.dataset.sort) {
+                state.order = state.order === 'asc' ? 'desc' : 'asc';
+            } else {
+                state.sort = th.dataset.sort;
+                state.order = th.dataset.defaultOrder || 'asc';
+            }
+            state.page = 1;
+            load();
+        });
+
+        tbody.addEventListener('change', (e) => {
+            if (!e.target.classList.contains('dt-select')) return;
+            setSelected(parseInt(e.target.dataset.id), e.target.checked);
+            selectionChanged();
+        });
+
+        selectAll?.addEventListener('change', () => {
+            state.rows.forEach(row => setSelected(row.id, selectAll.checked));
+            tbody.querySelectorAll('.dt-select').forEach(box => { box.checked = selectAll.checked; });
+            selectionChanged();
+        });
+
+        search?.addEventListener('input', () => {
+            clearTimeout(debounceTimer);
+            debounceTimer = setTimeout(() => {
+                state.q = search.value.trim();
+                state.page = 1;
+                load();
+            }, SEARCH_DEBOUNCE_MS);
+        });
+
+        pagination?.addEventListener('click', (e) => {
+            const btn = e.target.closest('.page-btn');
+            if (!btn || btn.disabled) return;
+            state.page = parseInt(btn.dataset.page);
+            load();
+        });
+
+        return {
+            reload: load,
+            setFilter(key, value) {
+                state.filters[key] = value;
+                state.page = 1;
+                return load();
+            },
+            selected: () => [...state.selected],
+            clearSelection,
+            rows: () => state.rows,
+        };
+    }
+
+    window.createDataTable = createDataTable;
+})();
@@ -0,0 +1,133 @@
+/**
+ * dom.js — Safe DOM Helpers
+ * html`…` builds markup with every interpolated value escaped, unless it is
+ * itself html`…` output or wrapped in raw(); arrays are joined, and null,
+ * undefined and false render as nothing. decode() turns stored, HTML-escaped
+ * text back into plain text for inputs and titles. sanitize() cuts rich-text
+ * UI assets down to a small tag allowlist. data-action / data-arg attributes and
+ * data-fallback images replace inline onclick / onerror handlers, so the CSP
+ * can forbid inline script.
+ */
+(function () {
+    'use strict';
+
+    // ─── Escaping ────────────────────────────────────────────────────────────
+    // Text the server sanitised is stored HTML-escaped already, so existing
+    // entities are kept rather than escaped a second time ("&amp;amp;")
+    function escape(value) {
+        return String(value ?? '')
+            .replace(/&(?!#\d+;|#x[0-9a-f]+;|[a-z][a-z0-9]*;)/gi, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // A <textarea> parses its content as text only, so nothing runs or loads
+    const decoder = document.createElement('textarea');
+
+    function decode(value) {
+        decoder.innerHTML = String(value ?? '');
+        return decoder.value;
+    }
+
+    class SafeHtml {
+        constructor(value) { this.value = value; }
+        toString() { return this.value; }
+    }
+
+    // Markup known to be safe, e.g. a constant icon or sanitize() output
+    const raw = (value) => new SafeHtml(String(value ?? ''));
+
+    function interpolate(value) {
+        if (value instanceof SafeHtml) return value.value;
+        if (Array.isArray(value)) return value.map(interpolate).join('');
+        if (value === null || value === undefined || value === false) return '';
+        return escape(value);
+    }
+
+    function html(strings, ...values) {
+        let out = strings[0];
+        values.forEach((value, i) => { out += interpolate(value) + strings[i + 1]; });
+        return new SafeHtml(out);
+    }
+
+    // ─── URLs ────────────────────────────────────────────────────────────────
+    const SAFE_PROTOCOLS = ['http:', 'https:', 'mailto:', 'tel:'];
+
+    // Relative and http(s)/mailto/tel URLs pass; javascript: and friends become '#'
+    function safeUrl(url) {
+        try {
+            const parsed = new URL(String(url ?? ''), location.href);
+            return SAFE_PROTOCOLS.includes(parsed.protocol) ? String(url) : '#';
+        } catch (e) {
+            return '#';
+        }
+    }
+
+    // ─── Sanitizer ───────────────────────────────────────────────────────────
+    const ALLOWED_TAGS = new Set(['A', 'B', 'BR', 'EM', 'I', 'MARK', 'P', 'SMALL', 'SPAN', 'STRONG', 'SUB', 'SUP', 'U']);
+    const ALLOWED_ATTRS = { A: ['href', 'title', 'target'], '*': ['class'] };
+    // Dropped with their content; any other unknown tag is unwrapped to its text
+    const DROPPED_TAGS = new Set(['SCRIPT', 'STYLE', 'IFRAME', 'OBJECT', 'EMBED', 'TEMPLATE', 'NOSCRIPT',
+        'SVG', 'MATH', 'TEXTAREA', 'SELECT', 'TITLE']);
+
+    function clean(node) {
+        [...node.childNodes].forEach(child => {
+            if (child.nodeType === Node.TEXT_NODE) return;
+            if (child.nodeType !== Node.ELEMENT_NODE || DROPPED_TAGS.has(child.tagName)) {
+                child.remove();
+                return;
+            }
+            clean(child);
+            if (!ALLOWED_TAGS.has(child.tagName)) {
+                child.replaceWith(...child.childNodes);
+                return;
+            }
+            const allowed = [...(ALLOWED_ATTRS[child.tagName] || []), ...ALLOWED_ATTRS['*']];
+            [...child.attributes].forEach(attr => {
+                if (!allowed.includes(attr.name)) child.removeAttribute(attr.name);
+            });
+            if (child.tagName === 'A') {
+                child.setAttribute('href', safeUrl(child.getAttribute('href') || '#'));
+                if (child.getAttribute('target') === '_blank') child.setAttribute('rel', 'noopener noreferrer');
+                else child.removeAttribute('target');
+            }
+        });
+    }
+
+    // DOMParser documents are inert: nothing in them runs or loads
+    function sanitize(dirty) {
+        const doc = new DOMParser().parseFromString(`<body>${String(dirty ?? '')}</body>`, 'text/html');
+        clean(doc.body);
+        return doc.body.innerHTML;
+    }
+
+    // ─── Delegated Handlers ──────────────────────────────────────────────────
+    // <button data-action="saveProduct"> calls window.saveProduct(); data-arg is
+    // passed along, as a number when it looks like one
+    function parseArg(arg) {
+        if (arg === undefined) return undefined;
+        return /^-?\d+$/.test(arg) ? Number(arg) : arg;
+    }
+
+    document.addEventListener('click', (e) => {
+        const el = e.target.closest('[data-action]');
+        if (!el || el.disabled) return;
+        const fn = window[el.dataset.action];
+        if (typeof fn !== 'function') return;
+        e.preventDefault();
+        fn(parseArg(el.dataset.arg));
+    });
+
+    // <img data-fallback="…"> swaps to the fallback once if the image fails.
+    // error events don't bubble, hence the capture listener.
+    document.addEventListener('error', (e) => {
+        const img = e.target;
+        if (img.tagName !== 'IMG' || !img.dataset.fallback) return;
+        if (img.getAttribute('src') === img.dataset.fallback) return;
+        img.src = img.dataset.fallback;
+    }, true);
+
+    window.dom = { html, raw, escape, decode, safeUrl, sanitize };
+})();
@@ -0,0 +1,16 @@
+/**
+ * format.js — Shared Storefront Formatting
+ * One price format for every page, so a product reads the same in the
+ * catalog, on its detail page, in the cart and at checkout: $1,199.00.
+ */
+(function () {
+    'use strict';
+
+    const PRICE = new Intl.NumberFormat('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+    function formatPrice(value) {
+        return '$' + PRICE.format(Number(value) || 0);
+    }
+
+    window.formatPrice = formatPrice;
+})();
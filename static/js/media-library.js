@@ -0,0 +1,221 @@
+/**
+ * media-library.js — Admin Image Picker
+ * Modal grid of uploaded images (/admin/media) with drag-and-drop upload and
+ * a progress bar. Any button with data-media-target="<input id>" opens the
+ * picker and writes the chosen image URL into that input.
+ */
+(function () {
+    'use strict';
+
+    // Mirror MEDIA_FORMATS / MEDIA_MAX_BYTES in apps/admin.py
+    const ALLOWED_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+    const MAX_BYTES = 5 * 1024 * 1024;
+    const PER_PAGE = 48;
+    const esc = window.dom.escape;
+
+    const state = {
+        items: [],
+        page: 1,
+        pages: 1,
+        onSelect: null,
+        uploading: false,
+    };
+
+    let modal, grid, dropzone, fileInput, progress, progressBar, progressLabel, moreBtn;
+
+    // ─── Loading ─────────────────────────────────────────────────────────────
+    async function loadMedia(page = 1) {
+        try {
+            const data = await window.adminApi.get(`/admin/media?page=${page}&per_page=${PER_PAGE}`);
+            state.items = page === 1 ? data.media : state.items.concat(data.media);
+            state.page = data.page;
+            state.pages = data.pages;
+            render();
+        } catch (e) {
+            grid.innerHTML = `<p class="media-empty" style="color:red;">${esc(e.message)}</p>`;
+        }
+    }
+
+    // ─── Rendering ───────────────────────────────────────────────────────────
+    function render() {
+        moreBtn.hidden = state.page >= state.pages;
+        if (!state.items.length) {
+            grid.innerHTML = '<p class="media-empty">No images yet. Upload one to get started.</p>';
+            return;
+        }
+        grid.innerHTML = state.items.map(m => `
+            <div class="media-tile" data-id="${m.id}">
+                <button type="button" class="media-select" data-url="${esc(m.url)}"
+                    title="${esc(m.original_name || '')}" aria-label="Use ${esc(m.original_name || 'this image')}">
+                    <img src="${esc(m.thumb_url)}" alt="" loading="lazy">
+                </button>
+                <div class="media-meta">
+                    <span>${m.width}×${m.height} · ${formatBytes(m.size)}</span>
+                    <button type="button" class="media-delete" data-id="${m.id}"
+                        ${m.in_use ? 'disabled title="In use — remove it from every product, category, banner or asset first"' : 'title="Delete image"'}
+                        aria-label="Delete image">&times;</button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    function setProgress(fraction, label) {
+        progress.hidden = fraction === null;
+        if (fraction === null) return;
+        progressBar.style.width = `${Math.round(fraction * 100)}%`;
+        progressLabel.textContent = label;
+    }
+
+    // ─── Uploading ───────────────────────────────────────────────────────────
+    function validateFile(file) {
+        if (!ALLOWED_TYPES.includes(file.type)) return `${file.name}: use a JPEG, PNG, WebP or GIF image`;
+        if (file.size > MAX_BYTES) return `${file.name}: images must be 5 MB or smaller`;
+        return null;
+    }
+
+    // XHR rather than fetch: fetch has no upload progress events
+    function uploadFile(file, onProgress) {
+        return new Promise((resolve, reject) => {
+            const form = new FormData();
+            form.append('file', file);
+            const xhr = new XMLHttpRequest();
+            xhr.open('POST', '/admin/media');
+            xhr.responseType = 'json';
+            xhr.upload.onprogress = (e) => {
+                if (e.lengthComputable) onProgress(e.loaded / e.total);
+            };
+            xhr.onload = () => {
+                const data = xhr.response || {};
+                if (xhr.status >= 200 && xhr.status < 300) resolve(data.media);
+                else reject(new Error(data.message || `Upload failed (HTTP ${xhr.status})`));
+            };
+            xhr.onerror = () => reject(new Error('Upload failed: network error'));
+            xhr.send(form);
+        });
+    }
+
+    async function uploadFiles(files) {
+        if (state.uploading) return;
+        const list = [...files];
+        const errors = list.map(validateFile).filter(Boolean);
+        const valid = list.filter(f => !validateFile(f));
+        errors.forEach(msg => window.showToast?.(msg, true));
+        if (!valid.length) return;
+
+        state.uploading = true;
+        let uploaded = null;
+        for (const [i, file] of valid.entries()) {
+            const prefix = valid.length > 1 ? `(${i + 1}/${valid.length}) ` : '';
+            try {
+                uploaded = await uploadFile(file, (f) => setProgress(f, `${prefix}Uploading ${file.name}… ${Math.round(f * 100)}%`));
+                state.items.unshift(uploaded);
+                render();
+            } catch (e) {
+                window.showToast?.(`${file.name}: ${e.message}`, true);
+            }
+        }
+        state.uploading = false;
+        setProgress(null);
+        fileInput.value = '';
+
+        // A single upload is almost always meant for the field that opened the picker
+        if (uploaded && valid.length === 1) select(uploaded.url);
+    }
+
+    // ─── Actions ─────────────────────────────────────────────────────────────
+    function select(url) {
+        const callback = state.onSelect;
+        close();
+        if (callback) callback(url);
+    }
+
+    async function deleteMedia(id) {
+        if (!confirm('Delete this image?')) return;
+        try {
+            await window.adminApi.delete(`/admin/media/${id}`);
+            state.items = state.items.filter(m => m.id !== id);
+            render();
+        } catch (e) {
+            window.showToast?.(e.message, true);
+        }
+    }
+
+    function open({ onSelect } = {}) {
+        if (!modal) return;
+        state.onSelect = onSelect || null;
+        setProgress(null);
+        modal.classList.add('active');
+        grid.innerHTML = '<p class="media-empty">Loading...</p>';
+        loadMedia(1);
+    }
+
+    function close() {
+        state.onSelect = null;
+        modal?.classList.remove('active');
+    }
+
+    // ─── Init ────────────────────────────────────────────────────────────────
+    document.addEventListener('DOMContentLoaded', () => {
+        modal = document.getElementById('media-modal');
+        if (!modal) return;
+        grid = document.getElementById('media-grid');
+        dropzone = document.getElementById('media-dropzone');
+        fileInput = document.getElementById('media-file');
+        progress = document.getElementById('media-progress');
+        progressBar = progress.querySelector('.media-progress-bar');
+        progressLabel = document.getElementById('media-progress-label');
+        moreBtn = document.getElementById('media-more');
+
+        fileInput.addEventListener('change', () => uploadFiles(fileInput.files));
+        dropzone.addEventListener('click', () => fileInput.click());
+        dropzone.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                fileInput.click();
+            }
+        });
+        ['dragenter', 'dragover'].forEach(type => dropzone.addEventListener(type, (e) => {
+            e.preventDefault();
+            dropzone.classList.add('dragover');
+        }));
+        ['dragleave', 'drop'].forEach(type => dropzone.addEventListener(type, () => {
+            dropzone.classList.remove('dragover');
+        }));
+        dropzone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            uploadFiles(e.dataTransfer.files);
+        });
+
+        grid.addEventListener('click', (e) => {
+            const pick = e.target.closest('.media-select');
+            if (pick) return select(pick.dataset.url);
+            const del = e.target.closest('.media-delete');
+            if (del && !del.disabled) deleteMedia(parseInt(del.dataset.id));
+        });
+        moreBtn.addEventListener('click', () => loadMedia(state.page + 1));
+        modal.querySelector('.modal-close').addEventListener('click', close);
+    });
+
+    // "Browse" buttons next to image URL inputs
+    document.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-media-target]');
+        if (!btn) return;
+        const input = document.getElementById(btn.dataset.mediaTarget);
+        open({
+            onSelect: (url) => {
+                if (!input) return;
+                input.value = url;
+                input.dispatchEvent(new Event('input', { bubbles: true }));
+            },
+        });
+    });
+
+    window.mediaLibrary = { open, close };
+
+    // ─── Helpers ─────────────────────────────────────────────────────────────
+    function formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+        return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    }
+})();
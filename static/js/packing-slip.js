@@ -0,0 +1,9 @@
+/**
+ * packing-slip.js — Print trigger for /admin/orders/<id>/packing-slip
+ */
+(function () {
+    'use strict';
+
+    document.getElementById('print-btn')?.addEventListener('click', () => window.print());
+    window.addEventListener('load', () => window.print());
+})();
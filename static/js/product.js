@@ -0,0 +1,194 @@
+/**
+ * product.js — Storefront Product Detail Page
+ * Loads #/product/:id from /api/products/<id>, renders price, stock and a
+ * quantity picker feeding the cart, plus related products from the same
+ * category. Product cards anywhere on the site link here.
+ */
+(function () {
+    'use strict';
+
+    const RELATED_LIMIT = 4;
+    const LOW_STOCK = 5;
+    const { escape: esc, decode } = window.dom;
+    const { formatPrice } = window;
+
+    let container = null;
+    let product = null;
+    let requestSeq = 0;
+
+    // ─── Loading ─────────────────────────────────────────────────────────────
+    async function loadProductPage(id) {
+        if (!container) return;
+        const seq = ++requestSeq;
+        product = null;
+        container.innerHTML = '<p class="product-detail-status">Loading product...</p>';
+
+        try {
+            const res = await fetch(`/api/products/${encodeURIComponent(id)}`);
+            if (seq !== requestSeq) return;
+            if (res.status === 404) {
+                renderMissing();
+                return;
+            }
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            const data = await res.json();
+            if (seq !== requestSeq) return;
+            product = data.product;
+            renderProduct(product);
+            document.title = `${decode(product.name)} | ElectroMarket`;
+            loadRelated(product, seq);
+        } catch (e) {
+            if (seq !== requestSeq) return;
+            container.innerHTML = '<p class="product-detail-status">Could not load this product. Please try again.</p>';
+        }
+    }
+
+    async function loadRelated(p, seq) {
+        const grid = document.getElementById('product-related-grid');
+        if (!grid || !p.category_id) return;
+        try {
+            const res = await fetch(`/api/products?category_id=${p.category_id}&per_page=${RELATED_LIMIT + 1}&sort=rating`);
+            const data = await res.json();
+            if (seq !== requestSeq) return;
+            const related = data.products.filter(r => r.id !== p.id).slice(0, RELATED_LIMIT);
+            if (!related.length) return;
+            grid.innerHTML = related.map(window.renderProductCard).join('');
+            document.getElementById('product-related')?.removeAttribute('hidden');
+        } catch (e) {
+            console.warn('[Product] Could not load related products:', e.message);
+        }
+    }
+
+    // ─── Rendering ───────────────────────────────────────────────────────────
+    function renderMissing() {
+        container.innerHTML = `
+            <div class="product-detail-status">
+                <h2 class="section-title">Product not found</h2>
+                <p class="section-sub">It may have been removed from our catalog.</p>
+                <a href="#/catalog" class="btn-primary" style="margin-top:20px;">Browse Catalog</a>
+            </div>
+        `;
+    }
+
+    // stock === null means the product isn't stock-tracked: always in stock, no quantity cap
+    function stockIndicator(stock) {
+        if (stock === 0) return '<div class="stock-tag out-of-stock">• Out of Stock</div>';
+        if (stock != null && stock <= LOW_STOCK) return `<div class="stock-tag low-stock">• Only ${stock} left</div>`;
+        return '<div class="stock-tag in-stock">• In Stock</div>';
+    }
+
+    function renderProduct(p) {
+        const stars = Math.round(p.rating || 0);
+        const discount = p.old_price && p.old_price > p.price
+            ? Math.round((1 - p.price / p.old_price) * 100)
+            : 0;
+        const soldOut = p.stock === 0;
+
+        container.innerHTML = `
+            <a href="#/catalog" class="product-detail-back">‹ Back to Catalog</a>
+            <div class="product-detail">
+                <div class="product-detail-img">
+                    ${discount ? `<span class="product-tag tag-sale">-${discount}%</span>` : ''}
+                    <img src="${esc(p.image || 'https://via.placeholder.com/600')}" alt="${esc(p.name)}">
+                </div>
+                <div class="product-detail-info">
+                    ${p.brand ? `<div class="product-detail-brand">${esc(p.brand)}</div>` : ''}
+                    <h1 class="product-detail-name">${esc(p.name)}</h1>
+                    <div class="product-rating">
+                        <span class="stars">${'★'.repeat(stars)}${'☆'.repeat(5 - stars)}</span>
+                        <span class="rating-count">${Number(p.rating || 0).toFixed(1)} (${p.rating_count || 0} reviews)</span>
+                    </div>
+                    <div class="product-detail-price">
+                        <span class="price-main">${formatPrice(p.price)}</span>
+                        ${p.old_price ? `<span class="price-old">${formatPrice(p.old_price)}</span>` : ''}
+                        ${discount ? `<span class="product-detail-save">Save ${formatPrice(p.old_price - p.price)} (${discount}%)</span>` : ''}
+                    </div>
+                    ${stockIndicator(p.stock)}
+                    <p class="product-detail-desc">${esc(p.description || '')}</p>
+                    <div class="product-detail-actions">
+                        <div class="qty-picker">
+                            <button class="qty-btn" data-step="-1" ${soldOut ? 'disabled' : ''} aria-label="Decrease quantity">-</button>
+                            <input type="number" id="product-qty" value="1" min="1" ${p.stock != null ? `max="${Math.max(p.stock, 1)}"` : ''} ${soldOut ? 'disabled' : ''} aria-label="Quantity">
+                            <button class="qty-btn" data-step="1" ${soldOut ? 'disabled' : ''} aria-label="Increase quantity">+</button>
+                        </div>
+                        <button class="add-cart-btn" id="product-add-cart" ${soldOut ? 'disabled' : ''}>
+                            ${soldOut ? 'Out of Stock' : 'Add to Cart'}
+                        </button>
+                    </div>
+                </div>
+            </div>
+            <section class="section" id="product-related" hidden>
+                <div class="section-header">
+                    <div>
+                        <h2 class="section-title">Related Products</h2>
+                        <p class="section-sub">More from this category</p>
+                    </div>
+                </div>
+                <div class="products-grid" id="product-related-grid" style="grid-template-columns: repeat(4, 1fr);"></div>
+            </section>
+        `;
+    }
+
+    // ─── Actions ─────────────────────────────────────────────────────────────
+    function clampQty(value) {
+        const qty = Math.max(parseInt(value) || 1, 1);
+        return product.stock == null ? qty : Math.min(qty, Math.max(product.stock, 1));
+    }
+
+    async function addToCart(btn) {
+        if (!product || product.stock === 0 || !window.cart) return;
+        const qtyInput = document.getElementById('product-qty');
+        const quantity = clampQty(qtyInput.value);
+        btn.disabled = true;
+        const ok = await window.cart.add({
+            id: product.id,
+            name: product.name,
+            price: product.price,
+            img: product.image || 'https://via.placeholder.com/150',
+        }, quantity);
+        btn.disabled = false;
+        if (ok && window.showToast) window.showToast(`Added ${quantity} × ${product.name} to cart`);
+    }
+
+    function bindEvents() {
+        container.addEventListener('click', (e) => {
+            const step = e.target.closest('.qty-picker .qty-btn');
+            if (step && product) {
+                const input = document.getElementById('product-qty');
+                input.value = clampQty(Number(input.value) + Number(step.dataset.step));
+                return;
+            }
+            const add = e.target.closest('#product-add-cart');
+            if (add) addToCart(add);
+        });
+
+        container.addEventListener('change', (e) => {
+            if (e.target.id === 'product-qty' && product) e.target.value = clampQty(e.target.value);
+        });
+
+        // Any product card's image or name opens its detail page
+        document.addEventListener('click', (e) => {
+            const link = e.target.closest('.product-card .product-img, .product-card .product-name');
+            if (!link) return;
+            const id = parseInt(link.closest('.product-card').dataset.id);
+            if (id) window.router.navigate(`/product/${id}`);
+        });
+    }
+
+    // ─── Init ────────────────────────────────────────────────────────────────
+    window.loadProductPage = loadProductPage;
+
+    if (window.router) {
+        window.router.add({
+            path: '/product/:id',
+            page: 'product',
+            enter: ({ id }) => loadProductPage(id),
+            leave: () => { document.title = 'ElectroMarket - Premium Electronics'; },
+        });
+    }
+
+    document.addEventListener('DOMContentLoaded', () => {
+        container = document.getElementById('product-detail-container');
+        if (container) bindEvents();
+    });
+})();
@@ -0,0 +1,156 @@
+/**
+ * router.js — Hash-based Client Router
+ * Maps #/paths to .page elements, runs per-route enter/leave hooks and
+ * keeps the browser history in sync. window.switchPage(pageId) is kept
+ * as a thin wrapper for scripts, and non-link elements navigate with
+ * data-nav="pageId".
+ *
+ * Route shape: { path, page, enter(params), leave(params), guard(params), redirect }
+ *   guard may return (or resolve to) a path to redirect to instead.
+ */
+(function () {
+    'use strict';
+
+    const NOT_FOUND_PAGE = 'not-found';
+
+    const routes = [];
+    let current = null; // { route, params, path }
+    let resolving = 0;
+
+    // Legacy page ids used by switchPage() → route paths
+    const PAGE_PATHS = {
+        home: '/',
+        catalog: '/catalog',
+        profile: '/profile',
+        'admin-login': '/admin/login',
+        admin: '/admin/dashboard',
+        'admin-panel': '/admin/dashboard',
+    };
+
+    function compile(path) {
+        const keys = [];
+        const pattern = path.replace(/:([a-zA-Z_]+)/g, (_, key) => {
+            keys.push(key);
+            return '([^/]+)';
+        });
+        return { regex: new RegExp(`^${pattern}/?$`), keys };
+    }
+
+    function add(route) {
+        routes.push({ ...route, ...compile(route.path) });
+    }
+
+    function match(path) {
+        for (const route of routes) {
+            const m = route.regex.exec(path);
+            if (!m) continue;
+            const params = {};
+            try {
+                route.keys.forEach((key, i) => { params[key] = decodeURIComponent(m[i + 1]); });
+            } catch (e) {
+                return null; // malformed %-escape such as #/product/%E0: show the not-found page
+            }
+            return { route, params };
+        }
+        return null;
+    }
+
+    function currentPath() {
+        const hash = window.location.hash.replace(/^#/, '');
+        return hash.startsWith('/') ? hash : '/';
+    }
+
+    function showPage(pageId) {
+        let target = document.getElementById('page-' + pageId);
+        if (!target) target = document.getElementById('page-' + NOT_FOUND_PAGE);
+        document.querySelectorAll('.page').forEach(page => {
+            page.classList.toggle('active', page === target);
+        });
+    }
+
+    async function resolve() {
+        const seq = ++resolving;
+        const path = currentPath();
+        const found = match(path);
+
+        if (found && found.route.redirect) {
+            navigate(found.route.redirect, { replace: true });
+            return;
+        }
+
+        if (found && found.route.guard) {
+            const redirectTo = await found.route.guard(found.params);
+            if (seq !== resolving) return; // superseded by a newer navigation
+            if (typeof redirectTo === 'string') {
+                navigate(redirectTo, { replace: true });
+                return;
+            }
+        }
+
+        if (current && current.route.leave) current.route.leave(current.params);
+
+        const previousPage = current ? current.route.page : null;
+        current = found ? { ...found, path } : { route: { page: NOT_FOUND_PAGE }, params: {}, path };
+        showPage(current.route.page);
+        if (current.route.page !== previousPage) window.scrollTo({ top: 0, behavior: 'smooth' });
+
+        if (current.route.enter) current.route.enter(current.params);
+        document.dispatchEvent(new CustomEvent('pageChanged', {
+            detail: { page: current.route.page, params: current.params, path },
+        }));
+    }
+
+    function navigate(path, { replace = false } = {}) {
+        const hash = '#' + path;
+        if (replace) {
+            window.history.replaceState(window.history.state, '', hash);
+            resolve();
+        } else if (window.location.hash === hash) {
+            resolve();
+        } else {
+            window.location.hash = hash; // hashchange → resolve()
+        }
+    }
+
+    // ─── Core Routes ─────────────────────────────────────────────────────────
+    add({ path: '/', page: 'home' });
+    add({ path: '/catalog', page: 'catalog', enter: () => window.loadCatalog && window.loadCatalog() });
+    add({ path: '/profile', page: 'profile' });
+    add({ path: '/admin/login', page: 'admin-login' });
+    add({ path: '/admin', redirect: '/admin/dashboard' });
+    add({
+        path: '/admin/:section',
+        page: 'admin-panel',
+        guard: async ({ section }) => {
+            if (!document.getElementById('admin-section-' + section)) return '/not-found';
+            const ok = window.checkAdminSession ? await window.checkAdminSession() : true;
+            return ok ? true : '/admin/login';
+        },
+        enter: ({ section }) => window.showAdminSection && window.showAdminSection(section),
+    });
+
+    // ─── Public API ──────────────────────────────────────────────────────────
+    window.router = {
+        add,
+        navigate,
+        current: () => current,
+    };
+
+    window.switchPage = function (pageId) {
+        navigate(PAGE_PATHS[pageId] || '/' + pageId);
+    };
+
+    document.addEventListener('click', (e) => {
+        const el = e.target.closest('[data-nav]');
+        if (el) window.switchPage(el.dataset.nav);
+    });
+
+    window.addEventListener('hashchange', resolve);
+
+    // Resolve after every other DOMContentLoaded handler has wired up its page
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => setTimeout(resolve, 0));
+    } else {
+        setTimeout(resolve, 0);
+    }
+})();
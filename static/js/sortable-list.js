@@ -0,0 +1,119 @@
+/**
+ * sortable-list.js — Drag-and-drop Reordering
+ * Makes the [data-id] children of a container reorderable by dragging, or
+ * from the keyboard with arrow keys / Home / End on each item's
+ * .drag-handle button. Moves are announced to screen readers, and the new id
+ * order is handed to onReorder once the user pauses.
+ */
+(function () {
+    'use strict';
+
+    const SAVE_DELAY_MS = 600; // batch quick keyboard moves into one save
+
+    function makeSortable(container, options) {
+        const {
+            itemSelector = '[data-id]',
+            onReorder,
+        } = options;
+
+        let dragged = null;
+        let saveTimer = null;
+        let savedOrder = [];
+
+        const status = document.createElement('div');
+        status.className = 'sortable-status';
+        status.setAttribute('aria-live', 'polite');
+        container.after(status);
+
+        const items = () => [...container.querySelectorAll(itemSelector)];
+        const currentOrder = () => items().map(el => parseInt(el.dataset.id));
+
+        // ─── Saving ──────────────────────────────────────────────────────────
+        function scheduleSave(delay = SAVE_DELAY_MS) {
+            clearTimeout(saveTimer);
+            saveTimer = setTimeout(async () => {
+                const order = currentOrder();
+                if (order.join() === savedOrder.join()) return;
+                const previous = savedOrder;
+                savedOrder = order;
+                try {
+                    await onReorder(order);
+                } catch (e) {
+                    savedOrder = previous;
+                }
+            }, delay);
+        }
+
+        function announce(item) {
+            const list = items();
+            status.textContent = `${item.dataset.label || 'Item'} moved to position ${list.indexOf(item) + 1} of ${list.length}`;
+        }
+
+        // ─── Mouse ───────────────────────────────────────────────────────────
+        container.addEventListener('dragstart', (e) => {
+            const item = e.target.closest(itemSelector);
+            if (!item) return;
+            dragged = item;
+            item.classList.add('dragging');
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', item.dataset.id);
+        });
+
+        container.addEventListener('dragover', (e) => {
+            if (!dragged) return;
+            e.preventDefault();
+            const over = e.target.closest(itemSelector);
+            if (!over || over === dragged) return;
+            // Works for grids and lists alike: take the target's place, pushing it
+            // towards where the dragged item came from
+            const draggedFirst = dragged.compareDocumentPosition(over) & Node.DOCUMENT_POSITION_FOLLOWING;
+            over.insertAdjacentElement(draggedFirst ? 'afterend' : 'beforebegin', dragged);
+        });
+
+        container.addEventListener('drop', (e) => {
+            if (dragged) e.preventDefault();
+        });
+
+        container.addEventListener('dragend', () => {
+            if (!dragged) return;
+            dragged.classList.remove('dragging');
+            announce(dragged);
+            dragged = null;
+            scheduleSave(0);
+        });
+
+        // ─── Keyboard ────────────────────────────────────────────────────────
+        container.addEventListener('keydown', (e) => {
+            const handle = e.target.closest('.drag-handle');
+            if (!handle) return;
+            const item = handle.closest(itemSelector);
+            const list = items();
+            const index = list.indexOf(item);
+            let target;
+
+            if (e.key === 'ArrowUp' || e.key === 'ArrowLeft') target = index - 1;
+            else if (e.key === 'ArrowDown' || e.key === 'ArrowRight') target = index + 1;
+            else if (e.key === 'Home') target = 0;
+            else if (e.key === 'End') target = list.length - 1;
+            else return;
+
+            e.preventDefault();
+            if (target < 0 || target >= list.length || target === index) return;
+            list[target].insertAdjacentElement(target < index ? 'beforebegin' : 'afterend', item);
+            handle.focus();
+            announce(item);
+            scheduleSave();
+        });
+
+        return {
+            // Call after (re)rendering the items
+            refresh() {
+                clearTimeout(saveTimer);
+                items().forEach(el => { el.draggable = true; });
+                savedOrder = currentOrder();
+            },
+        };
+    }
+
+    window.makeSortable = makeSortable;
+})();
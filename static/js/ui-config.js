@@ -2,41 +2,71 @@
  * ui-config.js — Dynamic UI Content Loader
  * Fetches all UIAssets from /api/ui-config and applies them to
  * elements tagged with data-ui-key="key" attributes.
+ * The last config is applied from sessionStorage straight away and then
+ * revalidated with its ETag, so published changes show up on the next load.
+ * Theme colors arrive as /theme.css, linked in <head> so they apply before
+ * first paint; the stylesheet also carries the generated dark-mode palette.
+ * With ?ui_preview=1 in the page URL (the admin preview iframe) draft values
+ * are shown instead, and unsaved edits can be pushed in via postMessage.
  * Falls back gracefully if API is unavailable.
  */
 (function () {
     'use strict';
 
     const CACHE_KEY = 'em_ui_config';
-    const CACHE_TTL = 60 * 1000; // 1 minute
+    const PREVIEW = new URLSearchParams(location.search).has('ui_preview');
+    const PREVIEW_MESSAGE = 'em-ui-preview';
 
-    async function loadUIConfig() {
-        // Try sessionStorage cache first
+    // Mirror THEME_COLORS in models/__init__.py
+    const THEME_PROPERTIES = {
+        theme_blue: '--blue',
+        theme_blue_dark: '--blue-dark',
+        theme_blue_light: '--blue-light',
+        theme_green: '--green',
+        theme_orange: '--orange',
+        theme_red: '--red',
+        theme_dark: '--dark',
+        theme_dark2: '--dark2',
+        theme_text: '--gray-800',
+        theme_background: '--white',
+    };
+
+    // Preview only: draft config from the server, and unsaved edits layered on top
+    let previewBase = {};
+    let previewEdits = {};
+
+    function readCache() {
         try {
-            const cached = sessionStorage.getItem(CACHE_KEY);
-            if (cached) {
-                const { ts, data } = JSON.parse(cached);
-                if (Date.now() - ts < CACHE_TTL) {
-                    applyConfig(data);
-                    return;
-                }
-            }
-        } catch (e) { /* ignore */ }
+            return JSON.parse(sessionStorage.getItem(CACHE_KEY)) || null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    async function loadUIConfig() {
+        // Preview drafts must never land in the cache the live storefront reads
+        const cached = PREVIEW ? null : readCache();
+        if (cached?.data) applyConfig(cached.data);
 
         try {
-            const res = await fetch('/api/ui-config');
-            if (!res.ok) return;
+            const headers = cached?.etag ? { 'If-None-Match': cached.etag } : {};
+            const res = await fetch(PREVIEW ? '/api/ui-config?preview=1' : '/api/ui-config', { headers });
+            if (res.status === 304 || !res.ok) return;
             const config = await res.json();
 
-            // Cache it
+            if (PREVIEW) {
+                previewBase = config;
+                applyConfig({ ...config, ...previewEdits });
+                return;
+            }
             try {
                 sessionStorage.setItem(CACHE_KEY, JSON.stringify({
-                    ts: Date.now(),
+                    etag: res.headers.get('ETag'),
                     data: config,
                 }));
             } catch (e) { /* ignore quota errors */ }
 
-            applyConfig(config);
+            if (JSON.stringify(config) !== JSON.stringify(cached?.data)) applyConfig(config);
         } catch (e) {
             // API unavailable — degrade gracefully, keep hardcoded text
             console.warn('[UI Config] Could not load dynamic config:', e.message);
@@ -55,12 +85,18 @@
             } else if (el.tagName === 'INPUT' && el.type !== 'submit') {
                 el.placeholder = value;
             } else if (el.dataset.uiTarget === 'html') {
-                el.innerHTML = value;
+                // Rich assets keep a small allowlist of inline tags (see dom.js)
+                el.innerHTML = window.dom.sanitize(value);
             } else {
                 el.textContent = value;
             }
         });
 
+        if (PREVIEW) {
+            markPreview();
+            applyThemeColors(config);
+        }
+
         // Fire custom event so other scripts can react to config load
         document.dispatchEvent(new CustomEvent('uiConfigLoaded', { detail: config }));
 
@@ -68,9 +104,49 @@
         window.__uiConfig = config;
     }
 
+    // ─── Theme ───────────────────────────────────────────────────────────────
+    // Only needed for unsaved edits in the preview: elsewhere /theme.css is
+    // already up to date, and inline properties would beat its dark-mode block.
+    function applyThemeColors(config) {
+        const root = document.documentElement;
+        Object.entries(THEME_PROPERTIES).forEach(([key, property]) => {
+            if (/^#[0-9a-f]{6}$/i.test(config[key] || '')) root.style.setProperty(property, config[key]);
+        });
+    }
+
+    function reloadThemeStylesheet() {
+        const link = document.getElementById('theme-css');
+        if (!link) return;
+        const url = new URL(link.href);
+        url.searchParams.set('v', Date.now());
+        link.href = url;
+    }
+
+    // ─── Preview ─────────────────────────────────────────────────────────────
+    function markPreview() {
+        document.body.classList.add('ui-preview');
+        if (document.getElementById('ui-preview-badge')) return;
+        const badge = document.createElement('div');
+        badge.id = 'ui-preview-badge';
+        badge.className = 'ui-preview-badge';
+        badge.textContent = 'Draft preview';
+        document.body.appendChild(badge);
+    }
+
+    // The admin editor posts { type, config } with every value typed but not
+    // yet saved; each message replaces the previous set of edits
+    if (PREVIEW) {
+        window.addEventListener('message', (e) => {
+            if (e.origin !== location.origin || e.data?.type !== PREVIEW_MESSAGE) return;
+            previewEdits = e.data.config || {};
+            applyConfig({ ...previewBase, ...previewEdits });
+        });
+    }
+
     // Expose for manual refresh
     window.refreshUIConfig = function () {
         sessionStorage.removeItem(CACHE_KEY);
+        reloadThemeStylesheet();
         loadUIConfig();
     };
 
@@ -1,9 +1,12 @@
 document.addEventListener('DOMContentLoaded', () => {
 
     const toastContainer = document.getElementById('toast-container');
+    const { formatPrice } = window;
 
     // Global Toast Notification
-    window.showToast = function (message, isError = false) {
+    // options.action = { label, onClick } adds a button (e.g. Undo) that
+    // dismisses the toast when clicked; options.duration overrides 3s.
+    window.showToast = function (message, isError = false, options = {}) {
         if (!toastContainer) return;
         const toast = document.createElement('div');
         toast.className = `toast ${isError ? 'error' : ''}`;
@@ -21,72 +24,519 @@ document.addEventListener('DOMContentLoaded', () => {
             </svg>`;
         }
 
-        toast.innerHTML = `${icon}<span>${message}</span>`;
-        toastContainer.appendChild(toast);
+        toast.innerHTML = window.dom.html`${window.dom.raw(icon)}<span>${message}</span>`;
 
-        setTimeout(() => {
+        const dismiss = () => {
+            if (toast.classList.contains('hide')) return;
             toast.classList.add('hide');
             setTimeout(() => toast.remove(), 300);
-        }, 3000);
+        };
+
+        if (options.action) {
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = 'toast-action';
+            btn.textContent = options.action.label;
+            btn.addEventListener('click', () => {
+                dismiss();
+                options.action.onClick();
+            });
+            toast.appendChild(btn);
+        }
+
+        toastContainer.appendChild(toast);
+        setTimeout(dismiss, options.duration || 3000);
     };
 
-    // Live Search Mockup (Needs Backend connection)
+    // Live Search
     const searchInput = document.querySelector('.nav-search input');
-    if (searchInput) {
-        searchInput.addEventListener('input', (e) => {
-            const query = e.target.value;
-            // TODO: Fetch results from Flask
-            console.log("Searching for: " + query);
+    if (searchInput) initLiveSearch(searchInput);
+
+    function initLiveSearch(input) {
+        const RECENT_KEY = 'em_recent_searches';
+        const RECENT_MAX = 5;
+        const DEBOUNCE_MS = 250;
+
+        const panel = document.createElement('div');
+        panel.className = 'search-results';
+        panel.setAttribute('role', 'listbox');
+        panel.hidden = true;
+        input.parentElement.appendChild(panel);
+        input.setAttribute('autocomplete', 'off');
+        input.setAttribute('role', 'combobox');
+        input.setAttribute('aria-expanded', 'false');
+
+        let results = [];
+        let activeIndex = -1;
+        let debounceTimer = null;
+        let controller = null;
+
+        const { escape: esc, decode } = window.dom;
+
+        // Names arrive HTML-escaped; match against the decoded text so a
+        // highlight never cuts through an entity such as &amp;
+        const highlight = (text, query) => {
+            const pattern = query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            if (!pattern) return esc(text);
+            return decode(text).split(new RegExp(`(${pattern})`, 'gi'))
+                .map((part, i) => (i % 2 ? `<mark>${esc(part)}</mark>` : esc(part)))
+                .join('');
+        };
+
+        const getRecent = () => {
+            try { return JSON.parse(localStorage.getItem(RECENT_KEY)) || []; } catch (e) { return []; }
+        };
+
+        const saveRecent = (query) => {
+            const list = [query, ...getRecent().filter(q => q.toLowerCase() !== query.toLowerCase())];
+            try { localStorage.setItem(RECENT_KEY, JSON.stringify(list.slice(0, RECENT_MAX))); } catch (e) { /* ignore */ }
+        };
+
+        const open = () => { panel.hidden = false; input.setAttribute('aria-expanded', 'true'); };
+        const close = () => {
+            panel.hidden = true;
+            activeIndex = -1;
+            input.setAttribute('aria-expanded', 'false');
+        };
+
+        function renderRecent() {
+            const recent = getRecent();
+            results = [];
+            activeIndex = -1;
+            if (!recent.length) { close(); return; }
+            panel.innerHTML = `<div class="search-results-title">Recent searches</div>` +
+                recent.map(q => `<div class="search-recent" data-query="${esc(q)}">${esc(q)}</div>`).join('');
+            open();
+        }
+
+        function renderResults(query) {
+            activeIndex = -1;
+            if (!results.length) {
+                panel.innerHTML = `<div class="search-empty">No products match "${esc(query)}"</div>`;
+                open();
+                return;
+            }
+            panel.innerHTML = results.map((p, i) => `
+                <div class="search-result" role="option" data-index="${i}">
+                    <img src="${esc(p.image || 'https://via.placeholder.com/48')}" alt="" width="40" height="40">
+                    <div class="search-result-info">
+                        <div class="search-result-name">${highlight(p.name, query)}</div>
+                        <div class="search-result-brand">${highlight(p.brand || '', query)}</div>
+                    </div>
+                    <div class="search-result-price">${formatPrice(p.price)}</div>
+                </div>
+            `).join('');
+            open();
+        }
+
+        function setActive(index) {
+            const items = panel.querySelectorAll('.search-result');
+            if (!items.length) return;
+            activeIndex = (index + items.length) % items.length;
+            items.forEach((el, i) => el.classList.toggle('active', i === activeIndex));
+            items[activeIndex].scrollIntoView({ block: 'nearest' });
+        }
+
+        function openResult(product) {
+            saveRecent(input.value.trim());
+            close();
+            input.blur();
+            window.router.navigate(`/product/${product.id}`);
+        }
+
+        async function search(query) {
+            if (controller) controller.abort();
+            controller = new AbortController();
+            try {
+                const res = await fetch(`/api/products/search?q=${encodeURIComponent(query)}`, {
+                    signal: controller.signal,
+                });
+                // 400 means "Query too short" — not worth showing to the user
+                if (res.status === 400) { close(); return; }
+                if (!res.ok) throw new Error(`HTTP ${res.status}`);
+                const data = await res.json();
+                results = data.products || [];
+                renderResults(query);
+            } catch (e) {
+                if (e.name !== 'AbortError') console.warn('[Search] Request failed:', e.message);
+            }
+        }
+
+        input.addEventListener('input', () => {
+            const query = input.value.trim();
+            clearTimeout(debounceTimer);
+            if (query.length < 2) {
+                if (controller) controller.abort();
+                if (query.length === 0) renderRecent(); else close();
+                return;
+            }
+            debounceTimer = setTimeout(() => search(query), DEBOUNCE_MS);
+        });
+
+        input.addEventListener('focus', () => {
+            if (!input.value.trim()) renderRecent();
+            else if (results.length) open();
+        });
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowDown') {
+                e.preventDefault();
+                setActive(activeIndex + 1);
+            } else if (e.key === 'ArrowUp') {
+                e.preventDefault();
+                setActive(activeIndex - 1);
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                const product = results[activeIndex >= 0 ? activeIndex : 0];
+                if (product && !panel.hidden) openResult(product);
+            } else if (e.key === 'Escape') {
+                close();
+            }
         });
-    }
 
-    // Countdown Timer
-    function updateCountdown() {
-        const hElem = document.getElementById('count-hours');
-        const mElem = document.getElementById('count-minutes');
-        const sElem = document.getElementById('count-seconds');
-        if (!hElem || !mElem || !sElem) return;
-
-        let hours = parseInt(hElem.textContent);
-        let minutes = parseInt(mElem.textContent);
-        let seconds = parseInt(sElem.textContent);
-
-        seconds--;
-        if (seconds < 0) { seconds = 59; minutes--; }
-        if (minutes < 0) { minutes = 59; hours--; }
-        if (hours < 0) { hours = 24; }
-
-        hElem.textContent = hours.toString().padStart(2, '0');
-        mElem.textContent = minutes.toString().padStart(2, '0');
-        sElem.textContent = seconds.toString().padStart(2, '0');
+        // mousedown fires before the input's blur, so the click still lands
+        panel.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            const recent = e.target.closest('.search-recent');
+            if (recent) {
+                input.value = recent.dataset.query;
+                search(input.value);
+                return;
+            }
+            const row = e.target.closest('.search-result');
+            if (row) openResult(results[parseInt(row.dataset.index)]);
+        });
+
+        input.addEventListener('blur', close);
     }
-    setInterval(updateCountdown, 1000);
 
-    // Filter toggles
-    document.querySelectorAll('.filter-checkbox').forEach(cb => {
-        cb.addEventListener('click', () => {
-            cb.classList.toggle('checked');
+    // Flash Sale Countdown
+    // Time left is computed from the campaign's server timestamps on every tick,
+    // so throttled tabs never drift; clockOffset corrects a skewed local clock.
+    initFlashSale();
+
+    function initFlashSale() {
+        const section = document.getElementById('flash-sale');
+        if (!section) return;
+
+        const $ = (id) => document.getElementById(id);
+        const STATUS_LABELS = { active: 'Ends Soon!', upcoming: 'Starts Soon', ended: 'Sale Ended' };
+        const esc = window.dom.escape;
+
+        let sale = null;
+        let status = null;
+        let clockOffset = 0;
+        let timer = null;
+        let reloading = false;
+
+        const serverNow = () => Date.now() + clockOffset;
+
+        async function load() {
+            try {
+                const sentAt = Date.now();
+                const res = await fetch('/api/flash-sale');
+                if (!res.ok) throw new Error(`HTTP ${res.status}`);
+                const data = await res.json();
+                // Assume the server stamped its clock halfway through the round trip
+                clockOffset = data.server_time - (sentAt + Date.now()) / 2;
+                sale = data.sale;
+            } catch (e) {
+                console.warn('[Flash Sale] Could not load campaign:', e.message);
+                sale = null;
+            }
+
+            if (!sale) {
+                section.hidden = true;
+                clearInterval(timer);
+                return;
+            }
+            render();
+            section.hidden = false;
+            tick();
+            clearInterval(timer);
+            timer = setInterval(tick, 1000);
+        }
+
+        function render() {
+            $('flash-title').innerHTML = esc(sale.title).replace(/\n/g, '<br>');
+            $('flash-sub').textContent = sale.subtitle || '';
+            $('flash-price').hidden = sale.sale_price == null;
+            $('flash-price-main').textContent = sale.sale_price != null ? formatPrice(sale.sale_price) : '';
+            $('flash-price-old').textContent = sale.original_price != null ? formatPrice(sale.original_price) : '';
+            const img = $('flash-img');
+            img.hidden = !sale.image_url;
+            if (sale.image_url) {
+                img.src = sale.image_url;
+                img.alt = sale.title.replace(/\n/g, ' ');
+            }
+        }
+
+        function setStatus(next) {
+            if (next === status) return;
+            status = next;
+            section.classList.toggle('flash-ended', next === 'ended');
+            section.classList.toggle('flash-upcoming', next === 'upcoming');
+            $('flash-status').textContent = STATUS_LABELS[next];
+            $('flash-shop-btn').disabled = next !== 'active';
+        }
+
+        function tick() {
+            if (!sale) return;
+            const now = serverNow();
+            const starts = Date.parse(sale.starts_at);
+            const ends = Date.parse(sale.ends_at);
+            let remaining = 0;
+
+            if (now < starts) {
+                setStatus('upcoming');
+                remaining = starts - now;
+            } else if (now < ends) {
+                setStatus('active');
+                remaining = ends - now;
+            } else {
+                setStatus('ended');
+                // Pick up the next scheduled campaign, if any, once this one is over
+                if (sale.status !== 'ended' && !reloading) {
+                    reloading = true;
+                    load().finally(() => { reloading = false; });
+                }
+            }
+
+            const total = Math.max(0, Math.floor(remaining / 1000));
+            $('count-hours').textContent = String(Math.floor(total / 3600)).padStart(2, '0');
+            $('count-minutes').textContent = String(Math.floor(total / 60) % 60).padStart(2, '0');
+            $('count-seconds').textContent = String(total % 60).padStart(2, '0');
+        }
+
+        $('flash-shop-btn')?.addEventListener('click', () => {
+            if (!sale || status !== 'active') return;
+            if (sale.product_id) window.router.navigate(`/product/${sale.product_id}`);
+            else window.router.navigate('/catalog');
         });
-    });
+
+        // Background tabs throttle timers; resync as soon as the tab is visible again
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden) tick();
+        });
+
+        load();
+    }
 
     // Carousel Logic
+    // Options come from data-autoplay (ms, 0 disables) and data-loop on the container.
+    const reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+
     const initCarousel = (id) => {
         const carouselContainer = document.getElementById(id);
-        if (!carouselContainer) return;
+        if (!carouselContainer) return null;
 
         const track = carouselContainer.querySelector('.carousel-track');
-        const slides = carouselContainer.querySelectorAll('.carousel-slide');
         const prevBtn = carouselContainer.querySelector('.carousel-prev');
         const nextBtn = carouselContainer.querySelector('.carousel-next');
         const dotsContainer = carouselContainer.querySelector('.carousel-dots');
+        if (!track) return null;
+
+        const autoplayMs = parseInt(carouselContainer.dataset.autoplay ?? '6000') || 0;
+        const loop = carouselContainer.dataset.loop !== 'false';
+        const SWIPE_THRESHOLD = 0.15; // fraction of the slide width
+
+        let slides = [];
+        let currentIndex = 0;
+        let timer = null;
+        let paused = false;
+        let drag = null;
+        let suppressClick = false;
+
+        carouselContainer.tabIndex = 0;
+
+        function goTo(index) {
+            const count = slides.length;
+            if (!count) return;
+            if (loop) index = (index + count) % count;
+            else index = Math.min(Math.max(index, 0), count - 1);
+            currentIndex = index;
 
-        // ... (existing carousel logic logic ported over)
-        if (track && slides.length > 0) {
-            let currentIndex = 0;
-            // ... omitting full logic for brevity, assuming standard slide implementation
+            track.style.transform = `translateX(-${index * 100}%)`;
+            slides.forEach((slide, i) => slide.setAttribute('aria-hidden', String(i !== index)));
+            dotsContainer?.querySelectorAll('.carousel-dot').forEach((dot, i) => {
+                dot.classList.toggle('active', i === index);
+                dot.setAttribute('aria-current', String(i === index));
+            });
+            if (prevBtn) prevBtn.disabled = !loop && index === 0;
+            if (nextBtn) nextBtn.disabled = !loop && index === count - 1;
         }
+
+        const next = () => goTo(currentIndex + 1);
+        const prev = () => goTo(currentIndex - 1);
+
+        // Autoplay: stops on hover/focus, hidden tabs and reduced-motion preference
+        function stop() {
+            clearInterval(timer);
+            timer = null;
+        }
+
+        function start() {
+            stop();
+            if (!autoplayMs || paused || document.hidden || reducedMotion.matches || slides.length < 2) return;
+            timer = setInterval(() => {
+                if (!loop && currentIndex === slides.length - 1) goTo(0);
+                else next();
+            }, autoplayMs);
+        }
+
+        function userNavigate(action) {
+            action();
+            start(); // restart the interval so a manual move gets a full period
+        }
+
+        function refresh() {
+            slides = Array.from(track.querySelectorAll('.carousel-slide'));
+            if (dotsContainer) {
+                dotsContainer.innerHTML = slides.map((_, i) =>
+                    `<button class="carousel-dot" data-index="${i}" aria-label="Go to slide ${i + 1}"></button>`
+                ).join('');
+            }
+            const single = slides.length < 2;
+            if (prevBtn) prevBtn.hidden = single;
+            if (nextBtn) nextBtn.hidden = single;
+            if (dotsContainer) dotsContainer.hidden = single;
+            goTo(Math.min(currentIndex, Math.max(slides.length - 1, 0)));
+            start();
+        }
+
+        prevBtn?.addEventListener('click', () => userNavigate(prev));
+        nextBtn?.addEventListener('click', () => userNavigate(next));
+        dotsContainer?.addEventListener('click', (e) => {
+            const dot = e.target.closest('.carousel-dot');
+            if (dot) userNavigate(() => goTo(parseInt(dot.dataset.index)));
+        });
+
+        carouselContainer.addEventListener('keydown', (e) => {
+            if (e.target.matches('input, textarea, select')) return;
+            if (e.key === 'ArrowLeft') { e.preventDefault(); userNavigate(prev); }
+            if (e.key === 'ArrowRight') { e.preventDefault(); userNavigate(next); }
+        });
+
+        carouselContainer.addEventListener('mouseenter', () => { paused = true; stop(); });
+        carouselContainer.addEventListener('mouseleave', () => { paused = false; start(); });
+        carouselContainer.addEventListener('focusin', () => { paused = true; stop(); });
+        carouselContainer.addEventListener('focusout', (e) => {
+            if (carouselContainer.contains(e.relatedTarget)) return;
+            paused = false;
+            start();
+        });
+        document.addEventListener('visibilitychange', start);
+        reducedMotion.addEventListener?.('change', start);
+
+        // Swipe (touch) and drag (mouse) via pointer events
+        track.addEventListener('pointerdown', (e) => {
+            if (slides.length < 2 || (e.pointerType === 'mouse' && e.button !== 0)) return;
+            drag = { x: e.clientX, y: e.clientY, dx: 0, id: e.pointerId, active: false };
+        });
+
+        track.addEventListener('pointermove', (e) => {
+            if (!drag || e.pointerId !== drag.id) return;
+            drag.dx = e.clientX - drag.x;
+            if (!drag.active) {
+                // Leave mostly-vertical gestures to page scrolling
+                if (Math.abs(drag.dx) < 6 || Math.abs(drag.dx) < Math.abs(e.clientY - drag.y)) return;
+                drag.active = true;
+                track.setPointerCapture(drag.id);
+                track.classList.add('dragging');
+                stop();
+            }
+            track.style.transform = `translateX(calc(-${currentIndex * 100}% + ${drag.dx}px))`;
+        });
+
+        const endDrag = (e) => {
+            if (!drag || e.pointerId !== drag.id) return;
+            const { dx, active } = drag;
+            drag = null;
+            if (!active) return;
+            track.classList.remove('dragging');
+            suppressClick = true;
+            const width = track.getBoundingClientRect().width || 1;
+            if (Math.abs(dx) / width > SWIPE_THRESHOLD) userNavigate(dx < 0 ? next : prev);
+            else userNavigate(() => goTo(currentIndex));
+        };
+        track.addEventListener('pointerup', endDrag);
+        track.addEventListener('pointercancel', endDrag);
+
+        // A drag that ends over a button shouldn't also activate it
+        track.addEventListener('click', (e) => {
+            if (!suppressClick) return;
+            suppressClick = false;
+            e.preventDefault();
+            e.stopPropagation();
+        }, true);
+        track.addEventListener('dragstart', (e) => e.preventDefault());
+
+        refresh();
+        return { goTo: (i) => userNavigate(() => goTo(i)), next, prev, refresh };
     };
-    initCarousel('hero-carousel');
+
+    // Hero slide markup for /api/banners, shared with the admin banner editor's live preview
+    window.renderHeroSlide = function (b, index = 0, total = 1) {
+        // Banner text is stored escaped; dom.escape leaves those entities alone
+        const esc = window.dom.escape;
+
+        return `
+            <div class="carousel-slide" role="group" aria-roledescription="slide"
+                aria-label="${index + 1} of ${total}">
+                <div class="hero-inner">
+                    <div class="hero-grid hero-grid-single">
+                        <div class="hero-card hero-card-1" style="${b.bg_gradient ? `background: ${esc(b.bg_gradient)};` : ''}">
+                            <div class="hero-content">
+                                ${b.badge_text ? `<span class="hero-badge badge-new" style="${esc(b.badge_style || '')}">${esc(b.badge_text)}</span>` : ''}
+                                <h1 class="hero-title">${esc(b.title).replace(/\n/g, '<br>')}</h1>
+                                ${b.subtitle ? `<p class="hero-sub">${esc(b.subtitle)}</p>` : ''}
+                                <a href="#/catalog" class="hero-btn">${esc(b.button_text || 'Shop Now')} <svg
+                                        width="14" height="14" viewBox="0 0 24 24" fill="none"
+                                        stroke="currentColor" stroke-width="2">
+                                        <line x1="5" y1="12" x2="19" y2="12"></line>
+                                        <polyline points="12 5 19 12 12 19"></polyline>
+                                    </svg></a>
+                            </div>
+                            ${b.image_url ? `<img src="${esc(b.image_url)}" alt="" draggable="false">` : ''}
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+    };
+
+    async function loadHeroBanners(carousel) {
+        const track = document.querySelector('#hero-carousel .carousel-track');
+        if (!track || !carousel) return;
+
+        try {
+            const res = await fetch('/api/banners');
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            const data = await res.json();
+            if (!data.banners.length) {
+                track.closest('.hero')?.setAttribute('hidden', '');
+                return;
+            }
+            track.innerHTML = data.banners
+                .map((b, i) => window.renderHeroSlide(b, i, data.banners.length))
+                .join('');
+            carousel.refresh();
+        } catch (e) {
+            console.warn('[Carousel] Could not load banners:', e.message);
+            track.closest('.hero')?.setAttribute('hidden', '');
+        }
+    }
+
+    loadHeroBanners(initCarousel('hero-carousel'));
     initCarousel('discount-carousel');
 
+    // Footer placeholders (newsletter signup, app store badges)
+    document.querySelector('.newsletter-form')?.addEventListener('submit', (e) => {
+        e.preventDefault();
+        alert('Subscribed!');
+    });
+    document.querySelectorAll('[data-coming-soon]').forEach(btn => {
+        btn.addEventListener('click', () => alert(`${btn.dataset.comingSoon} coming soon!`));
+    });
+
 });
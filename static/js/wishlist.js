@@ -0,0 +1,247 @@
+/**
+ * wishlist.js — Saved Products
+ * Heart toggle on every product card plus a drawer modelled on the cart.
+ * Guests keep their list in localStorage; once signed in the list lives in
+ * /api/wishlist and any guest items are merged into it. Re-syncs whenever
+ * an 'authChanged' event is dispatched on document.
+ */
+(function () {
+    'use strict';
+
+    const STORAGE_KEY = 'em_wishlist';
+    const esc = window.dom.escape;
+    const { formatPrice } = window;
+
+    const state = {
+        items: [], // { id, name, price, img }
+        signedIn: false,
+    };
+
+    let drawer, overlay, container, badge;
+
+    // ─── Persistence ─────────────────────────────────────────────────────────
+    function readLocal() {
+        try {
+            const items = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+            return Array.isArray(items) ? items.filter(i => Number.isInteger(i.id)) : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    function writeLocal() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(state.items));
+        } catch (e) { /* ignore quota errors */ }
+    }
+
+    async function wishlistRequest(method, url, body = null) {
+        const opts = {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'same-origin',
+        };
+        if (body) opts.body = JSON.stringify(body);
+        const res = await fetch(url, opts);
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok || data.success === false) {
+            const err = new Error(data.message || 'Wishlist update failed');
+            err.status = res.status;
+            throw err;
+        }
+        return data;
+    }
+
+    function fromServerItem(i) {
+        return {
+            id: i.product_id,
+            name: i.product.name,
+            price: i.product.price,
+            img: i.product.image || 'https://via.placeholder.com/150',
+        };
+    }
+
+    async function loadWishlist() {
+        const guestItems = readLocal();
+        try {
+            let data = await wishlistRequest('GET', '/api/wishlist');
+            state.signedIn = true;
+            if (guestItems.length) {
+                data = await wishlistRequest('POST', '/api/wishlist/merge', {
+                    product_ids: guestItems.map(i => i.id),
+                });
+                localStorage.removeItem(STORAGE_KEY);
+            }
+            state.items = data.items.map(fromServerItem);
+        } catch (e) {
+            if (e.status !== 401) console.warn('[Wishlist] Could not load wishlist:', e.message);
+            state.signedIn = false;
+            state.items = guestItems;
+        }
+        render();
+    }
+
+    // ─── Mutations ───────────────────────────────────────────────────────────
+    // Optimistic like the cart: apply locally, roll back if the server refuses.
+    async function commit(mutate, request) {
+        const snapshot = state.items.slice();
+        mutate();
+        render();
+        if (!state.signedIn) {
+            writeLocal();
+            return true;
+        }
+        try {
+            await request();
+            return true;
+        } catch (e) {
+            state.items = snapshot;
+            render();
+            if (window.showToast) window.showToast(e.message, true);
+            return false;
+        }
+    }
+
+    function has(id) {
+        return state.items.some(i => i.id === id);
+    }
+
+    function add(product) {
+        if (has(product.id)) return Promise.resolve(true);
+        return commit(
+            () => { state.items.unshift(product); },
+            () => wishlistRequest('POST', '/api/wishlist', { product_id: product.id })
+        );
+    }
+
+    function remove(id) {
+        return commit(
+            () => { state.items = state.items.filter(i => i.id !== id); },
+            () => wishlistRequest('DELETE', `/api/wishlist/${id}`)
+        );
+    }
+
+    async function toggle(product) {
+        if (has(product.id)) {
+            await remove(product.id);
+            return false;
+        }
+        const ok = await add(product);
+        if (ok && window.showToast) window.showToast('Saved to your wishlist');
+        return ok;
+    }
+
+    async function moveToCart(id) {
+        const item = state.items.find(i => i.id === id);
+        if (!item || !window.cart) return;
+        const ok = await window.cart.add(item, 1);
+        if (!ok) return;
+        await remove(id);
+        if (window.showToast) window.showToast(`${item.name} moved to cart`);
+    }
+
+    // ─── Rendering ───────────────────────────────────────────────────────────
+    function render() {
+        if (badge) {
+            badge.textContent = state.items.length;
+            badge.hidden = state.items.length === 0;
+        }
+        syncHearts();
+        if (!container) return;
+
+        if (!state.items.length) {
+            container.innerHTML = '<p style="color:var(--gray-500);font-size:14px;text-align:center;margin-top:20px;">Your wishlist is empty.</p>';
+            return;
+        }
+        container.innerHTML = state.items.map(item => `
+            <div class="cart-item">
+                <div class="cart-item-img">
+                    <img src="${esc(item.img)}" alt="${esc(item.name)}">
+                </div>
+                <div class="cart-item-info">
+                    <a href="#/product/${item.id}" class="cart-item-name wishlist-item-link" data-id="${item.id}">${esc(item.name)}</a>
+                    <div class="cart-item-price">${formatPrice(item.price)}</div>
+                    <div class="cart-item-qty">
+                        <button class="wishlist-move-btn" data-id="${item.id}">Move to Cart</button>
+                        <span class="cart-item-remove wishlist-remove" data-id="${item.id}">Remove</span>
+                    </div>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    function syncHearts(root = document) {
+        root.querySelectorAll('.product-card').forEach(card => {
+            const btn = card.querySelector('.wish-btn');
+            if (!btn) return;
+            const saved = has(parseInt(card.dataset.id));
+            btn.classList.toggle('active', saved);
+            btn.setAttribute('aria-pressed', String(saved));
+            btn.setAttribute('aria-label', saved ? 'Remove from wishlist' : 'Save to wishlist');
+        });
+    }
+
+    function productFromCard(card) {
+        const img = card.querySelector('.product-img img');
+        return {
+            id: parseInt(card.dataset.id),
+            name: card.querySelector('.product-name')?.textContent.trim() || '',
+            price: parseFloat((card.querySelector('.price-main')?.textContent || '0').replace(/[$,]/g, '')),
+            img: img ? img.src : 'https://via.placeholder.com/150',
+        };
+    }
+
+    // ─── Drawer ──────────────────────────────────────────────────────────────
+    function openDrawer() {
+        document.getElementById('cart-drawer')?.classList.remove('active');
+        drawer.classList.add('active');
+        overlay?.classList.add('active');
+    }
+
+    function closeDrawer() {
+        drawer.classList.remove('active');
+        if (!document.getElementById('cart-drawer')?.classList.contains('active')) {
+            overlay?.classList.remove('active');
+        }
+    }
+
+    // ─── Init ────────────────────────────────────────────────────────────────
+    document.addEventListener('DOMContentLoaded', () => {
+        drawer = document.getElementById('wishlist-drawer');
+        overlay = document.getElementById('overlay');
+        container = document.getElementById('wishlist-items-container');
+        badge = document.getElementById('wishlist-badge');
+
+        document.getElementById('wishlist-btn')?.addEventListener('click', openDrawer);
+        document.getElementById('close-wishlist')?.addEventListener('click', closeDrawer);
+        overlay?.addEventListener('click', () => drawer?.classList.remove('active'));
+
+        container?.addEventListener('click', (e) => {
+            const id = parseInt(e.target.dataset.id);
+            if (!id) return;
+            if (e.target.classList.contains('wishlist-move-btn')) moveToCart(id);
+            else if (e.target.classList.contains('wishlist-remove')) remove(id);
+            else if (e.target.classList.contains('wishlist-item-link')) closeDrawer();
+        });
+
+        // Heart toggle (delegated so cards rendered later are covered too)
+        document.addEventListener('click', (e) => {
+            const btn = e.target.closest('.product-card .wish-btn');
+            if (!btn) return;
+            e.preventDefault();
+            const product = productFromCard(btn.closest('.product-card'));
+            if (product.id) toggle(product);
+        });
+
+        loadWishlist();
+    });
+
+    document.addEventListener('authChanged', loadWishlist);
+
+    window.wishlist = {
+        has,
+        toggle,
+        reload: loadWishlist,
+        items: () => state.items,
+    };
+})();
@@ -0,0 +1,57 @@
+"""Analytics CSV downloads must not hand spreadsheets a formula to run.
+
+Run with: python -m unittest discover tests
+"""
+import csv
+import io
+import os
+import tempfile
+import unittest
+
+_tmp = tempfile.mkdtemp()
+os.environ['DATABASE_URL'] = 'sqlite:///' + os.path.join(_tmp, 'test.db')
+os.environ['UPLOAD_FOLDER'] = os.path.join(_tmp, 'uploads')
+
+from app import create_app  # noqa: E402
+from models import db, User, Product, Order, OrderItem  # noqa: E402
+
+
+class AnalyticsCsvTest(unittest.TestCase):
+    @classmethod
+    def setUpClass(cls):
+        cls.app = create_app()
+        with cls.app.app_context():
+            product = Product.query.first()
+            product.name = '=HYPERLINK(&quot;http://x&quot;,&quot;y&quot;)'
+            product.category_obj.name = '@SUM(A1)'
+            order = Order(total_amount=product.price * 1000, status='pending')
+            db.session.add(order)
+            db.session.flush()
+            db.session.add(OrderItem(order_id=order.id, product_id=product.id,
+                                     quantity=1000, price_at_purchase=product.price))
+            db.session.commit()
+            cls.admin_id = User.query.filter_by(is_admin=True).first().id
+
+    def setUp(self):
+        self.client = self.app.test_client()
+        with self.client.session_transaction() as sess:
+            sess['_user_id'] = str(self.admin_id)
+            sess['_fresh'] = True
+
+    def download(self, path):
+        res = self.client.get(f'/admin/analytics/{path}?format=csv')
+        self.assertEqual(res.status_code, 200)
+        return list(csv.DictReader(io.StringIO(res.get_data(as_text=True))))
+
+    def test_top_products_quotes_formula_names(self):
+        rows = self.download('top-products')
+        self.assertEqual(rows[0]['name'], '\'=HYPERLINK("http://x","y")')
+        self.assertEqual(rows[0]['units'], '1000')
+
+    def test_top_categories_quotes_formula_names(self):
+        rows = self.download('top-categories')
+        self.assertEqual(rows[0]['name'], "'@SUM(A1)")
+
+
+if __name__ == '__main__':
+    unittest.main()